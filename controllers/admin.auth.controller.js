@@ -8,42 +8,36 @@ import {
   getCookieOptions,
   extractToken,
   validateTokenPayload,
+  generatePasswordResetToken,
+  generateTwoFactorChallengeToken,
+  verifyJWT,
 } from "../utils/jwt.js";
-import bcrypt from "bcryptjs";
+import {
+  isTwoFactorMandatory,
+  resolveTwoFactorChallenge,
+  verifySecondFactor,
+  startTwoFactorEnrolment,
+  confirmTwoFactorEnrolment,
+} from "../utils/twoFactorUtils.js";
+import {
+  issueOtp,
+  verifyOtp,
+  discardOtp,
+  claimPasswordResetToken,
+  OTP_EXPIRY_MINUTES,
+} from "../utils/otpUtils.js";
+import { sendTemplatedMail } from "../utils/mailer.js";
+import {
+  assertRefreshTokenUsable,
+  logSecurityEvent,
+  recordFailedLogin,
+  checkSuspiciousActivity,
+} from "../utils/sessionUtils.js";
+import { assertAccountUsable } from "../utils/accountStatusUtils.js";
+import { getAdminRole, getAdminPermissions } from "../utils/adminPermissions.js";
 import { User } from "../models/user.model.js";
 import { v4 as uuidv4 } from 'uuid';
 
-const registerAdmin = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
-
-  if (!email || !password) {
-    throw new ApiError(400, "All fields are required");
-  }
-
-  const admin = await User.findOne({ email: email });
-  if (admin) {
-    throw new ApiError(409, "Admin with this email already exists");
-  }
-
-  const hashedPassword = await bcrypt.hash(password, 10);
-
-  const newAdmin = await User.create({
-    uid: email.split("@")[0],
-    email,
-    password,
-
-    role: "admin",
-  });
-
-  if (!newAdmin) {
-    throw new ApiError(500, "error creating the admin");
-  }
-
-  return res
-    .status(201)
-    .json(new ApiResponse(201, {}, "Admin has been successfully created"));
-});
-
 const loginAdmin = asyncHandler(async (req, res) => {
   const { email, password, rememberMe = false } = req.body;
 
@@ -53,11 +47,13 @@ const loginAdmin = asyncHandler(async (req, res) => {
 
   const admin = await User.findOne({ email: email, role: "admin" });
   if (!admin) {
+    await logSecurityEvent(null, "LOGIN_FAILED", { reason: "unknown_account", identifier: email, admin: true }, req);
     throw new ApiError(404, "Admin details invalid");
   }
 
   // Check if account is locked
   if (admin.isAccountLocked()) {
+    await logSecurityEvent(admin._id, "LOGIN_FAILED", { reason: "account_locked" }, req);
     throw new ApiError(429, "Account temporarily locked due to too many failed login attempts. Please try again later.");
   }
 
@@ -65,41 +61,78 @@ const loginAdmin = asyncHandler(async (req, res) => {
   const passwordCorrect = await admin.isPasswordCorrect(password);
   if (!passwordCorrect) {
     // Increment login attempts
-    await admin.incrementLoginAttempts();
+    await recordFailedLogin(admin, req, { reason: "invalid_password" });
     throw new ApiError(401, "Invalid password and credentials");
   }
 
+  await assertAccountUsable(admin);
+
   // Reset login attempts on successful login
   if (admin.loginAttempts.count > 0) {
     await admin.resetLoginAttempts();
   }
 
+  // A second factor is needed when the admin enabled 2FA or the policy requires it
+  if (admin.twoFactor?.enabled || (await isTwoFactorMandatory(admin))) {
+    const enrolment = !admin.twoFactor?.enabled;
+    const challengeToken = await generateTwoFactorChallengeToken({
+      userId: admin._id.toString(),
+      role: "admin",
+      rememberMe,
+      enrolment,
+    });
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        enrolment
+          ? { twoFactorSetupRequired: true, challengeToken }
+          : { twoFactorRequired: true, challengeToken },
+        enrolment
+          ? "Two-factor authentication is mandatory for admins. Set it up to finish logging in"
+          : "Enter the code from your authenticator app to finish logging in"
+      )
+    );
+  }
+
+  return await completeAdminLogin(admin, req, res, rememberMe);
+});
+
+// Issue the admin token pair, store the refresh token and session, and send the response
+const completeAdminLogin = async (admin, req, res, rememberMe, extraData = {}) => {
   // Create admin payload for JWT
   const adminPayload = createAdminPayload(admin);
 
+  // Create session ID first so the tokens are linked to it
+  const sessionId = uuidv4();
+
   // Generate token pair
-  const { accessToken, refreshToken, tokenType, expiresIn, refreshExpiresIn, rememberMe: tokenRememberMe } = await generateTokenPair(adminPayload, rememberMe);
+  const { accessToken, refreshToken, refreshTokenId, refreshTokenFamilyId, tokenType, expiresIn } = await generateTokenPair(adminPayload, rememberMe, sessionId);
 
   // Store refresh token in database
   const refreshTokenData = {
     token: refreshToken,
-    tokenId: uuidv4(),
+    tokenId: refreshTokenId,
     expiresAt: new Date(Date.now() + (rememberMe ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000)), // 30 days if remember me, 7 days otherwise
     userAgent: req.get('User-Agent') || '',
     ipAddress: req.ip || req.connection.remoteAddress || '',
     rememberMe: rememberMe,
+    familyId: refreshTokenFamilyId,
+    sessionId,
   };
 
   await admin.addRefreshToken(refreshTokenData);
 
   // Add session tracking
-  const sessionId = uuidv4();
   await admin.addSession({
     sessionId,
     deviceInfo: req.get('User-Agent') || 'Unknown Device',
     ipAddress: req.ip || req.connection.remoteAddress || '',
   });
 
+  await logSecurityEvent(admin._id, "LOGIN_SUCCESS", { sessionId, rememberMe, twoFactor: admin.twoFactor?.enabled || false }, req);
+  await checkSuspiciousActivity(admin, req);
+
   return res
     .status(200)
     .cookie("adminAccessToken", accessToken, getCookieOptions('access'))
@@ -111,6 +144,8 @@ const loginAdmin = asyncHandler(async (req, res) => {
           admin: {
             email: admin.email,
             role: admin.role,
+            adminRole: getAdminRole(admin),
+            permissions: getAdminPermissions(admin),
           },
           tokens: {
             accessToken,
@@ -119,12 +154,94 @@ const loginAdmin = asyncHandler(async (req, res) => {
             expiresIn,
           },
           sessionId,
+          ...extraData,
         },
         "Admin has been successfully logged in"
       )
     );
+};
+
+// Resolve a challenge token issued by loginAdmin
+const resolveAdminChallenge = async (challengeToken) => {
+  const { user: admin, challenge } = await resolveTwoFactorChallenge(challengeToken);
+
+  if (admin.role !== "admin" || challenge.role !== "admin") {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  return { admin, challenge };
+};
+
+const verifyAdminTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  if (!code && !backupCode) {
+    throw new ApiError(400, "Two-factor code or backup code is required");
+  }
+
+  const { admin, challenge } = await resolveAdminChallenge(challengeToken);
+
+  try {
+    await verifySecondFactor(admin, { code, backupCode });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      await recordFailedLogin(admin, req, { reason: "invalid_two_factor_code" });
+    }
+    throw error;
+  }
+
+  if (admin.loginAttempts.count > 0) {
+    await admin.resetLoginAttempts();
+  }
+
+  return await completeAdminLogin(admin, req, res, challenge.rememberMe || false);
+});
+
+// Mandatory enrolment during login, for admins who have not set up 2FA yet
+const setupAdminTwoFactorAtLogin = asyncHandler(async (req, res) => {
+  const { challengeToken } = req.body;
+
+  const { admin, challenge } = await resolveAdminChallenge(challengeToken);
+
+  if (!challenge.enrolment) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+
+  const { secret, otpauthUri } = await startTwoFactorEnrolment(admin);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUri },
+        "Scan the otpauth URI with your authenticator app and confirm with the first code"
+      )
+    );
+});
+
+const confirmAdminTwoFactorAtLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Two-factor code is required");
+  }
+
+  const { admin, challenge } = await resolveAdminChallenge(challengeToken);
+
+  if (!challenge.enrolment) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+
+  const backupCodes = await confirmTwoFactorEnrolment(admin, code);
+
+  return await completeAdminLogin(admin, req, res, challenge.rememberMe || false, {
+    backupCodes,
+  });
 });
 
+
+
 const logoutAdmin = asyncHandler(async (req, res) => {
   try {
     const refreshToken = req.cookies?.adminRefreshToken || extractToken(req, 'refresh');
@@ -134,14 +251,19 @@ const logoutAdmin = asyncHandler(async (req, res) => {
         const decoded = await verifyRefreshToken(refreshToken);
         const admin = await User.findById(decoded.userId);
         
-        if (admin && decoded.jti) {
+        const tokenIdToRevoke = decoded.tokenId || decoded.jti;
+
+        if (admin && tokenIdToRevoke) {
           // Revoke the specific refresh token
-          await admin.revokeRefreshToken(decoded.jti);
+          await admin.revokeRefreshToken(tokenIdToRevoke);
           
-          // Remove session if sessionId is provided
-          if (req.body.sessionId) {
-            await admin.removeSession(req.body.sessionId);
+          // Remove session from token payload, falling back to the request body
+          const sessionId = decoded.sessionId || req.body.sessionId;
+          if (sessionId) {
+            await admin.removeSession(sessionId);
           }
+
+          await logSecurityEvent(admin._id, "REFRESH_TOKEN_REVOKED", { reason: "logout", tokenId: tokenIdToRevoke, sessionId }, req);
         }
       } catch (error) {
         // Token verification failed, but we still want to clear cookies
@@ -187,40 +309,44 @@ const refreshAdminToken = asyncHandler(async (req, res) => {
       throw new ApiError(401, "Invalid admin refresh token - admin not found");
     }
 
-    // Check if refresh token is valid in database
-    if (!admin.isRefreshTokenValid(decoded.jti)) {
-      throw new ApiError(401, "Admin refresh token has been revoked or expired");
-    }
+    await assertAccountUsable(admin);
 
-    // Remove expired tokens
-    await admin.removeExpiredRefreshTokens();
+    const tokenIdToCheck = decoded.tokenId || decoded.jti;
 
-    // Generate new token pair
+    // Check the token is live; a replayed rotated token revokes its family
+    await assertRefreshTokenUsable(admin, decoded, req);
+
+    // Generate new token pair in the same family
+    const rememberMe = decoded.rememberMe || false;
     const adminPayload = createAdminPayload(admin);
-    const { accessToken, refreshToken: newRefreshToken, tokenType, expiresIn } = await generateTokenPair(adminPayload);
+    const { accessToken, refreshToken: newRefreshToken, refreshTokenId, tokenType, expiresIn } = await generateTokenPair(
+      adminPayload,
+      rememberMe,
+      decoded.sessionId,
+      decoded.familyId || tokenIdToCheck
+    );
 
-    // Revoke old refresh token and add new one
-    await admin.revokeRefreshToken(decoded.jti);
-    
-    const newRefreshTokenData = {
+    // Revoke old refresh token and add its replacement
+    await admin.rotateRefreshToken(tokenIdToCheck, {
       token: newRefreshToken,
-      tokenId: uuidv4(),
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+      tokenId: refreshTokenId,
+      expiresAt: new Date(Date.now() + (rememberMe ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000)),
       userAgent: req.get('User-Agent') || '',
       ipAddress: req.ip || req.connection.remoteAddress || '',
-    };
-
-    await admin.addRefreshToken(newRefreshTokenData);
+      rememberMe,
+      sessionId: decoded.sessionId,
+    });
 
     // Update session access
-    if (req.body.sessionId) {
-      await admin.updateSessionAccess(req.body.sessionId);
+    const sessionId = decoded.sessionId || req.body.sessionId;
+    if (sessionId) {
+      await admin.updateSessionAccess(sessionId);
     }
 
     return res
       .status(200)
       .cookie("adminAccessToken", accessToken, getCookieOptions('access'))
-      .cookie("adminRefreshToken", newRefreshToken, getCookieOptions('refresh'))
+      .cookie("adminRefreshToken", newRefreshToken, getCookieOptions('refresh', rememberMe))
       .json(
         new ApiResponse(
           200,
@@ -278,15 +404,135 @@ const changePassword = asyncHandler(async (req, res) => {
     throw new ApiError(500, "error occured while updating the password");
   }
 
+  await logSecurityEvent(user._id, "PASSWORD_CHANGED", { method: "old_password" }, req);
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "password has been updated successfully"));
 });
 
+const sendAdminPasswordResetOtp = asyncHandler(async (req, res) => {
+  const email = req.params?.email;
+
+  const admin = await User.findOne({ email: email, role: "admin" });
+  if (!admin) {
+    throw new ApiError(404, "Admin details invalid");
+  }
+
+  const otp = await issueOtp(admin, "admin_password_reset");
+
+  try {
+    await sendTemplatedMail(admin.email, "passwordResetOtp", {
+      firstName: admin.firstName,
+      otp,
+      expiresInMinutes: OTP_EXPIRY_MINUTES,
+    });
+  } catch (error) {
+    await discardOtp(admin, "admin_password_reset");
+    throw new ApiError(502, "Could not send the otp email, please try again");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Otp has been successfully sent to the admin"));
+});
+
+const verifyAdminPasswordResetOtp = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+  const email = req.params?.email;
+
+  const admin = await User.findOne({ email: email, role: "admin" });
+  if (!admin) {
+    throw new ApiError(404, "Admin details invalid");
+  }
+
+  await verifyOtp(admin, "admin_password_reset", otp);
+
+  const resetToken = await generatePasswordResetToken({
+    userId: admin._id.toString(),
+    uid: admin.uid,
+    email: admin.email,
+    role: "admin",
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { resetToken },
+        "OTP has been successfully verified. Use the reset token to change password."
+      )
+    );
+});
+
+const resetAdminPasswordUsingOtp = asyncHandler(async (req, res) => {
+  const { newPassword } = req.body;
+  const resetToken = req.params?.token;
+
+  if (!resetToken) {
+    throw new ApiError(401, "Reset token not found");
+  }
+
+  if (!newPassword) {
+    throw new ApiError(400, "New password is required");
+  }
+
+  try {
+    const decoded = await verifyJWT(resetToken);
+
+    if (decoded.type !== "password_reset" || decoded.role !== "admin") {
+      throw new ApiError(400, "Invalid reset token purpose");
+    }
+
+    if (!(await User.exists({ _id: decoded.userId, role: "admin" }))) {
+      throw new ApiError(401, "Admin not found");
+    }
+
+    // Each reset token changes the password once
+    const admin = await claimPasswordResetToken(decoded, { role: "admin" });
+    if (!admin) {
+      throw new ApiError(400, "Reset token has already been used. Please request a new OTP.");
+    }
+
+    admin.password = newPassword;
+    await admin.save();
+
+    // Force re-login everywhere with the new password
+    await admin.revokeAllRefreshTokens();
+    await admin.clearAllSessions();
+
+    await logSecurityEvent(admin._id, "PASSWORD_CHANGED", { method: "otp", sessionsRevoked: true }, req);
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          {},
+          "Password has been updated successfully. Please login with your new password."
+        )
+      );
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (error.message.includes("expired")) {
+      throw new ApiError(400, "Reset token has expired. Please request a new OTP.");
+    }
+    throw new ApiError(400, `Invalid reset token: ${error.message}`);
+  }
+});
+
 export { 
-  registerAdmin, 
   loginAdmin, 
+  verifyAdminTwoFactorLogin,
+  setupAdminTwoFactorAtLogin,
+  confirmAdminTwoFactorAtLogin,
   logoutAdmin, 
   refreshAdminToken,
-  changePassword 
+  changePassword,
+  sendAdminPasswordResetOtp,
+  verifyAdminPasswordResetOtp,
+  resetAdminPasswordUsingOtp
 };
@@ -8,7 +8,17 @@ import { Experience } from "../models/experience.model.js";
 import { Connection } from "../models/connection.model.js";
 import { Chat } from "../models/chat.model.js";
 import { Message } from "../models/message.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
 import mongoose from "mongoose";
+import { revokeAllUserAccess } from "../utils/sessionUtils.js";
+import { disconnectUserSockets } from "./session.controller.js";
+import { DOMAIN_EVENTS, publish } from "../utils/eventBus.js";
+import {
+  DEFAULT_ADMIN_ROLE,
+  getAdminRole,
+  hasAdminPermission,
+  superAdminFilter,
+} from "../utils/adminPermissions.js";
 
 // ========================
 // DASHBOARD & ANALYTICS
@@ -618,7 +628,7 @@ const verifyUser = asyncHandler(async (req, res) => {
     { 
       isProfileVerified: true,
       verifiedAt: new Date(),
-      verifiedBy: req.user._id
+      verifiedBy: req.admin._id
     },
     {
       new: true,
@@ -662,6 +672,48 @@ const unverifyUser = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, { user }, "User unverified successfully"));
 });
 
+// Changing the status of an admin account (suspend, delete and their undo)
+// needs admins.manage, since users.suspend is also granted to moderators
+const findAdminTargets = async (req, userIds) => {
+  const targetAdmins = await User.find({
+    _id: { $in: userIds },
+    role: "admin",
+  }).select("_id adminRole");
+
+  if (targetAdmins.length > 0 && !hasAdminPermission(req.admin, "admins.manage")) {
+    throw new ApiError(403, "Forbidden - missing permission: admins.manage");
+  }
+
+  return targetAdmins;
+};
+
+// Admins cannot disable themselves, and one super admin must stay usable
+const assertCanDisableAccounts = async (req, userIds) => {
+  const targetAdmins = await findAdminTargets(req, userIds);
+
+  if (targetAdmins.length === 0) {
+    return;
+  }
+
+  if (targetAdmins.some((admin) => admin._id.equals(req.admin._id))) {
+    throw new ApiError(400, "You cannot suspend or delete your own account");
+  }
+
+  if (!targetAdmins.some((admin) => getAdminRole(admin) === DEFAULT_ADMIN_ROLE)) {
+    return;
+  }
+
+  const remainingSuperAdmins = await User.countDocuments({
+    ...superAdminFilter(),
+    isSuspended: { $ne: true },
+    _id: { $nin: targetAdmins.map((admin) => admin._id) },
+  });
+
+  if (remainingSuperAdmins === 0) {
+    throw new ApiError(409, "Cannot suspend or delete the last active super admin");
+  }
+};
+
 const suspendUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { reason, duration } = req.body;
@@ -674,6 +726,12 @@ const suspendUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Suspension reason is required");
   }
 
+  if (duration !== undefined && !(Number(duration) > 0)) {
+    throw new ApiError(400, "Suspension duration must be a positive number of days");
+  }
+
+  await assertCanDisableAccounts(req, [userId]);
+
   const suspendUntil = duration ? new Date(Date.now() + duration * 24 * 60 * 60 * 1000) : null;
 
   const user = await User.findByIdAndUpdate(
@@ -682,16 +740,20 @@ const suspendUser = asyncHandler(async (req, res) => {
       isSuspended: true,
       suspensionReason: reason,
       suspendedAt: new Date(),
-      suspendedBy: req.user._id,
+      suspendedBy: req.admin._id,
       suspendedUntil: suspendUntil
     },
     { new: true }
-  );
+  ).select("-password -refreshTokens");
 
   if (!user) {
     throw new ApiError(404, "User not found");
   }
 
+  // Sign the user out everywhere
+  await revokeAllUserAccess(user._id, req);
+  disconnectUserSockets(user._id, "suspended");
+
   return res.status(200).json(
     new ApiResponse(200, { user }, "User suspended successfully")
   );
@@ -704,6 +766,8 @@ const unsuspendUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "User ID is required");
   }
 
+  await findAdminTargets(req, [userId]);
+
   const user = await User.findByIdAndUpdate(
     userId,
     {
@@ -714,7 +778,7 @@ const unsuspendUser = asyncHandler(async (req, res) => {
       suspendedUntil: null
     },
     { new: true }
-  );
+  ).select("-password -refreshTokens");
 
   if (!user) {
     throw new ApiError(404, "User not found");
@@ -737,24 +801,32 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Deletion reason is required");
   }
 
-  // Instead of hard delete, soft delete for audit purposes
-  const user = await User.findByIdAndUpdate(
-    userId,
-    {
-      isDeleted: true,
-      deletedAt: new Date(),
-      deletedBy: req.user._id,
-      deletionReason: reason,
-      email: `deleted_${Date.now()}_${user.email}`, // Prevent email conflicts
-      uid: `deleted_${Date.now()}_${user.uid}`
-    },
-    { new: true }
-  );
+  const user = await User.findById(userId).select("email uid isDeleted");
 
   if (!user) {
     throw new ApiError(404, "User not found");
   }
 
+  if (user.isDeleted) {
+    throw new ApiError(400, "User is already deleted");
+  }
+
+  await assertCanDisableAccounts(req, [user._id]);
+
+  // Instead of hard delete, soft delete for audit purposes
+  await User.findByIdAndUpdate(userId, {
+    isDeleted: true,
+    deletedAt: new Date(),
+    deletedBy: req.admin._id,
+    deletionReason: reason,
+    email: `deleted_${Date.now()}_${user.email}`, // Prevent email conflicts
+    uid: `deleted_${Date.now()}_${user.uid}`
+  });
+
+  // Sign the user out everywhere
+  await revokeAllUserAccess(user._id, req);
+  disconnectUserSockets(user._id, "deleted");
+
   return res.status(200).json(
     new ApiResponse(200, {}, "User deleted successfully")
   );
@@ -767,6 +839,8 @@ const restoreUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "User ID is required");
   }
 
+  await findAdminTargets(req, [userId]);
+
   const user = await User.findByIdAndUpdate(
     userId,
     {
@@ -776,10 +850,10 @@ const restoreUser = asyncHandler(async (req, res) => {
       deletionReason: null,
       // Note: Email and UID need manual restoration to avoid conflicts
       restoredAt: new Date(),
-      restoredBy: req.user._id
+      restoredBy: req.admin._id
     },
     { new: true }
-  );
+  ).select("-password -refreshTokens");
 
   if (!user) {
     throw new ApiError(404, "User not found");
@@ -806,7 +880,7 @@ const bulkVerifyUsers = asyncHandler(async (req, res) => {
     {
       isProfileVerified: true,
       verifiedAt: new Date(),
-      verifiedBy: req.user._id
+      verifiedBy: req.admin._id
     }
   );
 
@@ -829,6 +903,12 @@ const bulkSuspendUsers = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Suspension reason is required");
   }
 
+  if (duration !== undefined && !(Number(duration) > 0)) {
+    throw new ApiError(400, "Suspension duration must be a positive number of days");
+  }
+
+  await assertCanDisableAccounts(req, userIds);
+
   const suspendUntil = duration ? new Date(Date.now() + duration * 24 * 60 * 60 * 1000) : null;
 
   const result = await User.updateMany(
@@ -837,11 +917,18 @@ const bulkSuspendUsers = asyncHandler(async (req, res) => {
       isSuspended: true,
       suspensionReason: reason,
       suspendedAt: new Date(),
-      suspendedBy: req.user._id,
+      suspendedBy: req.admin._id,
       suspendedUntil: suspendUntil
     }
   );
 
+  // Sign the suspended users out everywhere
+  const suspendedUsers = await User.find({ _id: { $in: userIds } }).select("_id");
+  for (const { _id } of suspendedUsers) {
+    await revokeAllUserAccess(_id, req);
+    disconnectUserSockets(_id, "suspended");
+  }
+
   return res.status(200).json(
     new ApiResponse(200, { 
       modifiedCount: result.modifiedCount,
@@ -864,7 +951,7 @@ const verifyJob = asyncHandler(async (req, res) => {
     { 
       isVerified: true,
       verifiedAt: new Date(),
-      verifiedBy: req.user._id
+      verifiedBy: req.admin._id
     },
     { new: true }
   );
@@ -873,6 +960,8 @@ const verifyJob = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Job not found");
   }
 
+  publish(DOMAIN_EVENTS.JOB_VERIFIED, { job });
+
   return res
     .status(200)
     .json(new ApiResponse(200, { job }, "Job verified successfully"));
@@ -899,7 +988,7 @@ const rejectJob = asyncHandler(async (req, res) => {
       isRejected: true,
       rejectionReason: reason,
       rejectedAt: new Date(),
-      rejectedBy: req.user._id
+      rejectedBy: req.admin._id
     },
     { new: true }
   );
@@ -908,6 +997,8 @@ const rejectJob = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Job not found");
   }
 
+  publish(DOMAIN_EVENTS.JOB_REJECTED, { job, reason });
+
   return res
     .status(200)
     .json(new ApiResponse(200, { job }, "Job rejected successfully"));
@@ -927,7 +1018,7 @@ const verifyInternship = asyncHandler(async (req, res) => {
     { 
       isVerified: true,
       verifiedAt: new Date(),
-      verifiedBy: req.user._id
+      verifiedBy: req.admin._id
     },
     { new: true }
   );
@@ -936,6 +1027,8 @@ const verifyInternship = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Internship not found");
   }
 
+  publish(DOMAIN_EVENTS.INTERNSHIP_VERIFIED, { internship });
+
   return res
     .status(200)
     .json(new ApiResponse(200, { internship }, "Internship verified successfully"));
@@ -962,7 +1055,7 @@ const rejectInternship = asyncHandler(async (req, res) => {
       isRejected: true,
       rejectionReason: reason,
       rejectedAt: new Date(),
-      rejectedBy: req.user._id
+      rejectedBy: req.admin._id
     },
     { new: true }
   );
@@ -971,6 +1064,8 @@ const rejectInternship = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Internship not found");
   }
 
+  publish(DOMAIN_EVENTS.INTERNSHIP_REJECTED, { internship, reason });
+
   return res
     .status(200)
     .json(new ApiResponse(200, { internship }, "Internship rejected successfully"));
@@ -1069,6 +1164,9 @@ const getStudentById = asyncHandler(async (req, res) => {
         availableForMentorship: 0,
         mentorshipExperience: 0,
         verifyOtp: 0,
+        "twoFactor.secret": 0,
+        "twoFactor.pendingSecret": 0,
+        "twoFactor.backupCodes": 0,
 
         __v: 0,
       },
@@ -1132,6 +1230,9 @@ const getAlumniById = asyncHandler(async (req, res) => {
       $project: {
 
         verifyOtp: 0,
+        "twoFactor.secret": 0,
+        "twoFactor.pendingSecret": 0,
+        "twoFactor.backupCodes": 0,
         mentorshipNeeds: 0,
         __v: 0,
       },
@@ -1208,7 +1309,7 @@ const moderateContent = asyncHandler(async (req, res) => {
 
   // Update report status
   report.status = action === 'approve' ? 'resolved' : 'rejected';
-  report.moderatedBy = req.user._id;
+  report.moderatedBy = req.admin._id;
   report.moderatedAt = new Date();
   report.moderationReason = reason;
 
@@ -1263,20 +1364,26 @@ const getContentAnalytics = asyncHandler(async (req, res) => {
 
 // Audit and Logging Functions
 const getAuditLogs = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, action = 'all', adminId = 'all' } = req.query;
+  const { page = 1, limit = 10, action = 'all', adminId = 'all', targetType, targetId } = req.query;
 
   const filter = {};
   if (action !== 'all') filter.action = action;
   if (adminId !== 'all') filter.adminId = adminId;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new ApiError(400, "Invalid target ID");
+    }
+    filter.targetId = targetId;
+  }
 
-  // This assumes you have an AuditLog model - you may need to create this
-  const logs = await AuditLog?.find(filter)
+  const logs = await AuditLog.find(filter)
     .populate('adminId', 'firstName lastName')
     .sort({ createdAt: -1 })
     .limit(limit * 1)
-    .skip((page - 1) * limit) || [];
+    .skip((page - 1) * limit);
 
-  const totalLogs = await AuditLog?.countDocuments(filter) || 0;
+  const totalLogs = await AuditLog.countDocuments(filter);
 
   return res.status(200).json(new ApiResponse(200, {
     logs,
@@ -1292,17 +1399,16 @@ const getAuditLogs = asyncHandler(async (req, res) => {
 
 const createAuditLog = async (adminId, action, details, targetType, targetId, req = null) => {
   try {
-    if (AuditLog) {
-      await AuditLog.create({
-        adminId,
-        action,
-        details,
-        targetType,
-        targetId,
-        timestamp: new Date(),
-        ipAddress: req?.ip || 'unknown'
-      });
-    }
+    await AuditLog.create({
+      adminId,
+      action,
+      details,
+      targetType,
+      targetId,
+      timestamp: new Date(),
+      ipAddress: req?.ip || 'unknown',
+      userAgent: req?.get?.('User-Agent')
+    });
   } catch (error) {
     console.error('Error creating audit log:', error);
   }
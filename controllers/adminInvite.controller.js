@@ -0,0 +1,260 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import {
+  AdminInvite,
+  ADMIN_INVITE_ROLES,
+} from "../models/adminInvite.model.js";
+import { sendTemplatedMail } from "../utils/mailer.js";
+import { createAdminAccount } from "../utils/adminAccountUtils.js";
+
+const DEFAULT_INVITE_EXPIRY_HOURS = 72;
+const MAX_INVITE_EXPIRY_HOURS = 7 * 24;
+
+const formatInvite = (invite) => ({
+  _id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  status: invite.getStatus(),
+  invitedBy: invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  acceptedAt: invite.acceptedAt,
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt,
+});
+
+// Look up an invite that can still be accepted from the raw token
+const findPendingInvite = async (token) => {
+  const invite = await AdminInvite.findOne({
+    tokenHash: AdminInvite.hashToken(token),
+  });
+
+  if (!invite) {
+    throw new ApiError(404, "Invitation not found");
+  }
+
+  const status = invite.getStatus();
+  if (status !== "pending") {
+    throw new ApiError(410, `This invitation has been ${status}`);
+  }
+
+  return invite;
+};
+
+const createAdminInvite = asyncHandler(async (req, res) => {
+  const {
+    email,
+    role,
+    expiresInHours = DEFAULT_INVITE_EXPIRY_HOURS,
+  } = req.body;
+
+  if (!email) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  if (!role || !ADMIN_INVITE_ROLES.includes(role)) {
+    throw new ApiError(
+      400,
+      `Role must be one of: ${ADMIN_INVITE_ROLES.join(", ")}`
+    );
+  }
+
+  const hours = Number(expiresInHours);
+  if (!(hours > 0) || hours > MAX_INVITE_EXPIRY_HOURS) {
+    throw new ApiError(
+      400,
+      `expiresInHours must be between 1 and ${MAX_INVITE_EXPIRY_HOURS}`
+    );
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  if (await User.exists({ email: normalizedEmail })) {
+    throw new ApiError(409, "An account with this email already exists");
+  }
+
+  // A new invite replaces any pending one for the same address
+  await AdminInvite.updateMany(
+    { email: normalizedEmail, ...AdminInvite.pendingFilter() },
+    { revokedAt: new Date(), revokedBy: req.admin._id }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  const invite = await AdminInvite.create({
+    email: normalizedEmail,
+    role,
+    tokenHash: AdminInvite.hashToken(token),
+    invitedBy: req.admin._id,
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+  });
+
+  const baseUrl = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || "";
+
+  try {
+    await sendTemplatedMail(normalizedEmail, "adminInvite", {
+      invitedByEmail: req.admin.email,
+      role: role.replace(/_/g, " "),
+      acceptUrl: `${baseUrl}/admin/accept-invite?token=${encodeURIComponent(
+        token
+      )}`,
+      expiresAt: invite.expiresAt,
+    });
+  } catch (error) {
+    await AdminInvite.deleteOne({ _id: invite._id });
+    throw new ApiError(
+      502,
+      "Could not send the invitation email, please try again"
+    );
+  }
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { invite: formatInvite(invite) },
+        "Invitation sent successfully"
+      )
+    );
+});
+
+const listAdminInvites = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const now = new Date();
+
+  const filter = {};
+  if (status === "pending") Object.assign(filter, AdminInvite.pendingFilter());
+  if (status === "accepted") filter.acceptedAt = { $ne: null };
+  if (status === "revoked") filter.revokedAt = { $ne: null };
+  if (status === "expired") {
+    Object.assign(filter, {
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $lte: now },
+    });
+  }
+
+  const invites = await AdminInvite.find(filter)
+    .populate("invitedBy", "email firstName lastName")
+    .populate("acceptedBy", "email uid")
+    .sort({ createdAt: -1 })
+    .limit(100);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { invites: invites.map(formatInvite) },
+        "Invitations retrieved successfully"
+      )
+    );
+});
+
+const revokeAdminInvite = asyncHandler(async (req, res) => {
+  const { inviteId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+    throw new ApiError(400, "Invalid invitation ID");
+  }
+
+  const invite = await AdminInvite.findOneAndUpdate(
+    { _id: inviteId, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: req.admin._id },
+    { new: true }
+  );
+
+  if (!invite) {
+    throw new ApiError(404, "No open invitation found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { invite: formatInvite(invite) },
+        "Invitation revoked successfully"
+      )
+    );
+});
+
+// Public: lets the accept page show who the invitation is for
+const getAdminInvite = asyncHandler(async (req, res) => {
+  const invite = await findPendingInvite(req.params.token);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { email: invite.email, role: invite.role, expiresAt: invite.expiresAt },
+      "Invitation is valid"
+    )
+  );
+});
+
+// Public: the invitee sets a password and the admin account is created
+const acceptAdminInvite = asyncHandler(async (req, res) => {
+  const { password, firstName, lastName } = req.body;
+
+  if (!password) {
+    throw new ApiError(400, "Password is required");
+  }
+
+  const invite = await findPendingInvite(req.params.token);
+
+  // Claim the invite atomically so it cannot be used twice
+  const claimed = await AdminInvite.findOneAndUpdate(
+    { _id: invite._id, ...AdminInvite.pendingFilter() },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new ApiError(410, "This invitation is no longer valid");
+  }
+
+  let admin;
+  try {
+    admin = await createAdminAccount({
+      email: claimed.email,
+      password,
+      adminRole: claimed.role,
+      firstName,
+      lastName,
+    });
+  } catch (error) {
+    // Give the invite back so the invitee can retry, e.g. with a longer password
+    await AdminInvite.updateOne({ _id: claimed._id }, { acceptedAt: null });
+    throw error;
+  }
+
+  claimed.acceptedBy = admin._id;
+  await claimed.save();
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        admin: {
+          email: admin.email,
+          uid: admin.uid,
+          role: admin.role,
+          adminRole: admin.adminRole,
+        },
+      },
+      "Invitation accepted. You can now log in."
+    )
+  );
+});
+
+export {
+  createAdminInvite,
+  listAdminInvites,
+  revokeAdminInvite,
+  getAdminInvite,
+  acceptAdminInvite,
+};
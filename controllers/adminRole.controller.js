@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { logSecurityEvent } from "../utils/sessionUtils.js";
+import {
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  getAdminRole,
+  getAdminPermissions,
+  superAdminFilter,
+} from "../utils/adminPermissions.js";
+
+const formatAdmin = (admin) => ({
+  _id: admin._id,
+  uid: admin.uid,
+  email: admin.email,
+  firstName: admin.firstName,
+  lastName: admin.lastName,
+  adminRole: getAdminRole(admin),
+  permissions: getAdminPermissions(admin),
+  isSuspended: admin.isSuspended,
+  createdAt: admin.createdAt,
+});
+
+// Roles and permissions known to the server
+const getAdminRoles = asyncHandler(async (req, res) => {
+  const roles = ADMIN_ROLES.map((name) => ({
+    name,
+    permissions: ADMIN_ROLE_PERMISSIONS[name],
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { roles, permissions: ADMIN_PERMISSIONS },
+        "Admin roles retrieved successfully"
+      )
+    );
+});
+
+// The logged-in admin's own role and permissions
+const getMyAdminPermissions = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          adminRole: getAdminRole(req.admin),
+          permissions: getAdminPermissions(req.admin),
+        },
+        "Admin permissions retrieved successfully"
+      )
+    );
+});
+
+const getAdmins = asyncHandler(async (req, res) => {
+  const filter = { role: "admin", isDeleted: { $ne: true } };
+
+  if (req.query.adminRole) {
+    if (!ADMIN_ROLES.includes(req.query.adminRole)) {
+      throw new ApiError(400, "Invalid admin role");
+    }
+    filter.adminRole =
+      req.query.adminRole === DEFAULT_ADMIN_ROLE
+        ? { $in: [null, DEFAULT_ADMIN_ROLE] }
+        : req.query.adminRole;
+  }
+
+  const admins = await User.find(filter)
+    .select("uid email firstName lastName adminRole isSuspended createdAt")
+    .sort({ createdAt: 1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { admins: admins.map(formatAdmin) },
+        "Admins retrieved successfully"
+      )
+    );
+});
+
+const updateAdminRole = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+  const { adminRole } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(adminId)) {
+    throw new ApiError(400, "Invalid admin ID");
+  }
+
+  if (!ADMIN_ROLES.includes(adminRole)) {
+    throw new ApiError(
+      400,
+      `adminRole must be one of: ${ADMIN_ROLES.join(", ")}`
+    );
+  }
+
+  if (adminId === req.admin._id.toString()) {
+    throw new ApiError(400, "You cannot change your own role");
+  }
+
+  const admin = await User.findOne({
+    _id: adminId,
+    role: "admin",
+    isDeleted: { $ne: true },
+  });
+
+  if (!admin) {
+    throw new ApiError(404, "Admin not found");
+  }
+
+  const previousRole = getAdminRole(admin);
+
+  if (
+    previousRole === DEFAULT_ADMIN_ROLE &&
+    adminRole !== DEFAULT_ADMIN_ROLE &&
+    (await User.countDocuments(superAdminFilter())) <= 1
+  ) {
+    throw new ApiError(409, "Cannot demote the last super admin");
+  }
+
+  admin.adminRole = adminRole;
+  await admin.save();
+
+  await logSecurityEvent(
+    admin._id,
+    "ADMIN_ROLE_CHANGED",
+    { previousRole, adminRole, changedBy: req.admin._id },
+    req
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { admin: formatAdmin(admin) },
+        "Admin role updated successfully"
+      )
+    );
+});
+
+export { getAdminRoles, getMyAdminPermissions, getAdmins, updateAdminRole };
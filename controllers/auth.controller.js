@@ -3,6 +3,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { User } from "../models/user.model.js";
 import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { sendTemplatedMail } from "../utils/mailer.js";
 import {
   generateTokenPair,
   verifyRefreshToken,
@@ -10,12 +11,53 @@ import {
   getCookieOptions,
   extractToken,
   validateTokenPayload,
-  generateAccessToken,
-  verifyAccessToken,
+  generatePasswordResetToken,
+  generateEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyJWT,
 } from "../utils/jwt.js";
+import {
+  assertRefreshTokenUsable,
+  isSessionActive,
+  logSecurityEvent,
+  recordFailedLogin,
+  checkSuspiciousActivity,
+} from "../utils/sessionUtils.js";
+import { assertAccountUsable } from "../utils/accountStatusUtils.js";
+import {
+  resolveTwoFactorChallenge,
+  verifySecondFactor,
+} from "../utils/twoFactorUtils.js";
+import {
+  issueOtp,
+  verifyOtp,
+  discardOtp,
+  claimPasswordResetToken,
+  OTP_EXPIRY_MINUTES,
+} from "../utils/otpUtils.js";
 
 import { v4 as uuidv4 } from "uuid";
 
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// Email a verification link for the user's current address
+const sendVerificationEmail = async (user) => {
+  const token = await generateEmailVerificationToken({
+    userId: user._id.toString(),
+    email: user.email,
+  });
+
+  const baseUrl = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || "";
+
+  await sendTemplatedMail(user.email, "emailVerification", {
+    firstName: user.firstName,
+    verificationUrl: `${baseUrl}/verify-email?token=${encodeURIComponent(token)}`,
+  });
+
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+};
+
 const registerUser = asyncHandler(async (req, res) => {
   const {
     email,
@@ -74,15 +116,34 @@ const registerUser = asyncHandler(async (req, res) => {
     department,
     role,
     isActive: true, // Ensure user is active upon registration
+    isEmailVerified: false,
   });
 
   if (!user) {
     throw new ApiError(500, "Error occurred while registering the user");
   }
 
+  // Welcome mail is best-effort; registration must not fail because of it
+  sendTemplatedMail(user.email, "welcome", { firstName: user.firstName }).catch(
+    (error) => console.log("Could not send welcome mail:", error.message)
+  );
+
+  // The user can ask for another link from /resend-verification-email
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.log("Could not send verification mail:", error.message);
+  }
+
   return res
     .status(201)
-    .json(new ApiResponse(201, {}, "user has been registered successfully"));
+    .json(
+      new ApiResponse(
+        201,
+        {},
+        "user has been registered successfully, please verify your email address"
+      )
+    );
 });
 
 const loginUser = asyncHandler(async (req, res) => {
@@ -107,11 +168,28 @@ const loginUser = asyncHandler(async (req, res) => {
   );
 
   if (!user) {
+    await logSecurityEvent(
+      null,
+      "LOGIN_FAILED",
+      { reason: "unknown_account", identifier: email || uid },
+      req
+    );
     throw new ApiError(401, "Invalid credentials");
   }
 
+  // Admins log in through /api/v1/admin/auth so the admin 2FA policy applies
+  if (user.role === "admin") {
+    throw new ApiError(403, "Admin users should use admin routes");
+  }
+
   // Check if account is locked
   if (user.isAccountLocked()) {
+    await logSecurityEvent(
+      user._id,
+      "LOGIN_FAILED",
+      { reason: "account_locked" },
+      req
+    );
     throw new ApiError(
       429,
       "Account temporarily locked due to too many failed login attempts. Please try again later."
@@ -122,15 +200,40 @@ const loginUser = asyncHandler(async (req, res) => {
   const passwordCorrect = await user.isPasswordCorrect(password);
   if (!passwordCorrect) {
     // Increment login attempts
-    await user.incrementLoginAttempts();
+    await recordFailedLogin(user, req, { reason: "invalid_password" });
     throw new ApiError(401, "Invalid password");
   }
 
+  // Only reveal the account status to someone who knows the password
+  await assertAccountUsable(user);
+
   // Reset login attempts on successful login
   if (user.loginAttempts.count > 0) {
     await user.resetLoginAttempts();
   }
 
+  // With 2FA enabled the password only earns a short-lived challenge token;
+  // the token pair is issued by verifyTwoFactorLogin
+  if (user.twoFactor?.enabled) {
+    const challengeToken = await generateTwoFactorChallengeToken({
+      userId: user._id.toString(),
+      rememberMe,
+    });
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { twoFactorRequired: true, challengeToken },
+        "Enter the code from your authenticator app to finish logging in"
+      )
+    );
+  }
+
+  return await completeLogin(user, req, res, rememberMe);
+});
+
+// Issue the token pair, store the refresh token and session, and send the response
+const completeLogin = async (user, req, res, rememberMe) => {
   // Create user payload for JWT
   const userPayload = createUserPayload(user);
 
@@ -151,6 +254,8 @@ const loginUser = asyncHandler(async (req, res) => {
     userAgent: req.get("User-Agent") || "",
     ipAddress: req.ip || req.connection.remoteAddress || "",
     rememberMe: rememberMe,
+    familyId: tokenData.refreshTokenFamilyId,
+    sessionId,
   };
   await user.addRefreshToken(refreshTokenData);
 
@@ -159,9 +264,19 @@ const loginUser = asyncHandler(async (req, res) => {
     sessionId,
     deviceInfo: req.get("User-Agent") || "Unknown Device",
     ipAddress: req.ip || req.connection.remoteAddress || "",
-  }); // Get user data without sensitive fields
+  });
+
+  await logSecurityEvent(
+    user._id,
+    "LOGIN_SUCCESS",
+    { sessionId, rememberMe, twoFactor: user.twoFactor?.enabled || false },
+    req
+  );
+  await checkSuspiciousActivity(user, req);
+
+  // Get user data without sensitive fields
   const userData = await User.findById(user._id).select(
-    "_id uid email firstName lastName role isProfileVerified isProfileComplete"
+    "_id uid email firstName lastName role isProfileVerified isProfileComplete isEmailVerified"
   );
 
   return res
@@ -188,6 +303,31 @@ const loginUser = asyncHandler(async (req, res) => {
         "User has been successfully logged in"
       )
     );
+};
+
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  if (!code && !backupCode) {
+    throw new ApiError(400, "Two-factor code or backup code is required");
+  }
+
+  const { user, challenge } = await resolveTwoFactorChallenge(challengeToken);
+
+  try {
+    await verifySecondFactor(user, { code, backupCode });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      await recordFailedLogin(user, req, { reason: "invalid_two_factor_code" });
+    }
+    throw error;
+  }
+
+  if (user.loginAttempts.count > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  return await completeLogin(user, req, res, challenge.rememberMe || false);
 });
 
 const logoutUser = asyncHandler(async (req, res) => {
@@ -218,6 +358,17 @@ const logoutUser = asyncHandler(async (req, res) => {
 
         // Save user changes
         await user.save({ validateBeforeSave: false });
+
+        await logSecurityEvent(
+          user._id,
+          "REFRESH_TOKEN_REVOKED",
+          {
+            reason: "logout",
+            tokenId: tokenIdToRevoke,
+            sessionId: decoded.sessionId || req.body.sessionId,
+          },
+          req
+        );
       }
     } catch (error) {
       // Token verification failed, but we still want to clear cookies
@@ -264,37 +415,43 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       throw new ApiError(401, "Invalid refresh token - user not found");
     }
 
+    await assertAccountUsable(user);
+
     // Use tokenId from decoded payload, fallback to jti for backwards compatibility
     const tokenIdToCheck = decoded.tokenId || decoded.jti;
 
-    // Check if refresh token is valid in database
-    if (!user.isRefreshTokenValid(tokenIdToCheck)) {
-      throw new ApiError(401, "Refresh token has been revoked or expired");
-    }
+    // Check the token is live; a replayed rotated token revokes its family
+    await assertRefreshTokenUsable(user, decoded, req);
 
-    // Remove expired tokens
-    await user.removeExpiredRefreshTokens();
+    // The session may have been signed out from another device
+    if (!isSessionActive(user, decoded.sessionId)) {
+      await user.revokeRefreshToken(tokenIdToCheck);
+      throw new ApiError(401, "Session has been revoked. Please login again.");
+    }
 
-    // Generate new token pair with session continuity
+    // Generate new token pair in the same family, with session continuity
+    const rememberMe = decoded.rememberMe || false;
     const userPayload = createUserPayload(user);
     const tokenData = await generateTokenPair(
       userPayload,
-      false,
-      decoded.sessionId
+      rememberMe,
+      decoded.sessionId,
+      decoded.familyId || tokenIdToCheck
     );
 
-    // Revoke old refresh token and add new one
-    await user.revokeRefreshToken(tokenIdToCheck);
-
-    const newRefreshTokenData = {
+    // Revoke old refresh token and add its replacement
+    await user.rotateRefreshToken(tokenIdToCheck, {
       token: tokenData.refreshToken,
       tokenId: tokenData.refreshTokenId,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+      expiresAt: new Date(
+        Date.now() +
+          (rememberMe ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000)
+      ),
       userAgent: req.get("User-Agent") || "",
       ipAddress: req.ip || req.connection.remoteAddress || "",
-    };
-
-    await user.addRefreshToken(newRefreshTokenData);
+      rememberMe,
+      sessionId: decoded.sessionId,
+    });
 
     // Update session access if session exists
     if (decoded.sessionId) {
@@ -309,7 +466,7 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       .cookie(
         "refreshToken",
         tokenData.refreshToken,
-        getCookieOptions("refresh")
+        getCookieOptions("refresh", rememberMe)
       )
       .json(
         new ApiResponse(
@@ -366,21 +523,24 @@ const verifyUserAccountForPasswordChange = asyncHandler(async (req, res) => {
 const sendOtpForPasswordChange = asyncHandler(async (req, res) => {
   const email = req.params?.email;
 
-  const otp = Math.floor(100000 + Math.random() * 900000);
-
-  const user = await User.findOneAndUpdate(
-    { email },
-    { verifyOtp: otp },
-    {
-      new: true,
-    }
-  );
+  const user = await User.findOne({ email });
 
   if (!user) {
-    throw new ApiError(
-      500,
-      "error occurred while getting the user and sending otp"
-    );
+    throw new ApiError(404, "User not found with these credentials");
+  }
+
+  const otp = await issueOtp(user, "password_reset");
+
+  try {
+    await sendTemplatedMail(user.email, "passwordResetOtp", {
+      firstName: user.firstName,
+      otp,
+      expiresInMinutes: OTP_EXPIRY_MINUTES,
+    });
+  } catch (error) {
+    // Let the user ask again straight away instead of waiting out the cooldown
+    await discardOtp(user, "password_reset");
+    throw new ApiError(502, "Could not send the otp email, please try again");
   }
 
   return res
@@ -399,24 +559,14 @@ const verifyOtpForPasswordChange = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found");
   }
 
-  const isOtpCorrect = otp == user.verifyOtp;
-  if (!isOtpCorrect) {
-    throw new ApiError(400, "Invalid OTP. Please provide the correct OTP");
-  }
-
-  user.verifyOtp = undefined;
-  await user.save();
+  await verifyOtp(user, "password_reset", otp);
 
-  // Create a temporary password reset payload
-  const resetPayload = {
-    _id: user._id.toString(),
+  // Generate a short-lived token that only the password reset endpoint accepts
+  const resetToken = await generatePasswordResetToken({
+    userId: user._id.toString(),
     uid: user.uid,
     email: user.email,
-    purpose: "password-reset",
-  };
-
-  // Generate a short-lived access token for password reset (5 minutes)
-  const resetToken = await generateAccessToken(resetPayload);
+  });
 
   return res
     .status(200)
@@ -458,6 +608,13 @@ const changePasswordUsingOldPassword = asyncHandler(async (req, res) => {
     throw new ApiError(500, "error occured while updating the password");
   }
 
+  await logSecurityEvent(
+    user._id,
+    "PASSWORD_CHANGED",
+    { method: "old_password" },
+    req
+  );
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "password has been updated successfully"));
@@ -471,20 +628,29 @@ const changePasswordUsingOtp = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Reset token not found");
   }
 
+  if (!newPassword) {
+    throw new ApiError(400, "New password is required");
+  }
+
   try {
     // Verify the reset token
-    const decoded = await verifyAccessToken(resetToken);
+    const decoded = await verifyJWT(resetToken);
 
-    // Check if token is for password reset purpose
-    if (decoded.purpose !== "password-reset") {
+    // Check if token is for password reset purpose; admins reset through the admin API
+    if (decoded.type !== "password_reset" || decoded.role === "admin") {
       throw new ApiError(400, "Invalid reset token purpose");
     }
 
-    const user = await User.findById(decoded.userId);
-    if (!user) {
+    if (!(await User.exists({ _id: decoded.userId }))) {
       throw new ApiError(401, "User not found");
     }
 
+    // Each reset token changes the password once
+    const user = await claimPasswordResetToken(decoded);
+    if (!user) {
+      throw new ApiError(400, "Reset token has already been used. Please request a new OTP.");
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
@@ -495,6 +661,13 @@ const changePasswordUsingOtp = asyncHandler(async (req, res) => {
     // Clear all sessions
     await user.clearAllSessions();
 
+    await logSecurityEvent(
+      user._id,
+      "PASSWORD_CHANGED",
+      { method: "otp", sessionsRevoked: true },
+      req
+    );
+
     return res
       .status(200)
       .json(
@@ -505,6 +678,9 @@ const changePasswordUsingOtp = asyncHandler(async (req, res) => {
         )
       );
   } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
     if (error.message.includes("expired")) {
       throw new ApiError(
         400,
@@ -515,9 +691,92 @@ const changePasswordUsingOtp = asyncHandler(async (req, res) => {
   }
 });
 
+const verifyEmail = asyncHandler(async (req, res) => {
+  const token = req.params?.token;
+
+  if (!token) {
+    throw new ApiError(400, "Verification token is required");
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyJWT(token);
+  } catch (error) {
+    if (error.message.includes("expired")) {
+      throw new ApiError(
+        400,
+        "Verification link has expired. Please request a new one."
+      );
+    }
+    throw new ApiError(400, "Invalid verification link");
+  }
+
+  if (decoded.type !== "email_verification") {
+    throw new ApiError(400, "Invalid verification link");
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  // A link sent to a previous address must not verify the current one
+  if (!user || user.email !== decoded.email) {
+    throw new ApiError(400, "Invalid verification link");
+  }
+
+  if (user.isEmailVerified !== true) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isEmailVerified: true },
+        "Email address has been verified successfully"
+      )
+    );
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  if (user.isEmailVerified !== false) {
+    throw new ApiError(400, "Email address is already verified");
+  }
+
+  if (user.emailVerificationSentAt) {
+    const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+    if (elapsed < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      throw new ApiError(
+        429,
+        `Please wait ${Math.ceil(
+          EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsed
+        )} seconds before requesting a new verification email`
+      );
+    }
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    throw new ApiError(502, "Could not send the verification email, please try again");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email has been sent"));
+});
+
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
   refreshAccessToken,
   verifyUserAccountForPasswordChange,
@@ -525,4 +784,6 @@ export {
   changePasswordUsingOtp,
   sendOtpForPasswordChange,
   verifyOtpForPasswordChange,
+  verifyEmail,
+  resendVerificationEmail,
 };
@@ -4,35 +4,167 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 import { Chat } from "../models/chat.model.js";
 import { Message } from "../models/message.model.js";
 import { User } from "../models/user.model.js";
+import { RetainedMessage } from "../models/retainedMessage.model.js";
 import mongoose from "mongoose";
+import {
+    isAccountVisible,
+    visibleAccountFilter,
+} from "../utils/accountStatusUtils.js";
+import {
+    isUserChatMember,
+    isUserChatAdmin,
+    buildUserChatsPipeline,
+    advanceChatCursor,
+    getMemberCursor,
+    getMemberSettings,
+    formatMemberSettings,
+    updateMemberSettings,
+    getMessageStatus,
+    getUnreadMessageCount,
+    validateMessageContent,
+    removeMessageAttachments,
+    isValidReactionEmoji,
+    summarizeReactions,
+    formatMessage,
+    escapeRegex,
+    buildSearchSnippet,
+    checkMessageRateLimit,
+} from "../utils/chatUtils.js";
+import {
+    getAttachmentType,
+    validateAttachment,
+    removeTempFile,
+} from "../utils/attachmentUtils.js";
+import {
+    uploadOnCloudinary,
+    deleteFromCloudinary,
+    getThumbnailUrl,
+} from "../utils/cloudinary.js";
+import { socketAuthentication } from "../middlewares/socket.auth.middleware.js";
+import { getSocketEventRateLimiter } from "../utils/rateLimiter.js";
+import { CHAT_EXPORT_FORMATS, writeChatTranscript } from "../utils/chatExport.js";
+import { DOMAIN_EVENTS, publish } from "../utils/eventBus.js";
+import {
+    initializePresence,
+    trackSocketConnected,
+    trackSocketDisconnected,
+    withPresence,
+} from "../utils/presence.js";
 
 // Socket.IO instance (will be initialized in app.js)
 let io;
 
+// Messages can be edited for this long after they are sent
+// (read per request, since dotenv runs after this module is imported)
+const getMessageEditWindowMinutes = () => parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15;
+
+// Limit on distinct emojis per message
+const MAX_REACTION_EMOJIS = 20;
+
+// Limits on pinned chats per user and pinned messages per chat
+const MAX_PINNED_CHATS = 5;
+const MAX_PINNED_MESSAGES = 10;
+
+// Sender and quoted parent used wherever messages are returned
+const populateMessage = (query) => query
+    .populate('sender', 'firstName lastName profileImage email')
+    .populate({
+        path: 'replyTo',
+        select: 'sender content type attachment.name attachment.thumbnailUrl createdAt',
+        populate: { path: 'sender', select: 'firstName lastName' }
+    });
+
+// A reply must quote a message of the same chat
+const resolveReplyTo = async (chatId, replyTo) => {
+    if (!replyTo) return undefined;
+
+    const parent = mongoose.Types.ObjectId.isValid(replyTo)
+        ? await Message.exists({ _id: replyTo, chat: chatId })
+        : null;
+
+    if (!parent) {
+        throw new ApiError(400, "The message you are replying to was not found in this chat");
+    }
+
+    return replyTo;
+};
+
+// Reject a send once the user's message bucket is empty
+const enforceMessageRateLimit = async (userId, res) => {
+    const { allowed, retryAfterMs } = await checkMessageRateLimit(userId);
+
+    if (!allowed) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        throw new ApiError(429, "You're sending messages too fast. Please wait a moment");
+    }
+};
+
+// Events from a socket only reach chats it was allowed to join
+const isInChatRoom = (socket, chatId) =>
+    typeof chatId === 'string' && socket.rooms.has(chatId);
+
+// Disconnect the socket when its access token expires; the client reconnects
+// with a refreshed token
+const scheduleTokenExpiry = (socket) => {
+    if (!socket.tokenExpiresAt) return;
+
+    const timer = setTimeout(() => {
+        socket.emit('token_expired', { timestamp: new Date() });
+        socket.disconnect(true);
+    }, Math.max(socket.tokenExpiresAt - Date.now(), 0));
+
+    socket.on('disconnect', () => clearTimeout(timer));
+};
+
 // Initialize Socket.IO
 export const initializeSocket = (socketIO) => {
     io = socketIO;
+    initializePresence(socketIO);
+
+    // Every connection must present a valid access token (see socket.auth.middleware.js)
+    io.use(socketAuthentication);
     
     io.on('connection', (socket) => {
         console.log('User connected:', socket.id);
+
+        // Rooms are derived from the token, not from client-supplied IDs.
+        // The session room lets a revoked session be told to sign out (see session.controller.js)
+        socket.join([socket.userId, `notifications_${socket.userId}`]);
+        if (socket.sessionId) {
+            socket.join(`session_${socket.sessionId}`);
+        }
+
+        scheduleTokenExpiry(socket);
+        trackSocketConnected(socket);
+
+        // One bucket per user, shared by all of their sockets; excess events are dropped
+        socket.use(async ([event], next) => {
+            const { allowed, retryAfterMs } = await getSocketEventRateLimiter().consume(socket.userId);
+            if (allowed) return next();
+
+            socket.emit('rate_limited', { event, retryAfterMs });
+        });
         
-        // Join user to their own room for direct messaging
-        socket.on('join', (userData) => {
-            socket.join(userData.userId);
-            socket.userId = userData.userId;
-            console.log(`User ${userData.userId} joined their room`);
+        // Kept for older clients; the rooms are already joined on connection
+        socket.on('join', () => {
+            console.log(`User ${socket.userId} joined their room`);
         });
         
-        // Join user to their notification room for connection updates
-        socket.on('join_notifications', (userData) => {
-            socket.join(`notifications_${userData.userId}`);
-            console.log(`User ${userData.userId} joined notification room`);
+        socket.on('join_notifications', () => {
+            socket.join(`notifications_${socket.userId}`);
+            console.log(`User ${socket.userId} joined notification room`);
         });
         
-        // Join a specific chat room
-        socket.on('join_chat', (chatId) => {
-            socket.join(chatId);
-            console.log(`User ${socket.userId} joined chat ${chatId}`);
+        // Join a specific chat room; only members are let in
+        socket.on('join_chat', async (chatId) => {
+            const chatKey = chatId?.toString();
+            if (!mongoose.Types.ObjectId.isValid(chatKey) || !(await isUserChatMember(chatKey, socket.userId))) {
+                socket.emit('join_chat_error', { chatId, message: 'You are not a member of this chat' });
+                return;
+            }
+
+            socket.join(chatKey);
+            console.log(`User ${socket.userId} joined chat ${chatKey}`);
         });
         
         // Leave a specific chat room
@@ -42,13 +174,15 @@ export const initializeSocket = (socketIO) => {
         });
         
         // Leave notification room
-        socket.on('leave_notifications', (userData) => {
-            socket.leave(`notifications_${userData.userId}`);
-            console.log(`User ${userData.userId} left notification room`);
+        socket.on('leave_notifications', () => {
+            socket.leave(`notifications_${socket.userId}`);
+            console.log(`User ${socket.userId} left notification room`);
         });
         
         // Handle typing indicator
         socket.on('typing', (data) => {
+            if (!isInChatRoom(socket, data?.chatId)) return;
+
             socket.to(data.chatId).emit('user_typing', {
                 userId: socket.userId,
                 chatId: data.chatId,
@@ -56,21 +190,13 @@ export const initializeSocket = (socketIO) => {
             });
         });
         
-        // Handle message status updates
+        // Delivery and read acknowledgements move the member's cursor up to the message
         socket.on('message_delivered', (data) => {
-            updateMessageStatus(data.messageId, 'delivered');
-            socket.to(data.chatId).emit('message_status_updated', {
-                messageId: data.messageId,
-                status: 'delivered'
-            });
+            acknowledgeFromSocket(socket, data, 'delivered');
         });
         
         socket.on('message_read', (data) => {
-            updateMessageStatus(data.messageId, 'read');
-            socket.to(data.chatId).emit('message_status_updated', {
-                messageId: data.messageId,
-                status: 'read'
-            });
+            acknowledgeFromSocket(socket, data, 'read');
         });
         
         // Handle connection request acknowledgment
@@ -80,17 +206,60 @@ export const initializeSocket = (socketIO) => {
         
         // Handle disconnect
         socket.on('disconnect', () => {
+            trackSocketDisconnected(socket);
             console.log('User disconnected:', socket.id);
         });
     });
 };
 
-// Helper function to update message status
-const updateMessageStatus = async (messageId, status) => {
+// Find a message of a chat the user belongs to
+const findMessageForMember = async (chatId, messageId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        return null;
+    }
+
+    if (!(await isUserChatMember(chatId, userId))) {
+        return null;
+    }
+
+    return Message.findOne({ _id: messageId, chat: chatId }).select('_id chat createdAt');
+};
+
+// Move the member's cursor and tell the chat (and the member's other devices)
+const acknowledgeMessages = async (chatId, userId, message, kind) => {
+    const moved = await advanceChatCursor(chatId, userId, message, kind);
+
+    // Reading the chat clears a manual "mark as unread"
+    if (kind === 'read') {
+        await Chat.updateOne(
+            { _id: chatId, memberSettings: { $elemMatch: { user: userId, markedUnread: true } } },
+            { $set: { 'memberSettings.$.markedUnread': false } }
+        );
+    }
+
+    if (moved && io) {
+        const chat = await Chat.findById(chatId).select('users');
+        io.to([chatId.toString(), ...chat.users.map((member) => member.toString())])
+            .emit(kind === 'read' ? 'messages_read' : 'messages_delivered', {
+                chatId: chatId.toString(),
+                userId: userId.toString(),
+                messageId: message._id,
+                upTo: message.createdAt,
+                timestamp: new Date()
+            });
+    }
+
+    return moved;
+};
+
+const acknowledgeFromSocket = async (socket, data, kind) => {
     try {
-        await Message.findByIdAndUpdate(messageId, { status });
+        const message = await findMessageForMember(data?.chatId, data?.messageId, socket.userId);
+        if (message) {
+            await acknowledgeMessages(data.chatId, socket.userId, message, kind);
+        }
     } catch (error) {
-        console.error('Error updating message status:', error);
+        console.error(`Error acknowledging message as ${kind}:`, error);
     }
 };
 
@@ -109,7 +278,7 @@ const createOrGetChat = asyncHandler(async (req, res) => {
 
     // Check if user exists
     const targetUser = await User.findById(userId);
-    if (!targetUser) {
+    if (!isAccountVisible(targetUser)) {
         throw new ApiError(404, "User not found");
     }
 
@@ -161,7 +330,10 @@ const createGroupChat = asyncHandler(async (req, res) => {
     const allUsers = [...new Set([...users, currentUserId.toString()])];
 
     // Verify all users exist
-    const existingUsers = await User.find({ _id: { $in: allUsers } });
+    const existingUsers = await User.find({
+        _id: { $in: allUsers },
+        ...visibleAccountFilter()
+    });
     if (existingUsers.length !== allUsers.length) {
         throw new ApiError(400, "One or more users not found");
     }
@@ -185,31 +357,93 @@ const createGroupChat = asyncHandler(async (req, res) => {
     );
 });
 
-// Get all chats for current user
+// Get all chats for current user (?archived=true lists archived chats instead)
 const getUserChats = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
+    const archived = req.query.archived === 'true';
 
-    const chats = await Chat.find({
-        users: currentUserId
-    })
-    .populate('users', 'firstName lastName profileImage email')
-    .populate('lastMessage')
-    .sort({ updatedAt: -1 });
+    // Hides suspended and deleted members, adds unreadCount and the user's
+    // chat settings, and puts pinned chats first
+    const chats = (await Chat.aggregate(buildUserChatsPipeline(currentUserId, { archived })))
+        .map((chat) => ({
+            ...chat,
+            users: chat.users.map((member) => withPresence(member, currentUserId))
+        }));
 
     return res.status(200).json(
         new ApiResponse(200, { chats }, "User chats retrieved successfully")
     );
 });
 
+// Update the chat and push a newly created message to its members
+const publishNewMessage = async (chat, message, senderId) => {
+    const chatId = chat._id.toString();
+
+    // Update chat's last message
+    await Chat.findByIdAndUpdate(chatId, {
+        lastMessage: message._id,
+        updatedAt: new Date()
+    });
+
+    // New activity brings an archived chat back to the inbox unless it is muted
+    const now = new Date();
+    const unarchive = (chat.memberSettings || [])
+        .filter((settings) => settings.archivedAt && !(settings.mutedUntil > now))
+        .map((settings) => settings.user);
+
+    if (unarchive.length > 0) {
+        await Chat.updateOne(
+            { _id: chatId },
+            { $set: { 'memberSettings.$[settings].archivedAt': null } },
+            { arrayFilters: [{ 'settings.user': { $in: unarchive } }] }
+        );
+    }
+
+    // The sender has seen everything up to their own message
+    await advanceChatCursor(chatId, senderId, message, 'read');
+
+    // Populate message details
+    const populatedMessage = formatMessage(
+        await populateMessage(Message.findById(message._id)).populate('chat')
+    );
+
+    // Emit message to all users in the chat via Socket.IO
+    if (io) {
+        io.to(chatId).emit('new_message', populatedMessage);
+        
+        // Also emit to individual user rooms for offline users
+        chat.users.forEach(userId => {
+            if (userId.toString() !== senderId.toString()) {
+                io.to(userId.toString()).emit('new_message', populatedMessage);
+            }
+        });
+    }
+
+    publish(DOMAIN_EVENTS.MESSAGE_SENT, { chat, message: populatedMessage, senderId });
+
+    return populatedMessage;
+};
+
 // Send message
 const sendMessage = asyncHandler(async (req, res) => {
-    const { chatId, content, type = "text" } = req.body;
+    const { chatId, content, type = "text", replyTo } = req.body;
     const senderId = req.user._id;
 
     if (!chatId || !content) {
         throw new ApiError(400, "Chat ID and content are required");
     }
 
+    // Images, videos and files are sent through sendAttachmentMessage
+    if (type !== "text") {
+        throw new ApiError(400, "Use the attachment endpoint to send images, videos and files");
+    }
+
+    if (!validateMessageContent(content, type)) {
+        throw new ApiError(400, "Message content is empty or too long");
+    }
+
+    await enforceMessageRateLimit(senderId, res);
+
     // Verify chat exists and user is part of it
     const chat = await Chat.findOne({
         _id: chatId,
@@ -226,32 +460,107 @@ const sendMessage = asyncHandler(async (req, res) => {
         sender: senderId,
         content,
         type,
+        replyTo: await resolveReplyTo(chatId, replyTo),
         status: "sent"
     });
 
-    // Update chat's last message
-    await Chat.findByIdAndUpdate(chatId, {
-        lastMessage: message._id,
-        updatedAt: new Date()
+    const populatedMessage = await publishNewMessage(chat, message, senderId);
+
+    return res.status(201).json(
+        new ApiResponse(201, { message: populatedMessage }, "Message sent successfully")
+    );
+});
+
+// Send an image, video or file; the upload arrives as the "attachment" field
+const sendAttachmentMessage = asyncHandler(async (req, res) => {
+    const { chatId, content = "", replyTo } = req.body;
+    const senderId = req.user._id;
+    const file = req.file;
+
+    if (!file) {
+        throw new ApiError(400, "Attachment is required");
+    }
+
+    let chat;
+    let replyToId;
+    try {
+        if (!chatId) {
+            throw new ApiError(400, "Chat ID is required");
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(chatId)) {
+            throw new ApiError(400, "Invalid chat ID");
+        }
+
+        const attachmentError = validateAttachment(file);
+        if (attachmentError) {
+            throw new ApiError(413, attachmentError);
+        }
+
+        if (content && !validateMessageContent(content, getAttachmentType(file.mimetype))) {
+            throw new ApiError(400, "Caption is too long");
+        }
+
+        await enforceMessageRateLimit(senderId, res);
+
+        chat = await Chat.findOne({
+            _id: chatId,
+            users: senderId
+        });
+
+        if (!chat) {
+            throw new ApiError(404, "Chat not found or you're not a member");
+        }
+
+        replyToId = await resolveReplyTo(chatId, replyTo);
+    } catch (error) {
+        removeTempFile(file);
+        throw error;
+    }
+
+    const type = getAttachmentType(file.mimetype);
+
+    // uploadOnCloudinary removes the temp file either way
+    const uploaded = await uploadOnCloudinary(file.path, {
+        folder: `chat-attachments/${chatId}`,
+        resource_type: type === "file" ? "auto" : type
     });
 
-    // Populate message details
-    const populatedMessage = await Message.findById(message._id)
-        .populate('sender', 'firstName lastName profileImage email')
-        .populate('chat');
+    if (!uploaded) {
+        throw new ApiError(502, "Attachment upload failed");
+    }
 
-    // Emit message to all users in the chat via Socket.IO
-    if (io) {
-        io.to(chatId).emit('new_message', populatedMessage);
-        
-        // Also emit to individual user rooms for offline users
-        chat.users.forEach(userId => {
-            if (userId.toString() !== senderId.toString()) {
-                io.to(userId.toString()).emit('new_message', populatedMessage);
+    let message;
+    try {
+        message = await Message.create({
+            chat: chatId,
+            sender: senderId,
+            content,
+            type,
+            replyTo: replyToId,
+            status: "sent",
+            attachment: {
+                url: uploaded.secure_url || uploaded.url,
+                publicId: uploaded.public_id,
+                resourceType: uploaded.resource_type,
+                name: file.originalname,
+                size: file.size,
+                mimeType: file.mimetype,
+                width: uploaded.width,
+                height: uploaded.height,
+                duration: uploaded.duration,
+                thumbnailUrl: ["image", "video"].includes(uploaded.resource_type)
+                    ? getThumbnailUrl(uploaded.public_id, uploaded.resource_type)
+                    : undefined
             }
         });
+    } catch (error) {
+        await deleteFromCloudinary(uploaded.public_id, uploaded.resource_type).catch(() => {});
+        throw error;
     }
 
+    const populatedMessage = await publishNewMessage(chat, message, senderId);
+
     return res.status(201).json(
         new ApiResponse(201, { message: populatedMessage }, "Message sent successfully")
     );
@@ -275,8 +584,7 @@ const getChatMessages = asyncHandler(async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const messages = await Message.find({ chat: chatId })
-        .populate('sender', 'firstName lastName profileImage email')
+    const messages = await populateMessage(Message.find({ chat: chatId }))
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
@@ -284,9 +592,18 @@ const getChatMessages = asyncHandler(async (req, res) => {
     const totalMessages = await Message.countDocuments({ chat: chatId });
     const totalPages = Math.ceil(totalMessages / parseInt(limit));
 
+    // Status of the user's own messages comes from the other members' read cursors
+    const messagesWithStatus = messages.map((message) => {
+        const messageObj = formatMessage(message);
+        if (messageObj.sender?._id?.toString() === currentUserId.toString()) {
+            messageObj.status = getMessageStatus(chat, messageObj);
+        }
+        return messageObj;
+    });
+
     return res.status(200).json(
         new ApiResponse(200, {
-            messages: messages.reverse(), // Reverse to show oldest first
+            messages: messagesWithStatus.reverse(), // Reverse to show oldest first
             pagination: {
                 currentPage: parseInt(page),
                 totalPages,
@@ -298,6 +615,460 @@ const getChatMessages = asyncHandler(async (req, res) => {
     );
 });
 
+// Mark a chat read up to a message (defaults to the latest message)
+const markChatAsRead = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const { messageId } = req.body;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, "Invalid chat ID");
+    }
+
+    if (!(await isUserChatMember(chatId, currentUserId))) {
+        throw new ApiError(404, "Chat not found or you're not a member");
+    }
+
+    const message = messageId
+        ? await findMessageForMember(chatId, messageId, currentUserId)
+        : await Message.findOne({ chat: chatId }).sort({ createdAt: -1 }).select('_id chat createdAt');
+
+    if (messageId && !message) {
+        throw new ApiError(404, "Message not found in this chat");
+    }
+
+    if (message) {
+        await acknowledgeMessages(chatId, currentUserId, message, 'read');
+    }
+
+    const updatedChat = await Chat.findById(chatId).select('readCursors');
+    const cursor = getMemberCursor(updatedChat, currentUserId);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            chatId,
+            lastReadMessage: cursor?.lastReadMessage || null,
+            lastReadMessageAt: cursor?.lastReadMessageAt || null,
+            unreadCount: await getUnreadMessageCount(chatId, currentUserId)
+        }, "Chat marked as read")
+    );
+});
+
+// Per-member delivery and read state of one of the user's own messages
+const getMessageReceipts = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, "Invalid chat or message ID");
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        users: currentUserId
+    })
+        .select('users readCursors')
+        .populate('users', 'firstName lastName profileImage');
+
+    if (!chat) {
+        throw new ApiError(404, "Chat not found or you're not a member");
+    }
+
+    const message = await Message.findOne({
+        _id: messageId,
+        chat: chatId,
+        sender: currentUserId
+    });
+
+    if (!message) {
+        throw new ApiError(404, "Message not found or it is not yours");
+    }
+
+    const receipts = chat.users
+        .filter((member) => member._id.toString() !== currentUserId.toString())
+        .map((member) => {
+            const cursor = getMemberCursor(chat, member._id);
+            const read = cursor?.lastReadMessageAt >= message.createdAt;
+            const delivered = read || cursor?.lastDeliveredMessageAt >= message.createdAt;
+
+            return {
+                user: member,
+                status: read ? 'read' : delivered ? 'delivered' : 'sent',
+                deliveredAt: delivered ? cursor.deliveredAt || cursor.readAt : null,
+                readAt: read ? cursor.readAt : null
+            };
+        });
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            messageId,
+            status: getMessageStatus(chat, message),
+            receipts
+        }, "Message receipts retrieved successfully")
+    );
+});
+
+// Pin, mute, archive or mark a chat unread; settings only affect the current user
+const updateChatSettings = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const { pinned, mutedUntil, archived, markedUnread } = req.body;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, "Invalid chat ID");
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        users: currentUserId
+    }).select('memberSettings');
+
+    if (!chat) {
+        throw new ApiError(404, "Chat not found or you're not a member");
+    }
+
+    const current = getMemberSettings(chat, currentUserId);
+    const changes = {};
+
+    if (archived !== undefined) {
+        if (typeof archived !== 'boolean') {
+            throw new ApiError(400, "archived must be true or false");
+        }
+        changes.archivedAt = archived ? current?.archivedAt || new Date() : null;
+
+        // Archiving a chat unpins it
+        if (archived) {
+            changes.pinnedAt = null;
+        }
+    }
+
+    if (pinned !== undefined) {
+        if (typeof pinned !== 'boolean') {
+            throw new ApiError(400, "pinned must be true or false");
+        }
+
+        const willBeArchived = 'archivedAt' in changes ? changes.archivedAt : current?.archivedAt;
+        if (pinned && willBeArchived) {
+            throw new ApiError(400, "Archived chats cannot be pinned");
+        }
+
+        if (pinned && !current?.pinnedAt) {
+            const pinnedCount = await Chat.countDocuments({
+                users: currentUserId,
+                memberSettings: { $elemMatch: { user: currentUserId, pinnedAt: { $ne: null } } }
+            });
+
+            if (pinnedCount >= MAX_PINNED_CHATS) {
+                throw new ApiError(400, `You can pin up to ${MAX_PINNED_CHATS} chats`);
+            }
+        }
+        changes.pinnedAt = pinned ? current?.pinnedAt || new Date() : null;
+    }
+
+    if (mutedUntil !== undefined) {
+        const until = mutedUntil === null ? null : new Date(mutedUntil);
+        if (until && (Number.isNaN(until.getTime()) || until <= new Date())) {
+            throw new ApiError(400, "mutedUntil must be a future date, or null to unmute");
+        }
+        changes.mutedUntil = until;
+    }
+
+    if (markedUnread !== undefined) {
+        if (typeof markedUnread !== 'boolean') {
+            throw new ApiError(400, "markedUnread must be true or false");
+        }
+        changes.markedUnread = markedUnread;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        throw new ApiError(400, "Provide pinned, mutedUntil, archived or markedUnread");
+    }
+
+    await updateMemberSettings(chatId, currentUserId, changes);
+
+    const settings = formatMemberSettings(
+        await Chat.findById(chatId).select('memberSettings'),
+        currentUserId
+    );
+
+    // Keep the user's other devices in sync
+    if (io) {
+        io.to(currentUserId.toString()).emit('chat_settings_updated', { chatId, settings });
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, settings }, "Chat settings updated successfully")
+    );
+});
+
+// Group admins, or either member of a direct chat, may pin messages
+const findChatForPinning = async (chatId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, "Invalid chat ID");
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        users: userId
+    }).select('isGroupChat pinnedMessages');
+
+    if (!chat) {
+        throw new ApiError(404, "Chat not found or you're not a member");
+    }
+
+    if (chat.isGroupChat && !(await isUserChatAdmin(chatId, userId))) {
+        throw new ApiError(403, "Only group admins can pin messages");
+    }
+
+    return chat;
+};
+
+// Pinned messages of a chat, most recently pinned first
+const getPinnedMessages = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, "Invalid chat ID");
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        users: currentUserId
+    })
+        .select('pinnedMessages')
+        .populate('pinnedMessages.pinnedBy', 'firstName lastName profileImage');
+
+    if (!chat) {
+        throw new ApiError(404, "Chat not found or you're not a member");
+    }
+
+    const messages = await populateMessage(Message.find({
+        _id: { $in: chat.pinnedMessages.map((pin) => pin.message) }
+    }));
+    const messagesById = new Map(messages.map((message) => [message._id.toString(), message]));
+
+    const pinnedMessages = chat.pinnedMessages
+        .filter((pin) => messagesById.has(pin.message.toString()))
+        .map((pin) => ({
+            message: formatMessage(messagesById.get(pin.message.toString())),
+            pinnedBy: pin.pinnedBy,
+            pinnedAt: pin.pinnedAt
+        }));
+
+    return res.status(200).json(
+        new ApiResponse(200, { pinnedMessages }, "Pinned messages retrieved successfully")
+    );
+});
+
+const pinMessage = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const { messageId } = req.body;
+    const currentUserId = req.user._id;
+
+    const chat = await findChatForPinning(chatId, currentUserId);
+
+    if (!mongoose.Types.ObjectId.isValid(messageId) || !(await Message.exists({ _id: messageId, chat: chatId }))) {
+        throw new ApiError(404, "Message not found in this chat");
+    }
+
+    if (chat.pinnedMessages.some((pin) => pin.message.toString() === messageId)) {
+        throw new ApiError(409, "Message is already pinned");
+    }
+
+    if (chat.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+        throw new ApiError(400, `A chat can have up to ${MAX_PINNED_MESSAGES} pinned messages`);
+    }
+
+    const pin = {
+        message: messageId,
+        pinnedBy: currentUserId,
+        pinnedAt: new Date()
+    };
+
+    await Chat.updateOne(
+        { _id: chatId, 'pinnedMessages.message': { $ne: messageId } },
+        { $push: { pinnedMessages: { $each: [pin], $position: 0 } } }
+    );
+
+    if (io) {
+        io.to(chatId).emit('message_pinned', { chatId, messageId, pinnedBy: currentUserId, pinnedAt: pin.pinnedAt });
+    }
+
+    return res.status(201).json(
+        new ApiResponse(201, { chatId, pin }, "Message pinned successfully")
+    );
+});
+
+const unpinMessage = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+    const currentUserId = req.user._id;
+
+    await findChatForPinning(chatId, currentUserId);
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, "Invalid message ID");
+    }
+
+    const result = await Chat.updateOne(
+        { _id: chatId },
+        { $pull: { pinnedMessages: { message: messageId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+        throw new ApiError(404, "Message is not pinned");
+    }
+
+    if (io) {
+        io.to(chatId).emit('message_unpinned', { chatId, messageId, unpinnedBy: currentUserId });
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, messageId }, "Message unpinned successfully")
+    );
+});
+
+// Edit a message (sender only, within the edit window)
+const editMessage = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const { content = "" } = req.body;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, "Invalid message ID");
+    }
+
+    const message = await Message.findOne({
+        _id: messageId,
+        sender: currentUserId
+    });
+
+    if (!message) {
+        throw new ApiError(404, "Message not found or you can't edit this message");
+    }
+
+    const editWindowMinutes = getMessageEditWindowMinutes();
+    if (Date.now() - message.createdAt.getTime() > editWindowMinutes * 60 * 1000) {
+        throw new ApiError(403, `Messages can only be edited within ${editWindowMinutes} minutes of sending`);
+    }
+
+    // Attachment captions may be cleared; text messages may not
+    const isCaption = message.type !== "text";
+    if (!(isCaption && content === "") && !validateMessageContent(content, message.type)) {
+        throw new ApiError(400, "Message content is empty or too long");
+    }
+
+    if (content === message.content) {
+        throw new ApiError(400, "Message content is unchanged");
+    }
+
+    message.editHistory.push({
+        content: message.content,
+        editedAt: message.editedAt || message.createdAt
+    });
+    message.content = content;
+    message.isEdited = true;
+    message.editedAt = new Date();
+    await message.save();
+
+    const updatedMessage = formatMessage(await populateMessage(Message.findById(messageId)));
+
+    if (io) {
+        io.to(message.chat.toString()).emit('message_updated', {
+            chatId: message.chat,
+            message: updatedMessage
+        });
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { message: updatedMessage }, "Message edited successfully")
+    );
+});
+
+// Earlier versions of an edited message, for chat members
+const getMessageEditHistory = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, "Invalid message ID");
+    }
+
+    const message = await Message.findById(messageId).select('chat content isEdited editedAt editHistory createdAt');
+
+    if (!message || !(await isUserChatMember(message.chat, currentUserId))) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            messageId,
+            content: message.content,
+            isEdited: message.isEdited,
+            editedAt: message.editedAt,
+            editHistory: message.editHistory
+        }, "Message edit history retrieved successfully")
+    );
+});
+
+// Add the emoji reaction of the current user, or remove it if it is already there
+const toggleReaction = asyncHandler(async (req, res) => {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, "Invalid message ID");
+    }
+
+    if (!isValidReactionEmoji(emoji)) {
+        throw new ApiError(400, "Reaction must be an emoji");
+    }
+
+    const message = await Message.findById(messageId).select('chat reactions');
+
+    if (!message || !(await isUserChatMember(message.chat, currentUserId))) {
+        throw new ApiError(404, "Message not found");
+    }
+
+    const removed = await Message.updateOne(
+        { _id: messageId },
+        { $pull: { reactions: { user: currentUserId, emoji } } }
+    );
+
+    let action = 'removed';
+    if (removed.modifiedCount === 0) {
+        const emojis = new Set(message.reactions.map((reaction) => reaction.emoji));
+        if (!emojis.has(emoji) && emojis.size >= MAX_REACTION_EMOJIS) {
+            throw new ApiError(400, `A message can have at most ${MAX_REACTION_EMOJIS} different reactions`);
+        }
+
+        await Message.updateOne(
+            { _id: messageId, reactions: { $not: { $elemMatch: { user: currentUserId, emoji } } } },
+            { $push: { reactions: { emoji, user: currentUserId, reactedAt: new Date() } } }
+        );
+        action = 'added';
+    }
+
+    const updated = await Message.findById(messageId).select('reactions');
+    const reactions = summarizeReactions(updated.reactions);
+
+    if (io) {
+        io.to(message.chat.toString()).emit('reaction_changed', {
+            chatId: message.chat,
+            messageId,
+            userId: currentUserId,
+            emoji,
+            action,
+            reactions
+        });
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { messageId, action, reactions }, `Reaction ${action}`)
+    );
+});
+
 // Delete message (only sender can delete)
 const deleteMessage = asyncHandler(async (req, res) => {
     const { messageId } = req.params;
@@ -312,7 +1083,25 @@ const deleteMessage = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Message not found or you can't delete this message");
     }
 
-    await Message.findByIdAndDelete(messageId);
+    // Under legal hold a hidden copy is kept, attachment included
+    const chat = await Chat.findById(message.chat).select('legalHold');
+    if (chat?.legalHold) {
+        await RetainedMessage.create({
+            chat: message.chat,
+            message: message._id,
+            snapshot: message.toObject(),
+            deletedBy: currentUserId
+        });
+        await Message.findByIdAndDelete(messageId);
+    } else {
+        await Message.findByIdAndDelete(messageId);
+        await removeMessageAttachments([message]);
+    }
+
+    await Chat.updateOne(
+        { _id: message.chat },
+        { $pull: { pinnedMessages: { message: message._id } } }
+    );
 
     // Emit message deletion via Socket.IO
     if (io) {
@@ -345,7 +1134,7 @@ const addUserToGroupChat = asyncHandler(async (req, res) => {
 
     // Check if user exists
     const userToAdd = await User.findById(userId);
-    if (!userToAdd) {
+    if (!isAccountVisible(userToAdd)) {
         throw new ApiError(404, "User to add not found");
     }
 
@@ -426,8 +1215,9 @@ const removeUserFromGroupChat = asyncHandler(async (req, res) => {
             removedBy: req.user
         });
         
-        // Notify the removed user
+        // Notify the removed user and take their sockets out of the chat room
         io.to(userId).emit('removed_from_chat', { chatId });
+        io.in(userId.toString()).socketsLeave(chatId.toString());
     }
 
     return res.status(200).json(
@@ -475,6 +1265,9 @@ const leaveGroupChat = asyncHandler(async (req, res) => {
             leftUserId: currentUserId,
             leftUser: req.user
         });
+
+        // Stop the departed member's sockets receiving the chat's events
+        io.in(currentUserId.toString()).socketsLeave(chatId);
     }
 
     return res.status(200).json(
@@ -542,11 +1335,32 @@ const deleteChat = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Only chat creator can delete group chat");
     }
 
-    // Delete all messages in the chat
-    await Message.deleteMany({ chat: chatId });
-
-    // Delete the chat
-    await Chat.findByIdAndDelete(chatId);
+    if (chat.legalHold) {
+        // Under legal hold the chat is only hidden from its members; its
+        // messages and attachments stay for the investigation
+        await Chat.updateOne(
+            { _id: chatId },
+            {
+                $set: {
+                    deletedAt: new Date(),
+                    deletedBy: currentUserId,
+                    formerUsers: chat.users,
+                    users: []
+                }
+            }
+        );
+    } else {
+        // Delete all messages in the chat, and their stored attachments
+        const attachmentMessages = await Message.find({
+            chat: chatId,
+            'attachment.publicId': { $exists: true }
+        }).select('attachment');
+        await Message.deleteMany({ chat: chatId });
+        await removeMessageAttachments(attachmentMessages);
+
+        // Delete the chat
+        await Chat.findByIdAndDelete(chatId);
+    }
 
     // Emit chat deleted event via Socket.IO
     if (io) {
@@ -554,6 +1368,7 @@ const deleteChat = asyncHandler(async (req, res) => {
             chatId,
             deletedBy: req.user
         });
+        io.in(chatId).socketsLeave(chatId);
     }
 
     return res.status(200).json(
@@ -561,6 +1376,38 @@ const deleteChat = asyncHandler(async (req, res) => {
     );
 });
 
+// Download the chat history as a file (?format=json|text|html)
+const exportChat = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const { format = 'json' } = req.query;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, "Invalid chat ID");
+    }
+
+    if (!Object.hasOwn(CHAT_EXPORT_FORMATS, format)) {
+        throw new ApiError(400, `format must be one of: ${Object.keys(CHAT_EXPORT_FORMATS).join(", ")}`);
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        users: currentUserId
+    }).populate('users', 'firstName lastName');
+
+    if (!chat) {
+        throw new ApiError(404, "Chat not found or you're not a member");
+    }
+
+    const messages = Message.find({ chat: chatId })
+        .sort({ createdAt: 1 })
+        .populate('sender', 'firstName lastName')
+        .lean()
+        .cursor();
+
+    await writeChatTranscript(res, { chat, members: chat.users, messages, format });
+});
+
 // Search messages in a chat
 const searchMessages = asyncHandler(async (req, res) => {
     const { chatId } = req.params;
@@ -583,9 +1430,12 @@ const searchMessages = asyncHandler(async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Plain substring match; the query is not a pattern
+    const contentFilter = { $regex: escapeRegex(query.trim()), $options: 'i' };
+
     const messages = await Message.find({
         chat: chatId,
-        content: { $regex: query, $options: 'i' }
+        content: contentFilter
     })
     .populate('sender', 'firstName lastName profileImage email')
     .sort({ createdAt: -1 })
@@ -594,7 +1444,7 @@ const searchMessages = asyncHandler(async (req, res) => {
 
     const totalResults = await Message.countDocuments({
         chat: chatId,
-        content: { $regex: query, $options: 'i' }
+        content: contentFilter
     });
 
     return res.status(200).json(
@@ -607,6 +1457,147 @@ const searchMessages = asyncHandler(async (req, res) => {
     );
 });
 
+// Opaque pagination cursor for global search
+const encodeSearchCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeSearchCursor = (cursor) => {
+    try {
+        const value = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!mongoose.Types.ObjectId.isValid(value.id)) throw new Error('bad id');
+        return value;
+    } catch (error) {
+        throw new ApiError(400, "Invalid search cursor");
+    }
+};
+
+const parseSearchDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${name} must be a valid date`);
+    }
+    return date;
+};
+
+const SEARCH_ATTACHMENT_TYPES = ["text", "image", "video", "file", "attachment"];
+
+// Search messages in every chat the user belongs to, using the text index
+const searchAllMessages = asyncHandler(async (req, res) => {
+    const { q, chatId, senderId, from, to, type, sort = "relevance", cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const currentUserId = req.user._id;
+
+    if (!q || q.trim() === "") {
+        throw new ApiError(400, "Search query is required");
+    }
+
+    if (q.length > 200) {
+        throw new ApiError(400, "Search query is too long");
+    }
+
+    if (!["relevance", "recent"].includes(sort)) {
+        throw new ApiError(400, "sort must be relevance or recent");
+    }
+
+    const chatIds = await Chat.find({ users: currentUserId }).distinct('_id');
+
+    const match = {
+        $text: { $search: q.trim() },
+        chat: { $in: chatIds }
+    };
+
+    if (chatId) {
+        if (!chatIds.some((id) => id.toString() === chatId)) {
+            throw new ApiError(404, "Chat not found or you're not a member");
+        }
+        match.chat = new mongoose.Types.ObjectId(chatId);
+    }
+
+    if (senderId) {
+        if (!mongoose.Types.ObjectId.isValid(senderId)) {
+            throw new ApiError(400, "Invalid sender ID");
+        }
+        match.sender = new mongoose.Types.ObjectId(senderId);
+    }
+
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = parseSearchDate(from, "from");
+        if (to) match.createdAt.$lte = parseSearchDate(to, "to");
+    }
+
+    if (type) {
+        if (!SEARCH_ATTACHMENT_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of: ${SEARCH_ATTACHMENT_TYPES.join(", ")}`);
+        }
+        // "attachment" matches any image, video or file message
+        match.type = type === "attachment" ? { $ne: "text" } : type;
+    }
+
+    // Relevance pages by (score, _id); recent pages by (createdAt, _id)
+    const sortStage = sort === "relevance"
+        ? { score: -1, _id: -1 }
+        : { createdAt: -1, _id: -1 };
+
+    const pipeline = [
+        { $match: match },
+        { $addFields: { score: { $meta: "textScore" } } }
+    ];
+
+    if (cursor) {
+        const after = decodeSearchCursor(cursor);
+        const afterId = new mongoose.Types.ObjectId(after.id);
+        const [field, value] = sort === "relevance"
+            ? ["score", after.score]
+            : ["createdAt", new Date(after.createdAt)];
+
+        pipeline.push({
+            $match: {
+                $or: [
+                    { [field]: { $lt: value } },
+                    { [field]: value, _id: { $lt: afterId } }
+                ]
+            }
+        });
+    }
+
+    pipeline.push(
+        { $sort: sortStage },
+        { $limit: limit + 1 },
+        { $project: { editHistory: 0, reactions: 0 } }
+    );
+
+    const found = await Message.aggregate(pipeline);
+    const hasMore = found.length > limit;
+    const page = found.slice(0, limit);
+
+    await Message.populate(page, [
+        { path: 'sender', select: 'firstName lastName profileImage' },
+        { path: 'chat', select: 'chatName isGroupChat' }
+    ]);
+
+    const results = page.map((message) => ({
+        message,
+        score: message.score,
+        ...buildSearchSnippet(message.content || message.attachment?.name || "", q)
+    }));
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeSearchCursor({ id: last._id, score: last.score, createdAt: last.createdAt })
+        : null;
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            results,
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor
+            }
+        }, "Message search completed successfully")
+    );
+});
+
 export {
     createOrGetChat,
     createGroupChat,
@@ -619,5 +1610,17 @@ export {
     leaveGroupChat,
     updateGroupChat,
     deleteChat,
-    searchMessages
+    searchMessages,
+    searchAllMessages,
+    sendAttachmentMessage,
+    editMessage,
+    getMessageEditHistory,
+    toggleReaction,
+    markChatAsRead,
+    getMessageReceipts,
+    updateChatSettings,
+    getPinnedMessages,
+    pinMessage,
+    unpinMessage,
+    exportChat
 };
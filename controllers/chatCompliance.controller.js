@@ -0,0 +1,225 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Chat } from "../models/chat.model.js";
+import { Message } from "../models/message.model.js";
+import { RetainedMessage } from "../models/retainedMessage.model.js";
+import { User } from "../models/user.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { createAuditLog } from "./admin.controller.js";
+import { removeMessageAttachments } from "../utils/chatUtils.js";
+import {
+  CHAT_EXPORT_FORMATS,
+  writeChatTranscript,
+} from "../utils/chatExport.js";
+
+const findChat = async (chatId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw new ApiError(400, "Invalid chat ID");
+  }
+
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    throw new ApiError(404, "Chat not found");
+  }
+
+  return chat;
+};
+
+// Chats currently on legal hold, including ones their members deleted
+const getLegalHolds = asyncHandler(async (req, res) => {
+  const chats = await Chat.find({ legalHold: { $ne: null } })
+    .select("chatName isGroupChat users formerUsers legalHold deletedAt")
+    .populate("legalHold.placedBy", "firstName lastName email")
+    .sort({ "legalHold.placedAt": -1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { chats }, "Legal holds retrieved successfully")
+    );
+});
+
+const placeLegalHold = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const { reason, caseReference } = req.body;
+
+  if (!reason || reason.trim() === "") {
+    throw new ApiError(400, "A reason is required to place a legal hold");
+  }
+
+  const chat = await findChat(chatId);
+
+  if (chat.legalHold) {
+    throw new ApiError(409, "Chat is already on legal hold");
+  }
+
+  chat.legalHold = {
+    reason: reason.trim(),
+    caseReference: caseReference?.trim(),
+    placedBy: req.admin._id,
+    placedAt: new Date(),
+  };
+  await chat.save();
+
+  await createAuditLog(
+    req.admin._id,
+    "CHAT_LEGAL_HOLD_PLACED",
+    {
+      reason: chat.legalHold.reason,
+      caseReference: chat.legalHold.caseReference,
+    },
+    "chat",
+    chat._id,
+    req
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { chatId: chat._id, legalHold: chat.legalHold },
+        "Legal hold placed successfully"
+      )
+    );
+});
+
+// Releasing a hold purges the hidden copies it kept: messages deleted while
+// on hold, and the whole chat if its members deleted it
+const releaseLegalHold = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+
+  const chat = await findChat(chatId);
+
+  if (!chat.legalHold) {
+    throw new ApiError(400, "Chat is not on legal hold");
+  }
+
+  const retained = await RetainedMessage.find({ chat: chat._id }).select(
+    "snapshot.attachment"
+  );
+  await RetainedMessage.deleteMany({ chat: chat._id });
+  await removeMessageAttachments(
+    retained.map((copy) => copy.snapshot).filter(Boolean)
+  );
+
+  let purgedMessages = retained.length;
+
+  if (chat.deletedAt) {
+    const attachmentMessages = await Message.find({
+      chat: chat._id,
+      "attachment.publicId": { $exists: true },
+    }).select("attachment");
+    const { deletedCount } = await Message.deleteMany({ chat: chat._id });
+    await removeMessageAttachments(attachmentMessages);
+    await Chat.deleteOne({ _id: chat._id });
+    purgedMessages += deletedCount;
+  } else {
+    chat.legalHold = null;
+    await chat.save();
+  }
+
+  await createAuditLog(
+    req.admin._id,
+    "CHAT_LEGAL_HOLD_RELEASED",
+    { chatDeleted: Boolean(chat.deletedAt), purgedMessages },
+    "chat",
+    chat._id,
+    req
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        chatId: chat._id,
+        chatDeleted: Boolean(chat.deletedAt),
+        purgedMessages,
+      },
+      "Legal hold released successfully"
+    )
+  );
+});
+
+// Full transcript for an investigation, including hidden copies of deleted
+// messages (?format=json|text|html&reason=)
+const exportChatForInvestigation = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const { format = "json", reason } = req.query;
+
+  if (!Object.hasOwn(CHAT_EXPORT_FORMATS, format)) {
+    throw new ApiError(
+      400,
+      `format must be one of: ${Object.keys(CHAT_EXPORT_FORMATS).join(", ")}`
+    );
+  }
+
+  if (!reason || reason.trim() === "") {
+    throw new ApiError(400, "A reason is required to export a chat");
+  }
+
+  const chat = await findChat(chatId);
+
+  const [messages, retained] = await Promise.all([
+    Message.find({ chat: chat._id }).lean(),
+    RetainedMessage.find({ chat: chat._id }).lean(),
+  ]);
+
+  const allMessages = [
+    ...messages,
+    ...retained.map((copy) => ({
+      ...copy.snapshot,
+      deletedAt: copy.deletedAt,
+      deletedBy: copy.deletedBy,
+    })),
+  ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const memberIds = [...chat.users, ...(chat.formerUsers || [])];
+  const users = await User.find({
+    _id: {
+      $in: [...memberIds, ...allMessages.map((message) => message.sender)],
+    },
+  }).select("firstName lastName");
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  // An export must not happen without its audit entry, so this is not best-effort
+  await AuditLog.create({
+    adminId: req.admin._id,
+    action: "CHAT_EXPORTED",
+    details: {
+      reason: reason.trim(),
+      format,
+      messageCount: allMessages.length,
+      deletedMessageCount: retained.length,
+      legalHold: Boolean(chat.legalHold),
+    },
+    targetType: "chat",
+    targetId: chat._id,
+    timestamp: new Date(),
+    ipAddress: req.ip || "unknown",
+    userAgent: req.get("User-Agent"),
+  });
+
+  await writeChatTranscript(res, {
+    chat,
+    members: memberIds
+      .map((id) => usersById.get(id.toString()))
+      .filter(Boolean),
+    messages: allMessages.map((message) => ({
+      ...message,
+      sender: usersById.get(message.sender?.toString()) || {
+        _id: message.sender,
+      },
+    })),
+    format,
+  });
+});
+
+export {
+  getLegalHolds,
+  placeLegalHold,
+  releaseLegalHold,
+  exportChatForInvestigation,
+};
@@ -0,0 +1,413 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Chat } from "../models/chat.model.js";
+import { ChatInvite } from "../models/chatInvite.model.js";
+import { ChatJoinRequest } from "../models/chatJoinRequest.model.js";
+import { User } from "../models/user.model.js";
+import mongoose from "mongoose";
+import { isAccountVisible } from "../utils/accountStatusUtils.js";
+import { isUserBlockedBy } from "../utils/connectionUtils.js";
+import { DOMAIN_EVENTS, publish } from "../utils/eventBus.js";
+
+// Socket.IO instance
+let io;
+
+const DEFAULT_INVITE_EXPIRY_HOURS = 7 * 24;
+const MAX_INVITE_EXPIRY_HOURS = 30 * 24;
+const MAX_INVITE_USES = 1000;
+
+// Initialize Socket.IO for invite links and join requests
+const initializeChatInviteSocket = (socketIO) => {
+    io = socketIO;
+};
+
+const buildInviteUrl = (code) => {
+    const baseUrl = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || "";
+    return `${baseUrl}/chat/join/${code}`;
+};
+
+const formatInvite = (invite) => ({
+    _id: invite._id,
+    chat: invite.chat,
+    code: invite.code,
+    url: buildInviteUrl(invite.code),
+    createdBy: invite.createdBy,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    useCount: invite.useCount,
+    requiresApproval: invite.requiresApproval,
+    status: invite.getStatus(),
+    revokedAt: invite.revokedAt,
+    createdAt: invite.createdAt
+});
+
+// Group chat the current user administers
+const findAdministeredGroup = async (chatId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, "Invalid chat ID");
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        isGroupChat: true,
+        admins: userId
+    });
+
+    if (!chat) {
+        throw new ApiError(404, "Group chat not found or you're not an admin");
+    }
+
+    return chat;
+};
+
+// Users blocked by a group admin or by whoever created the link cannot join
+const isBlockedFromGroup = async (chat, userId, invite) => {
+    const blockers = new Set(chat.admins.map((admin) => admin.toString()));
+    if (invite?.createdBy) {
+        blockers.add(invite.createdBy.toString());
+    }
+
+    const results = await Promise.all(
+        [...blockers].map((blockerId) => isUserBlockedBy(userId, blockerId))
+    );
+
+    return results.some(Boolean);
+};
+
+// Add a user to a group and tell the chat and the new member
+const addGroupMember = async (chat, user, addedBy) => {
+    const updatedChat = await Chat.findOneAndUpdate(
+        { _id: chat._id, isGroupChat: true },
+        { $addToSet: { users: user._id } },
+        { new: true }
+    ).populate('users', 'firstName lastName profileImage email')
+     .populate('admins', 'firstName lastName profileImage email');
+
+    if (!updatedChat) {
+        throw new ApiError(404, "Group chat not found");
+    }
+
+    if (io) {
+        io.to(chat._id.toString()).emit('user_added_to_chat', {
+            chat: updatedChat,
+            addedUser: {
+                _id: user._id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                profileImage: user.profileImage
+            },
+            addedBy
+        });
+
+        io.to(user._id.toString()).emit('added_to_chat', updatedChat);
+    }
+
+    return updatedChat;
+};
+
+// Count a use of the link atomically, so concurrent joins cannot exceed maxUses
+const claimInviteUse = (invite) => ChatInvite.findOneAndUpdate(
+    { _id: invite._id, ...ChatInvite.activeFilter() },
+    { $inc: { useCount: 1 } }
+);
+
+// Look up a link by code, explaining why it cannot be used
+const findUsableInvite = async (code) => {
+    const invite = typeof code === 'string' ? await ChatInvite.findOne({ code }) : null;
+
+    if (!invite || !(await Chat.exists({ _id: invite.chat, isGroupChat: true }))) {
+        throw new ApiError(404, "Invite link not found");
+    }
+
+    const status = invite.getStatus();
+    if (status !== 'active') {
+        throw new ApiError(410, status === 'used_up'
+            ? "This invite link has reached its usage limit"
+            : `This invite link has ${status === 'revoked' ? 'been revoked' : 'expired'}`);
+    }
+
+    return invite;
+};
+
+// Create an invite link for a group (admin only)
+const createChatInvite = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const {
+        expiresInHours = DEFAULT_INVITE_EXPIRY_HOURS,
+        maxUses = null,
+        requiresApproval = false
+    } = req.body;
+    const currentUserId = req.user._id;
+
+    await findAdministeredGroup(chatId, currentUserId);
+
+    const hours = Number(expiresInHours);
+    if (!(hours > 0) || hours > MAX_INVITE_EXPIRY_HOURS) {
+        throw new ApiError(400, `expiresInHours must be between 1 and ${MAX_INVITE_EXPIRY_HOURS}`);
+    }
+
+    if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_INVITE_USES)) {
+        throw new ApiError(400, `maxUses must be a whole number between 1 and ${MAX_INVITE_USES}, or null for unlimited`);
+    }
+
+    if (typeof requiresApproval !== 'boolean') {
+        throw new ApiError(400, "requiresApproval must be true or false");
+    }
+
+    const invite = await ChatInvite.create({
+        chat: chatId,
+        code: ChatInvite.generateCode(),
+        createdBy: currentUserId,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+        maxUses,
+        requiresApproval
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, { invite: formatInvite(invite) }, "Invite link created successfully")
+    );
+});
+
+// Invite links of a group (admin only); ?status=active|revoked|expired|used_up
+const getChatInvites = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const { status } = req.query;
+
+    await findAdministeredGroup(chatId, req.user._id);
+
+    const invites = (await ChatInvite.find({ chat: chatId })
+        .populate('createdBy', 'firstName lastName profileImage')
+        .sort({ createdAt: -1 }))
+        .map(formatInvite)
+        .filter((invite) => !status || invite.status === status);
+
+    return res.status(200).json(
+        new ApiResponse(200, { invites }, "Invite links retrieved successfully")
+    );
+});
+
+// Revoke an invite link (admin only); pending join requests stay open
+const revokeChatInvite = asyncHandler(async (req, res) => {
+    const { chatId, inviteId } = req.params;
+    const currentUserId = req.user._id;
+
+    await findAdministeredGroup(chatId, currentUserId);
+
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+        throw new ApiError(400, "Invalid invite ID");
+    }
+
+    const invite = await ChatInvite.findOne({ _id: inviteId, chat: chatId });
+
+    if (!invite) {
+        throw new ApiError(404, "Invite link not found");
+    }
+
+    if (invite.revokedAt) {
+        throw new ApiError(400, "Invite link is already revoked");
+    }
+
+    invite.revokedAt = new Date();
+    invite.revokedBy = currentUserId;
+    await invite.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, { invite: formatInvite(invite) }, "Invite link revoked successfully")
+    );
+});
+
+// What a link leads to, shown before joining
+const getChatInvitePreview = asyncHandler(async (req, res) => {
+    const invite = await findUsableInvite(req.params.code);
+    const currentUserId = req.user._id;
+
+    const [chat, pendingRequest] = await Promise.all([
+        Chat.findById(invite.chat).select('chatName users'),
+        ChatJoinRequest.exists({ chat: invite.chat, user: currentUserId, status: 'pending' })
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            chat: {
+                _id: chat._id,
+                chatName: chat.chatName,
+                memberCount: chat.users.length
+            },
+            requiresApproval: invite.requiresApproval,
+            expiresAt: invite.expiresAt,
+            isMember: chat.users.some((member) => member.toString() === currentUserId.toString()),
+            hasPendingRequest: Boolean(pendingRequest)
+        }, "Invite link retrieved successfully")
+    );
+});
+
+// Join a group through a link, or ask to join when the link requires approval
+const joinChatWithInvite = asyncHandler(async (req, res) => {
+    const invite = await findUsableInvite(req.params.code);
+    const currentUserId = req.user._id;
+
+    const chat = await Chat.findById(invite.chat);
+
+    if (chat.users.some((member) => member.toString() === currentUserId.toString())) {
+        throw new ApiError(400, "You are already a member of this chat");
+    }
+
+    if (await isBlockedFromGroup(chat, currentUserId, invite)) {
+        throw new ApiError(403, "You can't join this chat");
+    }
+
+    if (!invite.requiresApproval) {
+        if (!(await claimInviteUse(invite))) {
+            throw new ApiError(410, "This invite link is no longer valid");
+        }
+
+        const updatedChat = await addGroupMember(chat, req.user, req.user);
+
+        return res.status(200).json(
+            new ApiResponse(200, { chat: updatedChat }, "Joined group chat successfully")
+        );
+    }
+
+    // Create the request before counting the use, so a duplicate request
+    // (one pending request per user and chat) does not use up the link
+    let joinRequest;
+    try {
+        joinRequest = await ChatJoinRequest.create({
+            chat: chat._id,
+            user: currentUserId,
+            invite: invite._id
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(409, "You have already asked to join this chat");
+        }
+        throw error;
+    }
+
+    if (!(await claimInviteUse(invite))) {
+        await ChatJoinRequest.deleteOne({ _id: joinRequest._id });
+        throw new ApiError(410, "This invite link is no longer valid");
+    }
+
+    publish(DOMAIN_EVENTS.CHAT_JOIN_REQUESTED, { chat, joinRequest, requester: req.user });
+
+    if (io) {
+        io.to(chat.admins.map((adminId) => adminId.toString())).emit('chat_join_requested', {
+            chatId: chat._id,
+            request: joinRequest
+        });
+    }
+
+    return res.status(202).json(
+        new ApiResponse(202, { joinRequest }, "Join request sent to the group admins")
+    );
+});
+
+// Join requests of a group (admin only); ?status=pending|approved|denied, default pending
+const getChatJoinRequests = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const { status = 'pending' } = req.query;
+
+    await findAdministeredGroup(chatId, req.user._id);
+
+    if (!['pending', 'approved', 'denied'].includes(status)) {
+        throw new ApiError(400, "status must be pending, approved or denied");
+    }
+
+    const joinRequests = await ChatJoinRequest.find({ chat: chatId, status })
+        .populate('user', 'firstName lastName profileImage email')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+    return res.status(200).json(
+        new ApiResponse(200, { joinRequests }, "Join requests retrieved successfully")
+    );
+});
+
+// Approve or deny a pending join request (admin only)
+const reviewChatJoinRequest = (decision) => asyncHandler(async (req, res) => {
+    const { chatId, requestId } = req.params;
+    const currentUserId = req.user._id;
+
+    const chat = await findAdministeredGroup(chatId, currentUserId);
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        throw new ApiError(400, "Invalid request ID");
+    }
+
+    const pendingRequest = await ChatJoinRequest.findOne({
+        _id: requestId,
+        chat: chatId,
+        status: 'pending'
+    }).populate('invite', 'createdBy');
+
+    if (!pendingRequest) {
+        throw new ApiError(404, "Join request not found or already reviewed");
+    }
+
+    let requester = null;
+    if (decision === 'approved') {
+        requester = await User.findById(pendingRequest.user);
+
+        if (!isAccountVisible(requester)) {
+            throw new ApiError(400, "This user can no longer join");
+        }
+
+        // The user may have been blocked after asking
+        if (await isBlockedFromGroup(chat, requester._id, pendingRequest.invite)) {
+            throw new ApiError(403, "This user is blocked and can't join");
+        }
+    }
+
+    const joinRequest = await ChatJoinRequest.findOneAndUpdate(
+        { _id: requestId, status: 'pending' },
+        { status: decision, reviewedBy: currentUserId, reviewedAt: new Date() },
+        { new: true }
+    );
+
+    if (!joinRequest) {
+        throw new ApiError(409, "Join request was already reviewed");
+    }
+
+    // A denied request gives its use of the link back
+    if (decision === 'denied' && joinRequest.invite) {
+        await ChatInvite.updateOne(
+            { _id: joinRequest.invite, useCount: { $gt: 0 } },
+            { $inc: { useCount: -1 } }
+        );
+    }
+
+    const updatedChat = requester ? await addGroupMember(chat, requester, req.user) : null;
+
+    publish(DOMAIN_EVENTS.CHAT_JOIN_REVIEWED, { chat, joinRequest, reviewerId: currentUserId });
+
+    if (io) {
+        io.to(chat.admins.map((adminId) => adminId.toString())).emit('chat_join_request_reviewed', {
+            chatId: chat._id,
+            requestId: joinRequest._id,
+            status: decision,
+            reviewedBy: currentUserId
+        });
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { joinRequest, chat: updatedChat },
+            decision === 'approved' ? "Join request approved" : "Join request denied")
+    );
+});
+
+const approveChatJoinRequest = reviewChatJoinRequest('approved');
+const denyChatJoinRequest = reviewChatJoinRequest('denied');
+
+export {
+    initializeChatInviteSocket,
+    createChatInvite,
+    getChatInvites,
+    revokeChatInvite,
+    getChatInvitePreview,
+    joinChatWithInvite,
+    getChatJoinRequests,
+    approveChatJoinRequest,
+    denyChatJoinRequest
+};
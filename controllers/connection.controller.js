@@ -3,8 +3,13 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Connection } from "../models/connection.model.js";
 import { User } from "../models/user.model.js";
-import { createNotification } from "./notification.controller.js";
+import { DOMAIN_EVENTS, publish } from "../utils/eventBus.js";
 import mongoose from "mongoose";
+import {
+    isAccountVisible,
+    visibleAccountFilter,
+} from "../utils/accountStatusUtils.js";
+import { withPresence } from "../utils/presence.js";
 
 // Socket.IO instance (will be initialized from chat controller or separately)
 let io;
@@ -50,7 +55,7 @@ const sendConnectionRequest = asyncHandler(async (req, res) => {
 
     // Check if target user exists
     const targetUser = await User.findById(userId);
-    if (!targetUser) {
+    if (!isAccountVisible(targetUser)) {
         throw new ApiError(404, "User not found");
     }
 
@@ -93,16 +98,7 @@ const sendConnectionRequest = asyncHandler(async (req, res) => {
                 });
             }
 
-            // Create persistent notification
-            await createNotification({
-                recipient: userId,
-                sender: fromUserId,
-                type: 'connection_request',
-                title: 'New Connection Request',
-                message: `${req.user.firstName} ${req.user.lastName} sent you a connection request`,
-                data: { connectionId: populatedConnection._id },
-                actionUrl: `/connections/requests`
-            });
+            publish(DOMAIN_EVENTS.CONNECTION_REQUESTED, { connection: populatedConnection });
 
             return res.status(200).json(
                 new ApiResponse(200, { connection: populatedConnection }, "Connection request sent successfully")
@@ -140,16 +136,7 @@ const sendConnectionRequest = asyncHandler(async (req, res) => {
         });
     }
 
-    // Create persistent notification
-    await createNotification({
-        recipient: userId,
-        sender: fromUserId,
-        type: 'connection_request',
-        title: 'New Connection Request',
-        message: `${req.user.firstName} ${req.user.lastName} sent you a connection request`,
-        data: { connectionId: populatedConnection._id },
-        actionUrl: `/connections/requests`
-    });
+    publish(DOMAIN_EVENTS.CONNECTION_REQUESTED, { connection: populatedConnection });
 
     return res.status(201).json(
         new ApiResponse(201, { connection: populatedConnection }, "Connection request sent successfully")
@@ -204,16 +191,7 @@ const acceptConnectionRequest = asyncHandler(async (req, res) => {
         });
     }
 
-    // Create persistent notification for requester
-    await createNotification({
-        recipient: connection.from,
-        sender: currentUserId,
-        type: 'connection_accepted',
-        title: 'Connection Request Accepted',
-        message: `${req.user.firstName} ${req.user.lastName} accepted your connection request`,
-        data: { connectionId: populatedConnection._id },
-        actionUrl: `/connections`
-    });
+    publish(DOMAIN_EVENTS.CONNECTION_ACCEPTED, { connection: populatedConnection });
 
     return res.status(200).json(
         new ApiResponse(200, { connection: populatedConnection }, "Connection request accepted successfully")
@@ -422,6 +400,20 @@ const unblockUser = asyncHandler(async (req, res) => {
     );
 });
 
+// Pending requests of a user whose other side is still visible. Suspended and
+// deleted counterparts are left out in the query, so pages and totals agree.
+const visiblePendingRequestFilter = async (userField, counterpartField, userId) => {
+    const filter = { [userField]: userId, status: 'pending' };
+
+    const counterpartIds = await Connection.distinct(counterpartField, filter);
+    const visibleIds = await User.distinct('_id', {
+        _id: { $in: counterpartIds },
+        ...visibleAccountFilter()
+    });
+
+    return { ...filter, [counterpartField]: { $in: visibleIds } };
+};
+
 // Get received connection requests (pending)
 const getReceivedConnectionRequests = asyncHandler(async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
@@ -429,19 +421,15 @@ const getReceivedConnectionRequests = asyncHandler(async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const requests = await Connection.find({
-        to: currentUserId,
-        status: 'pending'
-    })
+    const filter = await visiblePendingRequestFilter('to', 'from', currentUserId);
+
+    const requests = await Connection.find(filter)
     .populate('from', 'firstName lastName profileImage email role')
     .sort({ requestedAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
-    const totalRequests = await Connection.countDocuments({
-        to: currentUserId,
-        status: 'pending'
-    });
+    const totalRequests = await Connection.countDocuments(filter);
 
     return res.status(200).json(
         new ApiResponse(200, {
@@ -464,19 +452,15 @@ const getSentConnectionRequests = asyncHandler(async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const requests = await Connection.find({
-        from: currentUserId,
-        status: 'pending'
-    })
+    const filter = await visiblePendingRequestFilter('from', 'to', currentUserId);
+
+    const requests = await Connection.find(filter)
     .populate('to', 'firstName lastName profileImage email role')
     .sort({ requestedAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
-    const totalRequests = await Connection.countDocuments({
-        from: currentUserId,
-        status: 'pending'
-    });
+    const totalRequests = await Connection.countDocuments(filter);
 
     return res.status(200).json(
         new ApiResponse(200, {
@@ -536,7 +520,9 @@ const getUserConnections = asyncHandler(async (req, res) => {
                     }
                 }
             }
-        }
+        },
+        // Hide suspended and deleted users
+        { $match: visibleAccountFilter('connectedUser.') }
     ];
 
     // Add search filter if provided
@@ -563,7 +549,9 @@ const getUserConnections = asyncHandler(async (req, res) => {
                 profileImage: 1,
                 email: 1,
                 role: 1,
-                profileHeadline: 1
+                profileHeadline: 1,
+                lastActive: 1,
+                hidePresence: 1
             },
             connectedAt: '$respondedAt',
             createdAt: 1
@@ -577,7 +565,10 @@ const getUserConnections = asyncHandler(async (req, res) => {
         { $limit: parseInt(limit) }
     );
 
-    const connections = await Connection.aggregate(pipeline);
+    const connections = (await Connection.aggregate(pipeline)).map((connection) => ({
+        ...connection,
+        connectedUser: withPresence(connection.connectedUser, currentUserId)
+    }));
 
     // Get total count
     const totalConnections = await Connection.countDocuments({
@@ -764,7 +755,8 @@ const getMutualConnections = asyncHandler(async (req, res) => {
 
     // Get mutual connection user details
     const mutualConnections = await User.find({
-        _id: { $in: mutualConnectionIds }
+        _id: { $in: mutualConnectionIds },
+        ...visibleAccountFilter()
     }).select('firstName lastName profileImage email role profileHeadline');
 
     return res.status(200).json(
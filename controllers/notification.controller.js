@@ -2,6 +2,20 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { PushSubscription } from "../models/pushSubscription.model.js";
+import { isUserOnline } from "../utils/presence.js";
+import {
+    getVapidPublicKey,
+    parsePushSubscription,
+    sendPushNotification,
+} from "../utils/webPush.js";
+import {
+    NOTIFICATION_TYPES,
+    resolveNotificationDelivery,
+    formatNotificationPreferences,
+    buildNotificationPreferencesUpdate,
+} from "../utils/notificationPreferences.js";
 
 // Create a notification model schema
 const NotificationSchema = new mongoose.Schema({
@@ -10,23 +24,14 @@ const NotificationSchema = new mongoose.Schema({
         ref: "users",
         required: true
     },
+    // Empty for system notifications such as security alerts
     sender: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: "users",
-        required: true
+        ref: "users"
     },
     type: {
         type: String,
-        enum: [
-            'connection_request',
-            'connection_accepted',
-            'connection_rejected',
-            'message',
-            'profile_update',
-            'job_posting',
-            'event_invitation',
-            'general'
-        ],
+        enum: NOTIFICATION_TYPES,
         required: true
     },
     title: {
@@ -56,6 +61,35 @@ const NotificationSchema = new mongoose.Schema({
     actionUrl: {
         type: String // URL to navigate when notification is clicked
     },
+    // Related unread notifications with the same key, e.g. "chat_message:<chatId>",
+    // are merged into one entry (see createNotification)
+    groupKey: {
+        type: String
+    },
+    // Distinct users behind a grouped entry, most recent first (capped)
+    actors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users"
+    }],
+    // Every distinct user behind a grouped entry; actorCount is its size, so
+    // a repeat sender who fell out of the capped actors is not counted again
+    actorIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        select: false
+    },
+    actorCount: {
+        type: Number,
+        default: 0
+    },
+    // Number of events merged into this entry
+    count: {
+        type: Number,
+        default: 1
+    },
+    lastEventAt: {
+        type: Date,
+        default: Date.now
+    },
     expiresAt: {
         type: Date,
         default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
@@ -66,6 +100,12 @@ const NotificationSchema = new mongoose.Schema({
 
 // Add index for efficient queries
 NotificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, lastEventAt: -1 });
+// At most one unread entry per group, so concurrent events cannot both create one
+NotificationSchema.index(
+    { recipient: 1, groupKey: 1 },
+    { unique: true, partialFilterExpression: { isRead: false, groupKey: { $exists: true } } }
+);
 NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 const Notification = mongoose.model('notifications', NotificationSchema);
@@ -74,26 +114,154 @@ const Notification = mongoose.model('notifications', NotificationSchema);
 let io;
 
 // Initialize Socket.IO for notifications
- const initializeNotificationSocket = (socketIO) => {
+const initializeNotificationSocket = (socketIO) => {
     io = socketIO;
 };
 
-// Create notification helper function
+const NOTIFICATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Actors kept on a grouped entry; actorCount keeps counting past this
+const MAX_GROUP_ACTORS = 50;
+
+// Fold an event into the recipient's unread entry with the same group key.
+// Returns null when there is no such entry.
+const mergeIntoGroup = async (notificationData, groupKey) => {
+    const now = new Date();
+    const sender = notificationData.sender
+        ? new mongoose.Types.ObjectId(notificationData.sender.toString())
+        : null;
+    const actors = { $ifNull: ['$actors', []] };
+
+    const pipeline = [{
+        $set: {
+            // The entry points at the latest event
+            data: { $literal: notificationData.data || {} },
+            actionUrl: notificationData.actionUrl ? { $literal: notificationData.actionUrl } : '$actionUrl',
+            count: { $add: [{ $ifNull: ['$count', 1] }, 1] },
+            ...(sender && {
+                sender,
+                actors: {
+                    $slice: [{
+                        $concatArrays: [[sender], {
+                            $filter: { input: actors, cond: { $ne: ['$$this', sender] } }
+                        }]
+                    }, MAX_GROUP_ACTORS]
+                },
+                // Entries from before actorIds existed start from their actors
+                actorIds: {
+                    $setUnion: [{ $ifNull: ['$actorIds', actors] }, [sender]]
+                }
+            }),
+            lastEventAt: now,
+            expiresAt: new Date(now.getTime() + NOTIFICATION_TTL_MS)
+        }
+    }];
+
+    if (sender) {
+        // Counted in a second stage, once actorIds includes the sender
+        pipeline.push({ $set: { actorCount: { $size: '$actorIds' } } });
+    }
+
+    return await Notification.findOneAndUpdate(
+        { recipient: notificationData.recipient, groupKey, isRead: false },
+        pipeline,
+        { new: true }
+    );
+};
+
+// Latest actor plus how many others, e.g. "Asha and 12 others"
+const describeActors = (notification) => {
+    const name = notification.sender?.firstName || 'Someone';
+    const others = Math.max(0, (notification.actorCount || 1) - 1);
+    return others > 0 ? `${name} and ${others} other${others === 1 ? '' : 's'}` : name;
+};
+
+// Create notification helper function. Returns null when the recipient has
+// turned off in-app notifications of this type.
+//
+// Pass `group: { key, summarize }` to merge related unread notifications into
+// one entry. summarize({ actors, count }) returns the { title, message } of the
+// merged entry, where actors reads like "Asha and 12 others".
 const createNotification = async (notificationData) => {
     try {
-        const notification = await Notification.create(notificationData);
+        const { group, ...data } = notificationData;
+
+        const recipient = await User.findById(data.recipient)
+            .select('notificationPreferences');
+        if (!recipient) {
+            return null;
+        }
+
+        const delivery = resolveNotificationDelivery(
+            recipient.notificationPreferences,
+            data.type
+        );
+        if (!delivery.save) {
+            return null;
+        }
+
+        let notification = group ? await mergeIntoGroup(data, group.key) : null;
+
+        if (!notification) {
+            try {
+                notification = await Notification.create({
+                    ...data,
+                    ...(group && {
+                        groupKey: group.key,
+                        actors: data.sender ? [data.sender] : [],
+                        actorIds: data.sender ? [data.sender] : [],
+                        actorCount: data.sender ? 1 : 0
+                    })
+                });
+            } catch (error) {
+                // Another event created the group's entry first
+                if (!group || error.code !== 11000) {
+                    throw error;
+                }
+                notification = await mergeIntoGroup(data, group.key);
+            }
+        }
+
         const populatedNotification = await Notification.findById(notification._id)
             .populate('sender', 'firstName lastName profileImage')
             .populate('recipient', 'firstName lastName');
 
-        // Send real-time notification via Socket.IO
+        if (notification.count > 1 && group?.summarize) {
+            const summary = group.summarize({
+                actors: describeActors(populatedNotification),
+                count: populatedNotification.count
+            });
+            populatedNotification.title = summary.title;
+            populatedNotification.message = summary.message;
+            notification.title = summary.title;
+            notification.message = summary.message;
+
+            // A later event may have merged in meanwhile; its summary wins
+            await Notification.updateOne(
+                { _id: notification._id, count: populatedNotification.count },
+                { $set: summary }
+            );
+        }
+
+        // Send real-time notification via Socket.IO. During quiet hours or a
+        // pause it is marked silent, so clients update without alerting.
+        // Merged entries keep their _id, so clients replace the old one.
         if (io) {
-            io.to(`notifications_${notificationData.recipient}`).emit('new_notification', {
+            io.to(`notifications_${data.recipient}`).emit('new_notification', {
                 notification: populatedNotification,
+                merged: notification.count > 1,
+                silent: delivery.silent,
                 timestamp: new Date()
             });
         }
 
+        // Users without an open socket get a Web Push instead
+        if (delivery.channels.push && !isUserOnline(data.recipient)) {
+            sendPushNotification(data.recipient, notification).catch((error) => {
+                console.error('Error sending push notification:', error);
+            });
+        }
+
         return populatedNotification;
     } catch (error) {
         console.error('Error creating notification:', error);
@@ -113,9 +281,13 @@ const getUserNotifications = asyncHandler(async (req, res) => {
     if (type) filter.type = type;
     if (isRead !== undefined) filter.isRead = isRead === 'true';
 
+    // A grouped entry is returned and counted once, with its latest actors
+    // and the number of events it stands for (count)
     const notifications = await Notification.find(filter)
+        .slice('actors', 5)
         .populate('sender', 'firstName lastName profileImage')
-        .sort({ createdAt: -1 })
+        .populate('actors', 'firstName lastName profileImage')
+        .sort({ lastEventAt: -1, createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
 
@@ -222,6 +394,8 @@ const clearOldNotifications = asyncHandler(async (req, res) => {
 const getNotificationStats = asyncHandler(async (req, res) => {
     const userId = req.user._id;
 
+    // total and unread count entries (a grouped entry once); events counts
+    // what was merged into them
     const stats = await Notification.aggregate([
         {
             $match: { recipient: new mongoose.Types.ObjectId(userId) }
@@ -233,10 +407,14 @@ const getNotificationStats = asyncHandler(async (req, res) => {
                 unread: {
                     $sum: { $cond: [{ $eq: ["$isRead", false] }, 1, 0] }
                 },
+                unreadEvents: {
+                    $sum: { $cond: [{ $eq: ["$isRead", false] }, { $ifNull: ["$count", 1] }, 0] }
+                },
                 byType: {
                     $push: {
                         type: "$type",
-                        isRead: "$isRead"
+                        isRead: "$isRead",
+                        count: { $ifNull: ["$count", 1] }
                     }
                 }
             }
@@ -248,11 +426,12 @@ const getNotificationStats = asyncHandler(async (req, res) => {
     if (stats.length > 0) {
         stats[0].byType.forEach(item => {
             if (!typeStats[item.type]) {
-                typeStats[item.type] = { total: 0, unread: 0 };
+                typeStats[item.type] = { total: 0, unread: 0, unreadEvents: 0 };
             }
             typeStats[item.type].total++;
             if (!item.isRead) {
                 typeStats[item.type].unread++;
+                typeStats[item.type].unreadEvents += item.count;
             }
         });
     }
@@ -261,31 +440,176 @@ const getNotificationStats = asyncHandler(async (req, res) => {
         new ApiResponse(200, {
             total: stats.length > 0 ? stats[0].total : 0,
             unread: stats.length > 0 ? stats[0].unread : 0,
+            unreadEvents: stats.length > 0 ? stats[0].unreadEvents : 0,
             byType: typeStats
         }, "Notification statistics retrieved successfully")
     );
 });
 
-// Update notification preferences (placeholder for future implementation)
+// Get notification preferences, with defaults for anything not changed
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            preferences: formatNotificationPreferences(user.notificationPreferences)
+        }, "Notification preferences retrieved successfully")
+    );
+});
+
+// Update notification preferences
+// { preferences: { types: { message: { push: false } }, quietHours, paused, pausedUntil } }
 const updateNotificationPreferences = asyncHandler(async (req, res) => {
     const userId = req.user._id;
     const { preferences } = req.body;
 
-    // This would typically update user preferences in the User model
-    // For now, we'll just return success
+    const current = await User.findById(userId).select('notificationPreferences');
+    const update = buildNotificationPreferencesUpdate(preferences, current.notificationPreferences);
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: update },
+        { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            preferences: formatNotificationPreferences(user.notificationPreferences)
+        }, "Notification preferences updated successfully")
+    );
+});
+
+// Browsers a user can have subscribed to Web Push at once
+const MAX_PUSH_SUBSCRIPTIONS_PER_USER = 20;
+
+// Public VAPID key for PushManager.subscribe()
+const getPushPublicKey = asyncHandler(async (req, res) => {
+    const publicKey = getVapidPublicKey();
+
+    if (!publicKey) {
+        throw new ApiError(503, "Push notifications are not configured");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { publicKey }, "Push public key retrieved successfully")
+    );
+});
+
+// Save this browser's push subscription { subscription: PushSubscription.toJSON() }
+const subscribeToPush = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    if (!getVapidPublicKey()) {
+        throw new ApiError(503, "Push notifications are not configured");
+    }
+
+    const { endpoint, keys, expirationTime } = parsePushSubscription(req.body.subscription);
+
+    // An endpoint belongs to one browser. It only moves here from another
+    // account when the request carries the same keys, i.e. comes from that
+    // browser (another user logged in on it)
+    const existing = await PushSubscription.findOne({ endpoint });
+
+    if (
+        existing &&
+        !existing.user.equals(userId) &&
+        (existing.keys.p256dh !== keys.p256dh || existing.keys.auth !== keys.auth)
+    ) {
+        throw new ApiError(409, "This push endpoint is registered to another account");
+    }
+
+    const subscription = await PushSubscription.findOneAndUpdate(
+        existing ? { _id: existing._id, user: existing.user } : { endpoint },
+        {
+            $set: {
+                user: userId,
+                keys,
+                expirationTime,
+                userAgent: req.get('User-Agent')
+            }
+        },
+        { upsert: !existing, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (!subscription) {
+        throw new ApiError(409, "Push subscription changed at the same time. Please try again");
+    }
+
+    const stale = await PushSubscription.find({ user: userId })
+        .sort({ updatedAt: -1 })
+        .skip(MAX_PUSH_SUBSCRIPTIONS_PER_USER)
+        .select('_id');
+    if (stale.length > 0) {
+        await PushSubscription.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+    }
+
+    return res.status(201).json(
+        new ApiResponse(201, {
+            subscription: {
+                _id: subscription._id,
+                endpoint: subscription.endpoint,
+                expirationTime: subscription.expirationTime
+            }
+        }, "Push subscription saved successfully")
+    );
+});
+
+// Remove this browser's push subscription { endpoint }
+const unsubscribeFromPush = asyncHandler(async (req, res) => {
+    const { endpoint } = req.body;
+
+    if (!endpoint) {
+        throw new ApiError(400, "endpoint is required");
+    }
+
+    const result = await PushSubscription.deleteOne({ endpoint, user: req.user._id });
+
+    if (result.deletedCount === 0) {
+        throw new ApiError(404, "Push subscription not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Push subscription removed successfully")
+    );
+});
+
+// One-click unsubscribe from digest emails; the token comes from the email,
+// so no login is needed
+const unsubscribeFromDigest = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+        throw new ApiError(400, "Invalid unsubscribe link");
+    }
+
+    const result = await User.updateOne(
+        { 'notificationPreferences.digest.unsubscribeToken': token },
+        { $set: { 'notificationPreferences.digest.frequency': 'off' } }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(400, "Invalid unsubscribe link");
+    }
+
     return res.status(200).json(
-        new ApiResponse(200, { preferences }, "Notification preferences updated successfully")
+        new ApiResponse(200, {}, "You have been unsubscribed from digest emails")
     );
 });
 
 export {
+    initializeNotificationSocket,
     getUserNotifications,
     markNotificationAsRead,
     markAllNotificationsAsRead,
     deleteNotification,
     clearOldNotifications,
     getNotificationStats,
+    getNotificationPreferences,
     updateNotificationPreferences,
+    unsubscribeFromDigest,
+    getPushPublicKey,
+    subscribeToPush,
+    unsubscribeFromPush,
     createNotification,
     Notification
 };
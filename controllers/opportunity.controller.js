@@ -4,6 +4,7 @@ import { Job } from "../models/job.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { DOMAIN_EVENTS, publish } from "../utils/eventBus.js";
 
 
 const addInternship = asyncHandler(async (req, res) => {
@@ -363,6 +364,8 @@ const applyJob = asyncHandler(async (req, res) => {
     job.applicants.push(user._id);
     await job.save();
 
+    publish(DOMAIN_EVENTS.JOB_APPLIED, { job, applicant: user });
+
     return res.status(200).json(new ApiResponse(200, {}, "User applied for this job successfully"));
 
 
@@ -395,6 +398,8 @@ const applyInternship = asyncHandler(async (req, res) => {
     internship.applicants.push(user._id);
     await internship.save();
 
+    publish(DOMAIN_EVENTS.INTERNSHIP_APPLIED, { internship, applicant: user });
+
     return res.status(200).json(new ApiResponse(200, {}, "User applied for this internship successfully"));
 
 })
@@ -475,6 +480,11 @@ const likeJob = asyncHandler(async (req, res) => {
 
     await job.save();
 
+    // Only new likes notify the poster
+    if (!isLiked) {
+        publish(DOMAIN_EVENTS.JOB_LIKED, { job, liker: user });
+    }
+
     return res.status(200).json(
         new ApiResponse(200, {
             liked: !isLiked,
@@ -509,6 +519,11 @@ const likeInternship = asyncHandler(async (req, res) => {
 
     await internship.save();
 
+    // Only new likes notify the poster
+    if (!isLiked) {
+        publish(DOMAIN_EVENTS.INTERNSHIP_LIKED, { internship, liker: user });
+    }
+
     return res.status(200).json(
         new ApiResponse(200, {
             liked: !isLiked,
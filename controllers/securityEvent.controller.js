@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  SecurityEvent,
+  SECURITY_EVENT_TYPES,
+} from "../models/securityEvent.model.js";
+
+const MAX_PAGE_SIZE = 100;
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Recent account activity for the logged-in user
+const getMyAccountActivity = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const filter = { user: req.user._id };
+
+  if (req.query.event) {
+    filter.event = req.query.event;
+  }
+
+  const [events, totalEvents] = await Promise.all([
+    SecurityEvent.find(filter)
+      .select("event severity details ipAddress userAgent createdAt")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SecurityEvent.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalEvents / limit),
+          totalEvents,
+          hasNextPage: page * limit < totalEvents,
+          hasPrevPage: page > 1,
+        },
+      },
+      "Account activity retrieved successfully"
+    )
+  );
+});
+
+// Admin: search security events across all users
+const getSecurityEvents = asyncHandler(async (req, res) => {
+  const { userId, event, severity, ipAddress, from, to } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  const filter = {};
+
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ApiError(400, "Invalid user ID");
+    }
+    filter.user = userId;
+  }
+
+  if (event) {
+    const events = event.split(",");
+    const unknown = events.filter((e) => !SECURITY_EVENT_TYPES.includes(e));
+    if (unknown.length > 0) {
+      throw new ApiError(400, `Unknown event type: ${unknown.join(", ")}`);
+    }
+    filter.event = { $in: events };
+  }
+
+  if (severity) {
+    filter.severity = severity;
+  }
+
+  if (ipAddress) {
+    filter.ipAddress = ipAddress;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, "from");
+    if (to) filter.createdAt.$lte = parseDate(to, "to");
+  }
+
+  const [events, totalEvents] = await Promise.all([
+    SecurityEvent.find(filter)
+      .populate("user", "firstName lastName email uid role")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SecurityEvent.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalEvents / limit),
+          totalEvents,
+          hasNextPage: page * limit < totalEvents,
+          hasPrevPage: page > 1,
+        },
+      },
+      "Security events retrieved successfully"
+    )
+  );
+});
+
+export { getMyAccountActivity, getSecurityEvents };
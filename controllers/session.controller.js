@@ -0,0 +1,152 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import {
+  formatUserSession,
+  revokeUserSessions,
+  logSecurityEvent,
+} from "../utils/sessionUtils.js";
+
+// Socket.IO instance
+let io;
+
+// Sockets join `session_<sessionId>` on connection (see socket.auth.middleware.js)
+const initializeSessionSocket = (socketIO) => {
+  io = socketIO;
+};
+
+// Tell the signed-out devices to drop their tokens, and the user's other
+// devices to refresh their session list
+const notifySessionsRevoked = (userId, sessionIds, reason) => {
+  if (!io) return;
+
+  sessionIds.forEach((sessionId) => {
+    io.to(`session_${sessionId}`).emit("session_revoked", {
+      sessionId,
+      reason,
+      timestamp: new Date(),
+    });
+    io.in(`session_${sessionId}`).disconnectSockets();
+  });
+
+  io.to(userId.toString()).emit("sessions_updated", {
+    revokedSessionIds: sessionIds,
+    timestamp: new Date(),
+  });
+};
+
+// Disconnect every socket of a user, e.g. when the account is suspended or deleted.
+// The event is delivered before the disconnect packet.
+const disconnectUserSockets = (userId, reason) => {
+  if (!io) return;
+
+  const rooms = [userId.toString(), `notifications_${userId}`];
+
+  io.to(rooms).emit("account_disabled", { reason, timestamp: new Date() });
+  io.in(rooms).disconnectSockets();
+};
+
+const getMySessions = asyncHandler(async (req, res) => {
+  const currentSessionId = req.tokenData?.sessionId;
+
+  const sessions = [...req.user.activeSessions]
+    .sort((a, b) => (b.lastAccess || 0) - (a.lastAccess || 0))
+    .map((session) => formatUserSession(session, currentSessionId));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { sessions, currentSessionId: currentSessionId || null },
+        "Sessions retrieved successfully"
+      )
+    );
+});
+
+const revokeMySession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (sessionId === req.tokenData?.sessionId) {
+    throw new ApiError(400, "Use logout to end the current session");
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.activeSessions.some((session) => session.sessionId === sessionId)) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  await revokeUserSessions(user, [sessionId]);
+  notifySessionsRevoked(user._id, [sessionId], "revoked_by_user");
+
+  await logSecurityEvent(
+    user._id,
+    "SESSION_REVOKED",
+    { sessionIds: [sessionId], reason: "revoked_by_user" },
+    req
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { sessionId }, "Session revoked successfully"));
+});
+
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const currentSessionId = req.tokenData?.sessionId;
+
+  if (!currentSessionId) {
+    throw new ApiError(400, "Current session could not be identified");
+  }
+
+  const user = await User.findById(req.user._id);
+
+  const sessionIds = user.activeSessions
+    .map((session) => session.sessionId)
+    .filter((sessionId) => sessionId !== currentSessionId);
+
+  // Also catch live refresh tokens whose session entry was already pruned
+  const now = new Date();
+  user.refreshTokens.forEach((rt) => {
+    if (
+      !rt.isRevoked &&
+      rt.expiresAt > now &&
+      rt.sessionId &&
+      rt.sessionId !== currentSessionId &&
+      !sessionIds.includes(rt.sessionId)
+    ) {
+      sessionIds.push(rt.sessionId);
+    }
+  });
+
+  if (sessionIds.length > 0) {
+    await revokeUserSessions(user, sessionIds);
+    notifySessionsRevoked(user._id, sessionIds, "signed_out_elsewhere");
+
+    await logSecurityEvent(
+      user._id,
+      "SESSION_REVOKED",
+      { sessionIds, reason: "signed_out_elsewhere" },
+      req
+    );
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedSessions: sessionIds.length },
+        "Signed out of all other sessions"
+      )
+    );
+});
+
+export {
+  initializeSessionSocket,
+  disconnectUserSockets,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+};
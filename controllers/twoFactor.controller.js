@@ -0,0 +1,162 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Setting } from "../models/setting.model.js";
+import {
+  findUserWithTwoFactor,
+  isTwoFactorMandatory,
+  startTwoFactorEnrolment,
+  confirmTwoFactorEnrolment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  REQUIRE_ADMIN_TWO_FACTOR,
+} from "../utils/twoFactorUtils.js";
+
+// These handlers are mounted behind userAuthentication (req.user) in
+// auth.route.js and behind adminAuthentication (req.admin) in admin.auth.route.js
+const getAccountId = (req) => (req.admin || req.user)._id;
+
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await findUserWithTwoFactor(getAccountId(req));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        enabled: user.twoFactor?.enabled || false,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        mandatory: await isTwoFactorMandatory(user),
+        backupCodesRemaining: (user.twoFactor?.backupCodes || []).filter(
+          (code) => !code.usedAt
+        ).length,
+      },
+      "Two-factor status retrieved successfully"
+    )
+  );
+});
+
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithTwoFactor(getAccountId(req));
+
+  const { secret, otpauthUri } = await startTwoFactorEnrolment(user);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUri },
+        "Scan the otpauth URI with your authenticator app and confirm with the first code"
+      )
+    );
+});
+
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Two-factor code is required");
+  }
+
+  const user = await findUserWithTwoFactor(getAccountId(req));
+  const backupCodes = await confirmTwoFactorEnrolment(user, code);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { backupCodes },
+        "Two-factor authentication enabled. Store the backup codes somewhere safe."
+      )
+    );
+});
+
+const disableTwoFactorAuthentication = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+
+  if (!password || (!code && !backupCode)) {
+    throw new ApiError(400, "Password and a two-factor code are required");
+  }
+
+  const user = await findUserWithTwoFactor(getAccountId(req));
+
+  if (await isTwoFactorMandatory(user)) {
+    throw new ApiError(403, "Two-factor authentication is mandatory for your role");
+  }
+
+  const isCorrectPassword = await user.isPasswordCorrect(password);
+  if (!isCorrectPassword) {
+    throw new ApiError(401, "Invalid password");
+  }
+
+  await verifySecondFactor(user, { code, backupCode });
+  await disableTwoFactor(user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+const regenerateTwoFactorBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Two-factor code is required");
+  }
+
+  const user = await findUserWithTwoFactor(getAccountId(req));
+
+  await verifySecondFactor(user, { code });
+  const backupCodes = await regenerateBackupCodes(user);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { backupCodes },
+        "Backup codes regenerated. Previous codes no longer work."
+      )
+    );
+});
+
+// Admin only: make 2FA mandatory (or optional) for the admin role
+const updateAdminTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const { requireForAdmins } = req.body;
+
+  if (typeof requireForAdmins !== "boolean") {
+    throw new ApiError(400, "requireForAdmins must be a boolean");
+  }
+
+  // Avoid an admin mandating 2FA without being able to pass it themselves
+  const admin = await findUserWithTwoFactor(req.admin._id);
+  if (requireForAdmins && !admin.twoFactor?.enabled) {
+    throw new ApiError(
+      400,
+      "Enable two-factor authentication on your own account first"
+    );
+  }
+
+  await Setting.setValue(REQUIRE_ADMIN_TWO_FACTOR, requireForAdmins, req.admin._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { requireForAdmins },
+        "Admin two-factor policy updated successfully"
+      )
+    );
+});
+
+export {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactorAuthentication,
+  regenerateTwoFactorBackupCodes,
+  updateAdminTwoFactorPolicy,
+};
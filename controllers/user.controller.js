@@ -7,6 +7,8 @@ import { User } from "../models/user.model.js";
 import { uploadOnCloudinary } from "../utils/cloudinary.js";
 import bcrypt from "bcryptjs";
 import mongoose from "mongoose";
+import { visibleAccountFilter } from "../utils/accountStatusUtils.js";
+import { setPresenceHidden, withPresence } from "../utils/presence.js";
 
 
 const getCurrentUser = asyncHandler(async (req, res) => {
@@ -48,6 +50,9 @@ const getCurrentUser = asyncHandler(async (req, res) => {
             $project: {
                 password: 0,
                 verifyOtp: 0,
+                "twoFactor.secret": 0,
+                "twoFactor.pendingSecret": 0,
+                "twoFactor.backupCodes": 0,
                 __v: 0,
                 ...(user.role === "student"
                     ? {
@@ -86,6 +91,7 @@ const getUser = asyncHandler(async (req, res) => {
         {
             $match: {
                 _id: new mongoose.Types.ObjectId(userId),
+                ...visibleAccountFilter(),
             },
         },
         {
@@ -114,6 +120,9 @@ const getUser = asyncHandler(async (req, res) => {
             $project: {
                 password: 0,
                 verifyOtp: 0,
+                "twoFactor.secret": 0,
+                "twoFactor.pendingSecret": 0,
+                "twoFactor.backupCodes": 0,
                 __v: 0,
                 ...(req.user?.role === "student"
                     ? {
@@ -132,7 +141,7 @@ const getUser = asyncHandler(async (req, res) => {
     }
 
     return res.status(200).json(
-        new ApiResponse(200, { user: user[0] }, "User data fetched successfully")
+        new ApiResponse(200, { user: withPresence(user[0], req.user._id) }, "User data fetched successfully")
     );
 
 
@@ -155,6 +164,7 @@ const getStudents = asyncHandler(async (req, res) => {
     const matchStage = {
         role: "student",
         isProfileVerified: true,
+        ...visibleAccountFilter(),
     };
 
     if (passoutYear) matchStage.passoutYear = Number(passoutYear);
@@ -256,6 +266,7 @@ const getAlumni = asyncHandler(async (req, res) => {
     const matchStage = {
         role: "alumni",
         isProfileVerified: true,
+        ...visibleAccountFilter(),
     };
 
     if (passoutYear) matchStage.passoutYear = Number(passoutYear);
@@ -376,6 +387,7 @@ const getStudentById = asyncHandler(async (req, res) => {
         {
             $match: {
                 _id: new mongoose.Types.ObjectId(studentId),
+                ...visibleAccountFilter(),
                 role: "student",
                 isProfileVerified: true,
             },
@@ -410,6 +422,9 @@ const getStudentById = asyncHandler(async (req, res) => {
             $project: {
                 password: 0,
                 verifyOtp: 0,
+                "twoFactor.secret": 0,
+                "twoFactor.pendingSecret": 0,
+                "twoFactor.backupCodes": 0,
                 isEmployed: 0,
                 availableForMentorship: 0,
                 mentorshipExperience: 0,
@@ -423,7 +438,7 @@ const getStudentById = asyncHandler(async (req, res) => {
     if (!student || student.length === 0) {
         return res.status(404).json(new ApiResponse(404, {}, "Student not found"));
     }
-    res.status(200).json(new ApiResponse(200, { student: student[0] }, "Student data fetched successfully"));
+    res.status(200).json(new ApiResponse(200, { student: withPresence(student[0], req.user._id) }, "Student data fetched successfully"));
 
 })
 
@@ -438,6 +453,7 @@ const getAlumniById = asyncHandler(async (req, res) => {
         {
             $match: {
                 _id: new mongoose.Types.ObjectId(alumniId),
+                ...visibleAccountFilter(),
                 role: "alumni",
                 isProfileVerified: true,
             },
@@ -475,6 +491,9 @@ const getAlumniById = asyncHandler(async (req, res) => {
             $project: {
                 password: 0,
                 verifyOtp: 0,
+                "twoFactor.secret": 0,
+                "twoFactor.pendingSecret": 0,
+                "twoFactor.backupCodes": 0,
                 mentorshipNeeds: 0,
                 __v: 0,
             },
@@ -485,7 +504,7 @@ const getAlumniById = asyncHandler(async (req, res) => {
         return res.status(404).json(new ApiResponse(404, {}, "Alumni not found"));
     }
 
-    res.status(200).json(new ApiResponse(200, { alumni: alumni[0] }, "Alumni data fetched successfully"));
+    res.status(200).json(new ApiResponse(200, { alumni: withPresence(alumni[0], req.user._id) }, "Alumni data fetched successfully"));
 
 
 
@@ -532,6 +551,9 @@ const getCurrentUserProfile = asyncHandler(async (req, res) => {
             $project: {
                 password: 0,
                 verifyOtp: 0,
+                "twoFactor.secret": 0,
+                "twoFactor.pendingSecret": 0,
+                "twoFactor.backupCodes": 0,
                 __v: 0,
                 ...(user.role === "student"
                     ? {
@@ -942,6 +964,21 @@ const updateExperience = asyncHandler(async (req, res) => {
 
 })
 
+const updatePresenceSettings = asyncHandler(async (req, res) => {
+    const { hidePresence } = req.body;
+
+    if (typeof hidePresence !== "boolean") {
+        throw new ApiError(400, "hidePresence must be a boolean");
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $set: { hidePresence } });
+    await setPresenceHidden(req.user._id, hidePresence);
+
+    return res.status(200).json(
+        new ApiResponse(200, { hidePresence }, "Presence settings updated successfully")
+    );
+})
+
 
 
 
@@ -971,6 +1008,7 @@ export {
     updateEducation,
     updateProfileImage,
     updateCoverImage,
+    updatePresenceSettings,
 
 
 
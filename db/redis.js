@@ -0,0 +1,45 @@
+import { createClient } from "redis";
+
+import { createAdapter } from "@socket.io/redis-adapter";
+
+// Redis is optional: without REDIS_URL everything runs in a single process
+let redisClient = null;
+
+const connectRedis = async () => {
+  const redisUrl = process.env.REDIS_URL;
+  if (!redisUrl) return null;
+
+  try {
+    const client = createClient({ url: redisUrl });
+    client.on("error", (error) => {
+      console.error("REDIS ERROR :: ", error.message);
+    });
+
+    await client.connect();
+    redisClient = client;
+    console.log("connection to redis is successfull");
+  } catch (error) {
+    console.error("REDIS CONNECTION ERROR :: ", error);
+    process.exit(1);
+  }
+
+  return redisClient;
+};
+
+const getRedisClient = () => redisClient;
+
+// Share rooms and emits between Node instances through Redis pub/sub
+const attachRedisAdapter = async (io) => {
+  if (!redisClient) return false;
+
+  const subClient = redisClient.duplicate();
+  subClient.on("error", (error) => {
+    console.error("REDIS SUBSCRIBER ERROR :: ", error.message);
+  });
+  await subClient.connect();
+
+  io.adapter(createAdapter(redisClient, subClient));
+  return true;
+};
+
+export { connectRedis, getRedisClient, attachRedisAdapter };
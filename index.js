@@ -2,6 +2,8 @@ import dotenv from "dotenv";
 
 import dbConnect from "./db/index.js";
 
+import { connectRedis, attachRedisAdapter } from "./db/redis.js";
+
 import { app } from "./app.js";
 
 import { Server } from "socket.io";
@@ -10,6 +12,23 @@ import http from "http";
 
 import { initializeSocket } from "./controllers/chat.controller.js";
 
+import { initializeSessionSocket } from "./controllers/session.controller.js";
+
+import { initializeNotificationSocket } from "./controllers/notification.controller.js";
+
+import { initializeChatInviteSocket } from "./controllers/chatInvite.controller.js";
+
+import { liftExpiredSuspensions } from "./utils/accountStatusUtils.js";
+
+import { enableClusterPresence } from "./utils/presence.js";
+
+import { registerNotificationHandlers } from "./utils/notificationHandlers.js";
+
+import {
+  sendDueDigests,
+  DIGEST_SWEEP_INTERVAL_MS,
+} from "./utils/notificationDigest.js";
+
 dotenv.config();
 
 const server = http.createServer(app);
@@ -29,8 +48,40 @@ app.get("/", (req, res) => {
 // Initialize Socket.IO with chat controller
 initializeSocket(io);
 
-dbConnect().then(() => {
+initializeSessionSocket(io);
+
+initializeNotificationSocket(io);
+
+initializeChatInviteSocket(io);
+
+// Controllers publish domain events; these handlers turn them into notifications
+registerNotificationHandlers();
+
+// Suspensions are also lifted lazily on login; this keeps admin lists accurate
+const SUSPENSION_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+dbConnect().then(async () => {
+  // With REDIS_URL set, instances share Socket.IO rooms, presence and rate limits
+  await connectRedis();
+  if (await attachRedisAdapter(io)) {
+    await enableClusterPresence();
+  }
+
   server.listen(process.env.PORT, () => {
     console.log(`Server is running and listening on ${process.env.PORT}`);
   });
+
+  setInterval(() => {
+    liftExpiredSuspensions().catch((error) => {
+      console.error("Failed to lift expired suspensions:", error.message);
+    });
+  }, SUSPENSION_SWEEP_INTERVAL_MS).unref();
+
+  // Digests are sent from here; with several instances each user's window
+  // is claimed by one of them
+  setInterval(() => {
+    sendDueDigests().catch((error) => {
+      console.error("Failed to send notification digests:", error.message);
+    });
+  }, DIGEST_SWEEP_INTERVAL_MS).unref();
 });
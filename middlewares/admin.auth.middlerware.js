@@ -1,6 +1,9 @@
 import { User } from "../models/user.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { assertAccountUsable } from "../utils/accountStatusUtils.js";
+import { hasAdminPermission } from "../utils/adminPermissions.js";
+import { isSessionActive } from "../utils/sessionUtils.js";
 import {
   verifyAccessToken,
   extractToken,
@@ -31,7 +34,7 @@ const adminAuthentication = asyncHandler(async (req, res, next) => {
 
     // Find admin by ID from token
     const admin = await User.findById(decodedToken.userId).select(
-      "_id uid email role isProfileVerified isProfileComplete"
+      "_id uid email role adminRole isProfileVerified isProfileComplete isSuspended suspendedUntil suspensionReason isDeleted activeSessions"
     );
 
     if (!admin) {
@@ -48,6 +51,13 @@ const adminAuthentication = asyncHandler(async (req, res, next) => {
       throw new ApiError(423, "Admin account is temporarily locked");
     }
 
+    await assertAccountUsable(admin);
+
+    // Revoked sessions, password resets and the 2FA policy sign admins out immediately
+    if (!isSessionActive(admin, decodedToken.sessionId)) {
+      throw new ApiError(401, "Admin session has been revoked. Please login again.");
+    }
+
     // Update session activity if sessionId is provided in headers
     const sessionId = req.header("X-Session-Id");
     if (sessionId) {
@@ -80,6 +90,23 @@ const adminAuthentication = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Must run after adminAuthentication; the admin needs every listed permission
+const requirePermission = (...permissions) =>
+  asyncHandler(async (req, res, next) => {
+    if (!req.admin) {
+      throw new ApiError(401, "Unauthorized - admin authentication required");
+    }
+
+    if (!hasAdminPermission(req.admin, ...permissions)) {
+      throw new ApiError(
+        403,
+        `Forbidden - missing permission: ${permissions.join(", ")}`
+      );
+    }
+
+    next();
+  });
+
 // Middleware to verify refresh token for admin token refresh endpoint
 const adminRefreshTokenValidation = asyncHandler(async (req, res, next) => {
   try {
@@ -103,4 +130,4 @@ const adminRefreshTokenValidation = asyncHandler(async (req, res, next) => {
   }
 });
 
-export { adminAuthentication, adminRefreshTokenValidation };
+export { adminAuthentication, adminRefreshTokenValidation, requirePermission };
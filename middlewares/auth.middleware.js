@@ -1,7 +1,12 @@
 import { User } from "../models/user.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { verifyJWT } from "../utils/jwt.js";
+import { verifyJWT, validateTokenPayload } from "../utils/jwt.js";
+import { isSessionActive } from "../utils/sessionUtils.js";
+import {
+  assertAccountUsable,
+  isAccountVisible,
+} from "../utils/accountStatusUtils.js";
 
 export const userAuthentication = asyncHandler(async (req, res, next) => {
   const token =
@@ -14,6 +19,9 @@ export const userAuthentication = asyncHandler(async (req, res, next) => {
 
   try {
     const decoded = await verifyJWT(token);
+    // 2FA challenge, password reset and other tokens share the signing key
+    validateTokenPayload(decoded, "access");
+
     const user = await User.findById(decoded.userId).select(
       "-password -refreshTokens"
     );
@@ -26,6 +34,13 @@ export const userAuthentication = asyncHandler(async (req, res, next) => {
       throw new ApiError(403, "Account has been deactivated");
     }
 
+    await assertAccountUsable(user);
+
+    // Sessions signed out from another device stop working immediately
+    if (!isSessionActive(user, decoded.sessionId)) {
+      throw new ApiError(401, "Session has been revoked. Please login again.");
+    }
+
     req.user = user;
     req.tokenData = {
       tokenId: decoded.tokenId,
@@ -34,10 +49,26 @@ export const userAuthentication = asyncHandler(async (req, res, next) => {
 
     next();
   } catch (error) {
+    // Keep the status of deliberate rejections such as suspended accounts
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(401, error.message || "Invalid access token");
   }
 });
 
+// Blocks features such as messaging and posting until the email is confirmed.
+// Must run after userAuthentication.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user?.isEmailVerified === false) {
+    return next(
+      new ApiError(403, "Please verify your email address to use this feature")
+    );
+  }
+
+  next();
+};
+
 export const optionalUserAuthentication = asyncHandler(
   async (req, res, next) => {
     const token =
@@ -47,11 +78,18 @@ export const optionalUserAuthentication = asyncHandler(
     if (token) {
       try {
         const decoded = await verifyJWT(token);
+        validateTokenPayload(decoded, "access");
+
         const user = await User.findById(decoded.userId).select(
           "-password -refreshTokens"
         );
 
-        if (user && user.isActive) {
+        if (
+          user &&
+          user.isActive &&
+          isAccountVisible(user) &&
+          isSessionActive(user, decoded.sessionId)
+        ) {
           req.user = user;
           req.tokenData = {
             tokenId: decoded.tokenId,
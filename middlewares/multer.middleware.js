@@ -1,4 +1,11 @@
 import multer from 'multer'
+import { ApiError } from '../utils/ApiError.js'
+import {
+    getAttachmentType,
+    MAX_CHAT_ATTACHMENT_SIZE
+} from '../utils/attachmentUtils.js'
+
+const MB = 1024 * 1024
 
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -12,4 +19,32 @@ const storage = multer.diskStorage({
 export const upload = multer({
     storage,
     limits: { fileSize: 10 * 1024 * 1024 }
-})
\ No newline at end of file
+})
+
+// Chat attachments: MIME allowlist here, per-type size limits in the controller
+export const chatAttachmentUpload = multer({
+    storage,
+    limits: { fileSize: MAX_CHAT_ATTACHMENT_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!getAttachmentType(file.mimetype)) {
+            return cb(new ApiError(415, `Files of type ${file.mimetype} are not allowed`))
+        }
+        cb(null, true)
+    }
+})
+
+// Run an upload middleware and answer multer's own errors (file too large,
+// unexpected field, ...) with an ApiError instead of a 500
+export const handleUploadErrors = (uploadMiddleware) => (req, res, next) => {
+    uploadMiddleware(req, res, (error) => {
+        if (!(error instanceof multer.MulterError)) {
+            return next(error)
+        }
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return next(new ApiError(413, `Attachments must be ${MAX_CHAT_ATTACHMENT_SIZE / MB} MB or smaller`))
+        }
+
+        next(new ApiError(400, error.message))
+    })
+}
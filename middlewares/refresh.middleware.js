@@ -1,7 +1,9 @@
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { verifyJWT } from "../utils/jwt.js";
+import { verifyJWT, validateTokenPayload } from "../utils/jwt.js";
 import { User } from "../models/user.model.js";
+import { assertRefreshTokenUsable } from "../utils/sessionUtils.js";
+import { assertAccountUsable } from "../utils/accountStatusUtils.js";
 
 export const userRefreshTokenValidation = asyncHandler(async (req, res, next) => {
     const refreshToken = req.cookies?.refreshToken || 
@@ -13,26 +15,18 @@ export const userRefreshTokenValidation = asyncHandler(async (req, res, next) =>
 
     try {
         const decoded = await verifyJWT(refreshToken);
+        validateTokenPayload(decoded, "refresh");
+
         const user = await User.findById(decoded.userId).select("+refreshTokens");
         
         if (!user) {
             throw new ApiError(401, "Invalid refresh token - user not found");
         }
 
-        // Check if refresh token exists and is not revoked
-        const storedToken = user.refreshTokens.find(
-            token => token.tokenId === decoded.tokenId && !token.isRevoked
-        );
-
-        if (!storedToken) {
-            throw new ApiError(401, "Refresh token has been revoked or expired");
-        }
+        await assertAccountUsable(user);
 
-        // Check if token has expired
-        if (new Date() > storedToken.expiresAt) {
-            await user.revokeRefreshToken(decoded.tokenId);
-            throw new ApiError(401, "Refresh token has expired");
-        }
+        // Check the token is live; a replayed rotated token revokes its family
+        await assertRefreshTokenUsable(user, decoded, req);
 
         req.user = user;
         req.refreshTokenData = {
@@ -0,0 +1,81 @@
+import { User } from "../models/user.model.js";
+import { verifyJWT, validateTokenPayload } from "../utils/jwt.js";
+import { isSessionActive } from "../utils/sessionUtils.js";
+import { isAccountVisible } from "../utils/accountStatusUtils.js";
+
+// Read a single cookie from the raw Cookie header of the handshake request
+const readCookie = (cookieHeader, name) => {
+  if (!cookieHeader) return null;
+
+  for (const part of cookieHeader.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) {
+      return decodeURIComponent(value.join("="));
+    }
+  }
+
+  return null;
+};
+
+// Access token from `io({ auth: { token } })`, the Authorization header or the accessToken cookie
+const extractSocketToken = (socket) => {
+  const { auth, headers } = socket.handshake;
+
+  return (
+    auth?.token?.replace("Bearer ", "") ||
+    headers.authorization?.replace("Bearer ", "") ||
+    readCookie(headers.cookie, "accessToken")
+  );
+};
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+// Socket.IO handshake middleware: only connections carrying a valid access
+// token are accepted. The user id is taken from the token, never from the client.
+export const socketAuthentication = async (socket, next) => {
+  const token = extractSocketToken(socket);
+
+  if (!token) {
+    return next(authError("Access token not found", "unauthorized"));
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyJWT(token);
+    validateTokenPayload(decoded, "access");
+  } catch (error) {
+    const code = error.message.includes('"exp"')
+      ? "token_expired"
+      : "unauthorized";
+    return next(authError(error.message, code));
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select(
+      "isActive isDeleted isSuspended suspendedUntil activeSessions"
+    );
+
+    if (!user || !user.isActive || !isAccountVisible(user)) {
+      return next(authError("Account is not available", "account_disabled"));
+    }
+
+    if (!isSessionActive(user, decoded.sessionId)) {
+      return next(authError("Session has been revoked", "session_revoked"));
+    }
+  } catch (error) {
+    console.error("Socket authentication failed:", error);
+    return next(authError("Authentication failed", "server_error"));
+  }
+
+  socket.userId = decoded.userId;
+  // Visible to other instances through fetchSockets() (see utils/presence.js)
+  socket.data.userId = decoded.userId;
+  socket.sessionId = decoded.sessionId || null;
+  socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+
+  next();
+};
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+import crypto from "crypto";
+
+import { ADMIN_ROLES } from "../utils/adminPermissions.js";
+
+// Roles an invite can grant
+export const ADMIN_INVITE_ROLES = ADMIN_ROLES;
+
+const AdminInviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+
+    role: {
+      type: String,
+      enum: ADMIN_INVITE_ROLES,
+      required: true,
+    },
+
+    // Only the SHA-256 hash of the invite token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    acceptedAt: Date,
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+
+    revokedAt: Date,
+
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AdminInviteSchema.index({ email: 1, createdAt: -1 });
+
+AdminInviteSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Query filter for invites that can still be accepted
+AdminInviteSchema.statics.pendingFilter = function () {
+  return {
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+};
+
+AdminInviteSchema.methods.getStatus = function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+};
+
+export const AdminInvite = mongoose.model("admininvites", AdminInviteSchema);
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Admin actions recorded by createAuditLog (admin.controller.js)
+const AuditLogSchema = new mongoose.Schema(
+  {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+
+    action: {
+      type: String,
+      required: true,
+    },
+
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    targetType: String,
+
+    targetId: mongoose.Schema.Types.ObjectId,
+
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+
+    ipAddress: String,
+
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ adminId: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export const AuditLog = mongoose.model("auditlogs", AuditLogSchema);
@@ -28,7 +28,95 @@ const ChatSchema = new mongoose.Schema({
     lastMessage: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "messages"
-    }
+    },
+
+    // One cursor per member: everything up to lastReadMessageAt has been read,
+    // everything up to lastDeliveredMessageAt has reached one of their devices.
+    // readAt / deliveredAt record when the cursor last moved.
+    readCursors: [
+        {
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "users"
+            },
+            lastReadMessage: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "messages"
+            },
+            lastReadMessageAt: Date,
+            readAt: Date,
+            lastDeliveredMessageAt: Date,
+            deliveredAt: Date
+        }
+    ],
+
+    // Per-member list settings; only members who changed something have an entry
+    memberSettings: [
+        {
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "users"
+            },
+            pinnedAt: Date,
+            mutedUntil: Date,
+            archivedAt: Date,
+            markedUnread: {
+                type: Boolean,
+                default: false
+            }
+        }
+    ],
+
+    // Messages pinned to the top of the chat (group admins, or either member of a direct chat)
+    pinnedMessages: [
+        {
+            _id: false,
+            message: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "messages"
+            },
+            pinnedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "users"
+            },
+            pinnedAt: Date
+        }
+    ],
+
+    // Compliance hold placed by an admin; while set, deleted messages and the
+    // deleted chat itself are kept as hidden copies (see chatCompliance.controller.js)
+    legalHold: {
+        type: new mongoose.Schema({
+            reason: {
+                type: String,
+                trim: true
+            },
+            caseReference: {
+                type: String,
+                trim: true
+            },
+            placedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "users"
+            },
+            placedAt: Date
+        }, { _id: false }),
+        default: null
+    },
+
+    // Set when the chat was deleted while on hold; its members move to formerUsers
+    // so it disappears for them while its messages are retained
+    deletedAt: Date,
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users"
+    },
+    formerUsers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users"
+    }]
 
 
 
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+import crypto from "crypto";
+
+// Shareable links that let users join a group chat
+const ChatInviteSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "chats",
+        required: true
+    },
+
+    // Public part of the link; links are meant to be shared, so it is stored as is
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users"
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // null means unlimited
+    maxUses: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+
+    useCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Joining through the link creates a join request for the admins to review
+    requiresApproval: {
+        type: Boolean,
+        default: false
+    },
+
+    revokedAt: Date,
+
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users"
+    }
+}, {
+    timestamps: true
+});
+
+ChatInviteSchema.index({ chat: 1, createdAt: -1 });
+
+ChatInviteSchema.statics.generateCode = function () {
+    return crypto.randomBytes(12).toString("base64url");
+};
+
+// Query filter for links that can still be used
+ChatInviteSchema.statics.activeFilter = function () {
+    return {
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $or: [
+            { maxUses: null },
+            { $expr: { $lt: ["$useCount", "$maxUses"] } }
+        ]
+    };
+};
+
+ChatInviteSchema.methods.getStatus = function () {
+    if (this.revokedAt) return "revoked";
+    if (this.expiresAt <= new Date()) return "expired";
+    if (this.maxUses !== null && this.useCount >= this.maxUses) return "used_up";
+    return "active";
+};
+
+export const ChatInvite = mongoose.model("chatinvites", ChatInviteSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Requests to join a group chat through an invite link that requires approval
+const ChatJoinRequestSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "chats",
+        required: true
+    },
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users",
+        required: true
+    },
+
+    invite: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "chatinvites"
+    },
+
+    status: {
+        type: String,
+        enum: ["pending", "approved", "denied"],
+        default: "pending"
+    },
+
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users"
+    },
+
+    reviewedAt: Date
+}, {
+    timestamps: true
+});
+
+// One open request per user and chat
+ChatJoinRequestSchema.index(
+    { chat: 1, user: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+);
+ChatJoinRequestSchema.index({ chat: 1, status: 1, createdAt: -1 });
+
+export const ChatJoinRequest = mongoose.model("chatjoinrequests", ChatJoinRequestSchema);
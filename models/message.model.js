@@ -19,10 +19,62 @@ const MessageSchema = new mongoose.Schema({
         default: "text"
     },
 
+    // Optional caption when the message carries an attachment
     content: {
         type: String,
-        required: true,
+        required: function () {
+            return !this.attachment?.url;
+        },
+    },
+
+    // Set for image, video and file messages
+    attachment: {
+        url: String,
+        publicId: String,
+        resourceType: String,
+        name: String,
+        size: Number,
+        mimeType: String,
+        width: Number,
+        height: Number,
+        duration: Number,
+        thumbnailUrl: String
+    },
+
+    // Quoted reply; populated as null once the parent is deleted
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "messages"
     },
+
+    isEdited: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: Date,
+    // Previous versions of the content, oldest first
+    editHistory: [
+        {
+            _id: false,
+            content: String,
+            editedAt: Date
+        }
+    ],
+
+    // One entry per user and emoji; responses aggregate them per emoji
+    reactions: [
+        {
+            _id: false,
+            emoji: String,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "users"
+            },
+            reactedAt: Date
+        }
+    ],
+
+    // Not updated per reader; responses derive it from the chat's read cursors
     status: {
         type: String,
         enum: ["sent", "delivered", "read"],
@@ -39,4 +91,12 @@ const MessageSchema = new mongoose.Schema({
     timestamps: true
 })
 
+MessageSchema.index({ chat: 1, createdAt: -1 });
+
+// Global message search (GET /api/v1/chat/search)
+MessageSchema.index(
+    { content: "text", "attachment.name": "text" },
+    { weights: { content: 10, "attachment.name": 5 }, name: "message_text_search" }
+);
+
 export const Message = mongoose.model("messages", MessageSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+import bcrypt from "bcryptjs";
+
+const OtpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+    },
+
+    purpose: {
+      type: String,
+      enum: ["password_reset", "admin_password_reset"],
+      required: true,
+    },
+
+    // Only the bcrypt hash of the code is stored
+    codeHash: {
+      type: String,
+      required: true,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+
+    // Set once maxAttempts wrong codes have been entered
+    lockedUntil: Date,
+
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Later of expiresAt and lockedUntil; MongoDB removes the record after it
+    purgeAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One live OTP per user and purpose
+OtpSchema.index({ user: 1, purpose: 1 }, { unique: true });
+
+OtpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+OtpSchema.pre("save", function (next) {
+  this.purgeAt = new Date(
+    Math.max(this.expiresAt?.getTime() || 0, this.lockedUntil?.getTime() || 0)
+  );
+  next();
+});
+
+OtpSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+OtpSchema.methods.isLocked = function () {
+  return this.lockedUntil && this.lockedUntil > new Date();
+};
+
+OtpSchema.methods.isCodeCorrect = async function (code) {
+  return await bcrypt.compare(String(code), this.codeHash);
+};
+
+export const Otp = mongoose.model("otps", OtpSchema);
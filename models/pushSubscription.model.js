@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// One Web Push subscription per browser, created by the service worker's
+// PushManager.subscribe() and sent to us by the client (utils/webPush.js)
+const PushSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+      required: true,
+      index: true,
+    },
+
+    // Push service URL; unique per browser profile
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true },
+    },
+
+    // Set by some push services; the subscription stops working after it
+    expirationTime: Date,
+
+    userAgent: String,
+
+    lastSuccessAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const PushSubscription = mongoose.model(
+  "pushSubscriptions",
+  PushSubscriptionSchema
+);
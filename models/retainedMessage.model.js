@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Hidden copies of messages deleted from a chat under legal hold. Never shown
+// to users; only included in admin exports.
+const RetainedMessageSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "chats",
+        required: true
+    },
+
+    // ID of the deleted message
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    // The message as it was stored when it was deleted
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users"
+    },
+
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+RetainedMessageSchema.index({ chat: 1, deletedAt: 1 });
+
+export const RetainedMessage = mongoose.model("retainedmessages", RetainedMessageSchema);
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// Event types written by logSecurityEvent (utils/sessionUtils.js)
+export const SECURITY_EVENT_TYPES = [
+  "LOGIN_SUCCESS",
+  "LOGIN_FAILED",
+  "ACCOUNT_LOCKED",
+  "PASSWORD_CHANGED",
+  "REFRESH_TOKEN_REVOKED",
+  "SESSION_REVOKED",
+  "ALL_ACCESS_REVOKED",
+  "REFRESH_TOKEN_REUSE_DETECTED",
+  "SUSPICIOUS_LOGIN_MULTIPLE_IPS",
+  "ADMIN_ROLE_CHANGED",
+];
+
+const SEVERITY_BY_EVENT = {
+  LOGIN_FAILED: "warning",
+  ACCOUNT_LOCKED: "warning",
+  REFRESH_TOKEN_REUSE_DETECTED: "critical",
+  SUSPICIOUS_LOGIN_MULTIPLE_IPS: "critical",
+  ADMIN_ROLE_CHANGED: "warning",
+};
+
+const getSecurityEventSeverity = (event) =>
+  SEVERITY_BY_EVENT[event] || "info";
+
+const getRetentionDays = () =>
+  parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS, 10) || 90;
+
+const SecurityEventSchema = new mongoose.Schema(
+  {
+    // Empty for failed logins with an unknown email or uid
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+
+    event: {
+      type: String,
+      required: true,
+    },
+
+    severity: {
+      type: String,
+      enum: ["info", "warning", "critical"],
+      default: function () {
+        return getSecurityEventSeverity(this.event);
+      },
+    },
+
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    ipAddress: String,
+
+    userAgent: String,
+
+    // Set when this event triggered a security alert to the user
+    alertedAt: Date,
+
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+SecurityEventSchema.index({ event: 1, createdAt: -1 });
+SecurityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SecurityEvent = mongoose.model(
+  "securityevents",
+  SecurityEventSchema
+);
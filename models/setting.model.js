@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Application-wide settings that admins can change at runtime
+const SettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SettingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+SettingSchema.statics.setValue = async function (key, value, updatedBy = null) {
+  return await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true }
+  );
+};
+
+export const Setting = mongoose.model("settings", SettingSchema);
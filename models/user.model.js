@@ -2,6 +2,10 @@ import mongoose from "mongoose";
 
 import bcrypt from "bcryptjs";
 
+import { ADMIN_ROLES } from "../utils/adminPermissions.js";
+
+import { DIGEST_FREQUENCIES } from "../utils/notificationPreferences.js";
+
 const UserSchema = new mongoose.Schema(
   {
     uid: {
@@ -41,10 +45,84 @@ const UserSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Only set for admins; see utils/adminPermissions.js
+    adminRole: {
+      type: String,
+      enum: [...ADMIN_ROLES, null],
+      default: undefined,
+    },
+
     isActive: { type: Boolean, default: true },
 
+    // Suspension (set by admins); suspendedUntil null means indefinite
+    isSuspended: { type: Boolean, default: false },
+    suspensionReason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+    suspendedUntil: Date,
+
+    // Soft deletion (set by admins); email and uid are rewritten to free them up
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+    deletionReason: String,
+    restoredAt: Date,
+    restoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "users",
+    },
+
+    // Set when the user's last socket disconnects (utils/presence.js)
     lastActive: Date,
 
+    // Hides online status and lastActive from other users
+    hidePresence: { type: Boolean, default: false },
+
+    // Only changed channels are stored, see utils/notificationPreferences.js
+    notificationPreferences: {
+      types: {
+        type: Map,
+        of: new mongoose.Schema(
+          { inApp: Boolean, email: Boolean, push: Boolean },
+          { _id: false }
+        ),
+        default: {},
+      },
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        // "HH:mm" in the user's timezone
+        start: String,
+        end: String,
+        timezone: { type: String, default: "UTC" },
+      },
+      // Stops sending everything except security alerts, until pausedUntil
+      // or until turned off when pausedUntil is empty
+      paused: { type: Boolean, default: false },
+      pausedUntil: Date,
+      // Email digest (utils/notificationDigest.js). sentUntil is the end of
+      // the last window sent, so nothing is included twice
+      digest: {
+        frequency: {
+          type: String,
+          enum: DIGEST_FREQUENCIES,
+          default: "off",
+        },
+        sentUntil: Date,
+        // Random value in the unsubscribe links of digest emails; it can only
+        // turn the digest off
+        unsubscribeToken: {
+          type: String,
+          select: false,
+        },
+      },
+    },
+
     isProfileComplete: {
       type: Boolean,
       default: false,
@@ -55,10 +133,16 @@ const UserSchema = new mongoose.Schema(
       default: false,
     },
 
-    verifyOtp: {
-      type: Number,
+    // No default: accounts created before email verification existed have no
+    // value and are treated as verified (see requireVerifiedEmail)
+    isEmailVerified: {
+      type: Boolean,
     },
 
+    emailVerifiedAt: Date,
+
+    emailVerificationSentAt: Date,
+
     // Refresh Token Management
     refreshTokens: [
       {
@@ -89,6 +173,12 @@ const UserSchema = new mongoose.Schema(
           type: Boolean,
           default: false,
         },
+        // Every token issued by rotating a login's refresh token shares its family
+        familyId: String,
+        sessionId: String,
+        revokedAt: Date,
+        // tokenId of the token that replaced this one on refresh
+        replacedBy: String,
       },
     ],
 
@@ -98,6 +188,28 @@ const UserSchema = new mongoose.Schema(
       lastAttempt: Date,
       lockedUntil: Date,
     },
+    // Password reset tokens issued before this time are refused
+    passwordChangedAt: Date,
+
+    // TOTP two-factor authentication (secrets are never selected by default)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Secret waiting for the first code during enrolment
+      pendingSecret: { type: String, select: false },
+      backupCodes: {
+        type: [
+          {
+            codeHash: String,
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: Number,
+      enabledAt: Date,
+    },
 
     // Session management
     activeSessions: [
@@ -267,11 +379,21 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+// The digest sweep only looks at users who opted in
+UserSchema.index({ "notificationPreferences.digest.frequency": 1 });
+UserSchema.index(
+  { "notificationPreferences.digest.unsubscribeToken": 1 },
+  { unique: true, sparse: true }
+);
+
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
     return next();
   }
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 
   next();
 });
@@ -281,6 +403,11 @@ UserSchema.methods.isPasswordCorrect = async function (password) {
 };
 
 // Refresh token management methods
+
+// A rotated token stays recognisable this long, so concurrent refreshes from
+// the same client are not mistaken for token theft
+const REFRESH_TOKEN_ROTATION_GRACE_MS = 10 * 1000;
+
 UserSchema.methods.addRefreshToken = async function (tokenData) {
   const {
     token,
@@ -289,13 +416,28 @@ UserSchema.methods.addRefreshToken = async function (tokenData) {
     userAgent = "",
     ipAddress = "",
     rememberMe = false,
+    familyId = tokenId,
+    sessionId = null,
   } = tokenData;
 
+  const now = new Date();
+
   // Remove expired tokens and limit active tokens to 5
-  this.refreshTokens = this.refreshTokens
-    .filter((rt) => rt.expiresAt > new Date() && !rt.isRevoked)
+  const activeTokens = this.refreshTokens
+    .filter((rt) => rt.expiresAt > now && !rt.isRevoked)
     .slice(-4); // Keep only the latest 4 tokens
 
+  // Keep just-rotated tokens for the grace window (see checkRefreshTokenUsage)
+  const recentlyRotated = this.refreshTokens.filter(
+    (rt) =>
+      rt.isRevoked &&
+      rt.replacedBy &&
+      rt.revokedAt &&
+      now.getTime() - rt.revokedAt.getTime() < REFRESH_TOKEN_ROTATION_GRACE_MS
+  );
+
+  this.refreshTokens = [...recentlyRotated, ...activeTokens];
+
   // Add new refresh token
   this.refreshTokens.push({
     token,
@@ -304,6 +446,8 @@ UserSchema.methods.addRefreshToken = async function (tokenData) {
     userAgent,
     ipAddress,
     rememberMe,
+    familyId,
+    sessionId,
     createdAt: new Date(),
     isRevoked: false,
   });
@@ -318,6 +462,7 @@ UserSchema.methods.revokeRefreshToken = async function (tokenId) {
 
   if (tokenIndex !== -1) {
     this.refreshTokens[tokenIndex].isRevoked = true;
+    this.refreshTokens[tokenIndex].revokedAt = new Date();
     await this.save();
     return true;
   }
@@ -328,6 +473,7 @@ UserSchema.methods.revokeRefreshToken = async function (tokenId) {
 UserSchema.methods.revokeAllRefreshTokens = async function () {
   this.refreshTokens.forEach((rt) => {
     rt.isRevoked = true;
+    rt.revokedAt = rt.revokedAt || new Date();
   });
   await this.save();
 };
@@ -345,6 +491,72 @@ UserSchema.methods.isRefreshTokenValid = function (tokenId) {
   return token && !token.isRevoked && token.expiresAt > new Date();
 };
 
+// Replace a refresh token with a new one from the same family
+UserSchema.methods.rotateRefreshToken = async function (oldTokenId, tokenData) {
+  const oldToken = this.refreshTokens.find((rt) => rt.tokenId === oldTokenId);
+
+  if (oldToken) {
+    oldToken.isRevoked = true;
+    oldToken.revokedAt = new Date();
+    oldToken.replacedBy = tokenData.tokenId;
+  }
+
+  await this.addRefreshToken({
+    ...tokenData,
+    familyId: oldToken?.familyId || oldTokenId,
+    sessionId: tokenData.sessionId ?? oldToken?.sessionId,
+  });
+};
+
+/**
+ * Classify a presented refresh token:
+ * - "valid": live token
+ * - "rotated": replaced moments ago (concurrent refresh), reject quietly
+ * - "reused": not live, but its family still is - the token was stolen or replayed
+ * - "invalid": unknown, expired or its whole family is revoked
+ */
+UserSchema.methods.checkRefreshTokenUsage = function (tokenId, familyId) {
+  const now = new Date();
+  const token = this.refreshTokens.find((rt) => rt.tokenId === tokenId);
+
+  if (token && !token.isRevoked && token.expiresAt > now) {
+    return "valid";
+  }
+
+  if (
+    token?.replacedBy &&
+    token.revokedAt &&
+    now.getTime() - token.revokedAt.getTime() < REFRESH_TOKEN_ROTATION_GRACE_MS
+  ) {
+    return "rotated";
+  }
+
+  const family = familyId || token?.familyId;
+  const familyIsLive =
+    family &&
+    this.refreshTokens.some(
+      (rt) => rt.familyId === family && !rt.isRevoked && rt.expiresAt > now
+    );
+
+  return familyIsLive ? "reused" : "invalid";
+};
+
+// Revoke every token in a family; returns the affected session IDs
+UserSchema.methods.revokeRefreshTokenFamily = async function (familyId) {
+  const sessionIds = new Set();
+
+  this.refreshTokens.forEach((rt) => {
+    if (rt.familyId === familyId) {
+      rt.isRevoked = true;
+      rt.revokedAt = rt.revokedAt || new Date();
+      if (rt.sessionId) sessionIds.add(rt.sessionId);
+    }
+  });
+
+  await this.save();
+  return Array.from(sessionIds);
+};
+
 // Account security methods
 UserSchema.methods.incrementLoginAttempts = async function () {
   // If we have a previous attempt and it's been more than 15 minutes, reset attempts
@@ -381,6 +593,26 @@ UserSchema.methods.isAccountLocked = function () {
   );
 };
 
+// Account status methods
+UserSchema.methods.isSuspensionActive = function () {
+  if (!this.isSuspended) return false;
+  return !this.suspendedUntil || this.suspendedUntil > new Date();
+};
+
+UserSchema.methods.liftExpiredSuspension = async function () {
+  if (!this.isSuspended || this.isSuspensionActive()) {
+    return false;
+  }
+
+  this.isSuspended = false;
+  this.suspensionReason = undefined;
+  this.suspendedAt = undefined;
+  this.suspendedBy = undefined;
+  this.suspendedUntil = undefined;
+  await this.save({ validateBeforeSave: false });
+  return true;
+};
+
 // Session management methods
 UserSchema.methods.addSession = async function (sessionData) {
   const { sessionId, deviceInfo, ipAddress } = sessionData;
@@ -1,24 +1,79 @@
 import { Router } from "express";
 
-import { adminAuthentication, adminRefreshTokenValidation } from "../middlewares/admin.auth.middlerware.js";
+import { adminAuthentication, adminRefreshTokenValidation, requirePermission } from "../middlewares/admin.auth.middlerware.js";
 import {
   changePassword,
   loginAdmin,
+  verifyAdminTwoFactorLogin,
+  setupAdminTwoFactorAtLogin,
+  confirmAdminTwoFactorAtLogin,
   logoutAdmin,
   refreshAdminToken,
-  registerAdmin,
+  sendAdminPasswordResetOtp,
+  verifyAdminPasswordResetOtp,
+  resetAdminPasswordUsingOtp,
 } from "../controllers/admin.auth.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactorAuthentication,
+  regenerateTwoFactorBackupCodes,
+  updateAdminTwoFactorPolicy,
+} from "../controllers/twoFactor.controller.js";
+import {
+  createAdminInvite,
+  listAdminInvites,
+  revokeAdminInvite,
+  getAdminInvite,
+  acceptAdminInvite,
+} from "../controllers/adminInvite.controller.js";
 
 const router = Router();
 
-router.route("/signup").post(registerAdmin);
+router
+  .route("/invites")
+  .post(adminAuthentication, requirePermission("admins.invite"), createAdminInvite)
+  .get(adminAuthentication, requirePermission("admins.invite"), listAdminInvites);
+
+router.route("/invites/:inviteId").delete(adminAuthentication, requirePermission("admins.invite"), revokeAdminInvite);
+
+router.route("/invites/accept/:token").get(getAdminInvite).post(acceptAdminInvite);
 
 router.route("/login").post(loginAdmin);
 
+router.route("/login/2fa").post(verifyAdminTwoFactorLogin);
+
+router.route("/login/2fa/setup").post(setupAdminTwoFactorAtLogin);
+
+router.route("/login/2fa/confirm").post(confirmAdminTwoFactorAtLogin);
+
 router.route("/logout").post(adminAuthentication, logoutAdmin);
 
 router.route("/refresh-token").post(adminRefreshTokenValidation, refreshAdminToken);
 
 router.route("/change-password").post(changePassword);
 
+router.route("/2fa").get(adminAuthentication, getTwoFactorStatus);
+
+router.route("/2fa/setup").post(adminAuthentication, setupTwoFactor);
+
+router.route("/2fa/confirm").post(adminAuthentication, confirmTwoFactor);
+
+router.route("/2fa/disable").post(adminAuthentication, disableTwoFactorAuthentication);
+
+router.route("/2fa/backup-codes").post(adminAuthentication, regenerateTwoFactorBackupCodes);
+
+router.route("/2fa/policy").patch(adminAuthentication, requirePermission("admins.manage"), updateAdminTwoFactorPolicy);
+
+router.route("/forgot-password/:email/send-otp").get(sendAdminPasswordResetOtp);
+
+router
+  .route("/forgot-password/:email/verify-otp")
+  .post(verifyAdminPasswordResetOtp);
+
+router
+  .route("/forgot-password/:email/otp-change-password/:token")
+  .post(resetAdminPasswordUsingOtp);
+
 export default router;
@@ -38,11 +38,27 @@ import {
 } from "../controllers/admin.controller.js";
 
 import { Router } from "express";
-import { adminAuthentication } from "../middlewares/admin.auth.middlerware.js";
+import {
+  adminAuthentication,
+  requirePermission,
+} from "../middlewares/admin.auth.middlerware.js";
+import { getSecurityEvents } from "../controllers/securityEvent.controller.js";
+import {
+  getAdminRoles,
+  getMyAdminPermissions,
+  getAdmins,
+  updateAdminRole,
+} from "../controllers/adminRole.controller.js";
 import {
   getInternshipById,
   getJobById,
 } from "../controllers/opportunity.controller.js";
+import {
+  getLegalHolds,
+  placeLegalHold,
+  releaseLegalHold,
+  exportChatForInvestigation,
+} from "../controllers/chatCompliance.controller.js";
 
 const router = Router();
 
@@ -51,113 +67,288 @@ const router = Router();
 // Verified Users
 router
   .route("/get-verified-students")
-  .get(adminAuthentication, getAllVerifiedStudents);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllVerifiedStudents
+  );
 router
   .route("/get-verified-alumni")
-  .get(adminAuthentication, getAllVerifiedAlumni);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllVerifiedAlumni
+  );
 
 // Unverified Users
 router
   .route("/get-unverified-students")
-  .get(adminAuthentication, getAllUnVerifiedStudents);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllUnVerifiedStudents
+  );
 router
   .route("/get-unverified-alumni")
-  .get(adminAuthentication, getAllUnVerifiedAlumni);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllUnVerifiedAlumni
+  );
 
 // Profile Completion
 router
   .route("/get-profilecomplete-students")
-  .get(adminAuthentication, getAllProfileCompleteStudents);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllProfileCompleteStudents
+  );
 router
   .route("/get-profileincomplete-students")
-  .get(adminAuthentication, getAllProfileInCompleteStudents);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllProfileInCompleteStudents
+  );
 router
   .route("/get-profilecomplete-alumni")
-  .get(adminAuthentication, getAllprofileCompleteAlumni);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllprofileCompleteAlumni
+  );
 router
   .route("/get-profileincomplete-alumni")
-  .get(adminAuthentication, getAllProfileInCompleteAlumni);
+  .get(
+    adminAuthentication,
+    requirePermission("users.read"),
+    getAllProfileInCompleteAlumni
+  );
 
 // User Actions
-router.route("/verify-user/:uid").post(adminAuthentication, verifyUser);
-router.route("/users/:userId/suspend").post(adminAuthentication, suspendUser);
+router
+  .route("/verify-user/:uid")
+  .post(adminAuthentication, requirePermission("users.verify"), verifyUser);
+router
+  .route("/users/:userId/suspend")
+  .post(adminAuthentication, requirePermission("users.suspend"), suspendUser);
 router
   .route("/users/:userId/unsuspend")
-  .post(adminAuthentication, unsuspendUser);
-router.route("/users/:userId/delete").delete(adminAuthentication, deleteUser);
-router.route("/users/:userId/restore").post(adminAuthentication, restoreUser);
+  .post(adminAuthentication, requirePermission("users.suspend"), unsuspendUser);
+router
+  .route("/users/:userId/delete")
+  .delete(adminAuthentication, requirePermission("users.delete"), deleteUser);
+router
+  .route("/users/:userId/restore")
+  .post(adminAuthentication, requirePermission("users.delete"), restoreUser);
 
 // Bulk Operations
-router.route("/users/bulk-verify").post(adminAuthentication, bulkVerifyUsers);
-router.route("/users/bulk-suspend").post(adminAuthentication, bulkSuspendUsers);
+router
+  .route("/users/bulk-verify")
+  .post(
+    adminAuthentication,
+    requirePermission("users.verify"),
+    bulkVerifyUsers
+  );
+router
+  .route("/users/bulk-suspend")
+  .post(
+    adminAuthentication,
+    requirePermission("users.suspend"),
+    bulkSuspendUsers
+  );
 
 // Individual User Details
-router.route("/get-student/:userId").get(adminAuthentication, getStudentById);
-router.route("/get-alumni/:userId").get(adminAuthentication, getAlumniById);
+router
+  .route("/get-student/:userId")
+  .get(adminAuthentication, requirePermission("users.read"), getStudentById);
+router
+  .route("/get-alumni/:userId")
+  .get(adminAuthentication, requirePermission("users.read"), getAlumniById);
 
 // === JOB/INTERNSHIP MANAGEMENT ROUTES ===
 
 // Job Management
-router.route("/get-verified-jobs").get(adminAuthentication, getAllVerifiedJobs);
+router
+  .route("/get-verified-jobs")
+  .get(adminAuthentication, requirePermission("jobs.read"), getAllVerifiedJobs);
 router
   .route("/get-unverified-jobs")
-  .get(adminAuthentication, getAllUnVerifiedJobs);
-router.route("/verify-job/:jobId").post(adminAuthentication, verifyJob);
-router.route("/reject-job/:jobId").post(adminAuthentication, rejectJob);
-router.route("/delete-job/:jobId").delete(adminAuthentication, deleteJob);
-router.route("/get-job/:jobId").get(adminAuthentication, getJobById);
+  .get(
+    adminAuthentication,
+    requirePermission("jobs.read"),
+    getAllUnVerifiedJobs
+  );
+router
+  .route("/verify-job/:jobId")
+  .post(adminAuthentication, requirePermission("jobs.verify"), verifyJob);
+router
+  .route("/reject-job/:jobId")
+  .post(adminAuthentication, requirePermission("jobs.verify"), rejectJob);
+router
+  .route("/delete-job/:jobId")
+  .delete(adminAuthentication, requirePermission("jobs.delete"), deleteJob);
+router
+  .route("/get-job/:jobId")
+  .get(adminAuthentication, requirePermission("jobs.read"), getJobById);
 
 // Internship Management
 router
   .route("/get-verified-internships")
-  .get(adminAuthentication, getAllVerifiedInternships);
+  .get(
+    adminAuthentication,
+    requirePermission("jobs.read"),
+    getAllVerifiedInternships
+  );
 router
   .route("/get-unverified-internships")
-  .get(adminAuthentication, getAllUnVerifiedInternships);
+  .get(
+    adminAuthentication,
+    requirePermission("jobs.read"),
+    getAllUnVerifiedInternships
+  );
 router
   .route("/verify-internship/:internshipId")
-  .post(adminAuthentication, verifyInternship);
+  .post(
+    adminAuthentication,
+    requirePermission("jobs.verify"),
+    verifyInternship
+  );
 router
   .route("/reject-internship/:internshipId")
-  .post(adminAuthentication, rejectInternship);
+  .post(
+    adminAuthentication,
+    requirePermission("jobs.verify"),
+    rejectInternship
+  );
 router
   .route("/delete-internship/:internshipId")
-  .delete(adminAuthentication, deleteInternship);
+  .delete(
+    adminAuthentication,
+    requirePermission("jobs.delete"),
+    deleteInternship
+  );
 router
   .route("/get-internship/:internshipId")
-  .get(adminAuthentication, getInternshipById);
+  .get(adminAuthentication, requirePermission("jobs.read"), getInternshipById);
 
 // === DASHBOARD & ANALYTICS ROUTES ===
 
 // Dashboard
-router.route("/dashboard/stats").get(adminAuthentication, getDashboardStats);
+router
+  .route("/dashboard/stats")
+  .get(
+    adminAuthentication,
+    requirePermission("analytics.read"),
+    getDashboardStats
+  );
 router
   .route("/dashboard/system-health")
-  .get(adminAuthentication, getSystemHealth);
+  .get(adminAuthentication, requirePermission("system.read"), getSystemHealth);
 
 // Comprehensive Analytics
-router.route("/analytics/alumni").get(adminAuthentication, getAlumniAnalytics);
+router
+  .route("/analytics/alumni")
+  .get(
+    adminAuthentication,
+    requirePermission("analytics.read"),
+    getAlumniAnalytics
+  );
 router
   .route("/analytics/students")
-  .get(adminAuthentication, getStudentAnalytics);
+  .get(
+    adminAuthentication,
+    requirePermission("analytics.read"),
+    getStudentAnalytics
+  );
 router
   .route("/analytics/jobs-internships")
-  .get(adminAuthentication, getJobsInternshipsAnalytics);
+  .get(
+    adminAuthentication,
+    requirePermission("analytics.read"),
+    getJobsInternshipsAnalytics
+  );
 
 // === CONTENT MODERATION ROUTES ===
 
 // Reports Management
-router.route("/reports").get(adminAuthentication, getReportedContent);
+router
+  .route("/reports")
+  .get(
+    adminAuthentication,
+    requirePermission("content.moderate"),
+    getReportedContent
+  );
 router
   .route("/reports/:reportId/moderate")
-  .post(adminAuthentication, moderateContent);
+  .post(
+    adminAuthentication,
+    requirePermission("content.moderate"),
+    moderateContent
+  );
 router
   .route("/content/analytics")
-  .get(adminAuthentication, getContentAnalytics);
+  .get(
+    adminAuthentication,
+    requirePermission("analytics.read"),
+    getContentAnalytics
+  );
 
 // === AUDIT & LOGGING ROUTES ===
 
 // Audit Logs
-router.route("/audit-logs").get(adminAuthentication, getAuditLogs);
+router
+  .route("/audit-logs")
+  .get(adminAuthentication, requirePermission("audit.read"), getAuditLogs);
+
+// Security Events
+router
+  .route("/security-events")
+  .get(adminAuthentication, requirePermission("audit.read"), getSecurityEvents);
+
+// === CHAT COMPLIANCE ROUTES ===
+
+router
+  .route("/chats/legal-holds")
+  .get(
+    adminAuthentication,
+    requirePermission("compliance.manage"),
+    getLegalHolds
+  );
+router
+  .route("/chats/:chatId/legal-hold")
+  .post(
+    adminAuthentication,
+    requirePermission("compliance.manage"),
+    placeLegalHold
+  )
+  .delete(
+    adminAuthentication,
+    requirePermission("compliance.manage"),
+    releaseLegalHold
+  );
+router
+  .route("/chats/:chatId/export")
+  .get(
+    adminAuthentication,
+    requirePermission("compliance.manage"),
+    exportChatForInvestigation
+  );
+
+// === ADMIN ROLE ROUTES ===
+
+router.route("/roles").get(adminAuthentication, getAdminRoles);
+router.route("/roles/me").get(adminAuthentication, getMyAdminPermissions);
+router
+  .route("/admins")
+  .get(adminAuthentication, requirePermission("admins.manage"), getAdmins);
+router
+  .route("/admins/:adminId/role")
+  .patch(
+    adminAuthentication,
+    requirePermission("admins.manage"),
+    updateAdminRole
+  );
 
 export default router;
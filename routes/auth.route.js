@@ -6,6 +6,7 @@ import { userRefreshTokenValidation } from "../middlewares/refresh.middleware.js
 import {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
   refreshAccessToken,
   verifyUserAccountForPasswordChange,
@@ -13,7 +14,22 @@ import {
   verifyOtpForPasswordChange,
   changePasswordUsingOtp,
   changePasswordUsingOldPassword,
+  verifyEmail,
+  resendVerificationEmail,
 } from "../controllers/auth.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactorAuthentication,
+  regenerateTwoFactorBackupCodes,
+} from "../controllers/twoFactor.controller.js";
+import {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import { getMyAccountActivity } from "../controllers/securityEvent.controller.js";
 
 const router = Router();
 
@@ -21,12 +37,46 @@ router.route("/signup").post(registerUser);
 
 router.route("/login").post(loginUser);
 
+router.route("/login/2fa").post(verifyTwoFactorLogin);
+
 router.route("/logout").post(userAuthentication, logoutUser);
 
 router
   .route("/refresh-token")
   .post(userRefreshTokenValidation, refreshAccessToken);
 
+router.route("/sessions").get(userAuthentication, getMySessions);
+
+router
+  .route("/sessions/revoke-others")
+  .post(userAuthentication, revokeOtherSessions);
+
+router
+  .route("/sessions/:sessionId")
+  .delete(userAuthentication, revokeMySession);
+
+router.route("/activity").get(userAuthentication, getMyAccountActivity);
+
+router.route("/2fa").get(userAuthentication, getTwoFactorStatus);
+
+router.route("/2fa/setup").post(userAuthentication, setupTwoFactor);
+
+router.route("/2fa/confirm").post(userAuthentication, confirmTwoFactor);
+
+router
+  .route("/2fa/disable")
+  .post(userAuthentication, disableTwoFactorAuthentication);
+
+router
+  .route("/2fa/backup-codes")
+  .post(userAuthentication, regenerateTwoFactorBackupCodes);
+
+router.route("/verify-email/:token").post(verifyEmail);
+
+router
+  .route("/resend-verification-email")
+  .post(userAuthentication, resendVerificationEmail);
+
 router.route("/forgot-password/:email").get(verifyUserAccountForPasswordChange);
 
 router
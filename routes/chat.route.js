@@ -11,9 +11,38 @@ import {
     leaveGroupChat,
     updateGroupChat,
     deleteChat,
-    searchMessages
+    searchMessages,
+    searchAllMessages,
+    sendAttachmentMessage,
+    editMessage,
+    getMessageEditHistory,
+    toggleReaction,
+    markChatAsRead,
+    getMessageReceipts,
+    updateChatSettings,
+    getPinnedMessages,
+    pinMessage,
+    unpinMessage,
+    exportChat
 } from "../controllers/chat.controller.js";
-import { userAuthentication } from "../middlewares/auth.middleware.js";
+import {
+    createChatInvite,
+    getChatInvites,
+    revokeChatInvite,
+    getChatInvitePreview,
+    joinChatWithInvite,
+    getChatJoinRequests,
+    approveChatJoinRequest,
+    denyChatJoinRequest
+} from "../controllers/chatInvite.controller.js";
+import {
+    userAuthentication,
+    requireVerifiedEmail
+} from "../middlewares/auth.middleware.js";
+import {
+    chatAttachmentUpload,
+    handleUploadErrors
+} from "../middlewares/multer.middleware.js";
 
 const router = Router();
 
@@ -21,21 +50,46 @@ const router = Router();
 router.use(userAuthentication);
 
 // Chat management routes
-router.route("/create-or-get").post(createOrGetChat);
-router.route("/create-group").post(createGroupChat);
+router.route("/create-or-get").post(requireVerifiedEmail, createOrGetChat);
+router.route("/create-group").post(requireVerifiedEmail, createGroupChat);
 router.route("/user-chats").get(getUserChats);
+router.route("/search").get(searchAllMessages);
 router.route("/:chatId").delete(deleteChat);
+router.route("/:chatId/settings").patch(updateChatSettings);
+router.route("/:chatId/export").get(exportChat);
 router.route("/group/:chatId").patch(updateGroupChat);
 
 // Message routes
-router.route("/message").post(sendMessage);
+router.route("/message").post(requireVerifiedEmail, sendMessage);
+router
+    .route("/message/attachment")
+    .post(
+        requireVerifiedEmail,
+        handleUploadErrors(chatAttachmentUpload.single("attachment")),
+        sendAttachmentMessage
+    );
 router.route("/:chatId/messages").get(getChatMessages);
-router.route("/message/:messageId").delete(deleteMessage);
+router.route("/message/:messageId").patch(editMessage).delete(deleteMessage);
+router.route("/message/:messageId/history").get(getMessageEditHistory);
+router.route("/message/:messageId/reactions").post(toggleReaction);
 router.route("/:chatId/search").get(searchMessages);
+router.route("/:chatId/read").post(markChatAsRead);
+router.route("/:chatId/messages/:messageId/receipts").get(getMessageReceipts);
+router.route("/:chatId/pinned-messages").get(getPinnedMessages).post(pinMessage);
+router.route("/:chatId/pinned-messages/:messageId").delete(unpinMessage);
 
 // Group chat management routes
 router.route("/group/add-user").post(addUserToGroupChat);
 router.route("/group/remove-user").post(removeUserFromGroupChat);
 router.route("/group/:chatId/leave").post(leaveGroupChat);
 
+// Group invite link and join request routes
+router.route("/group/:chatId/invites").get(getChatInvites).post(createChatInvite);
+router.route("/group/:chatId/invites/:inviteId").delete(revokeChatInvite);
+router.route("/group/:chatId/join-requests").get(getChatJoinRequests);
+router.route("/group/:chatId/join-requests/:requestId/approve").post(approveChatJoinRequest);
+router.route("/group/:chatId/join-requests/:requestId/deny").post(denyChatJoinRequest);
+router.route("/invites/:code").get(getChatInvitePreview);
+router.route("/invites/:code/join").post(requireVerifiedEmail, joinChatWithInvite);
+
 export default router;
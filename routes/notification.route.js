@@ -6,13 +6,21 @@ import {
     deleteNotification,
     clearOldNotifications,
     getNotificationStats,
-    updateNotificationPreferences
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    unsubscribeFromDigest,
+    getPushPublicKey,
+    subscribeToPush,
+    unsubscribeFromPush
 } from "../controllers/notification.controller.js";
 import { userAuthentication } from "../middlewares/auth.middleware.js";
 
 const router = Router();
 
-// Apply authentication middleware to all routes
+// Opened from digest emails, authenticated by the token in the link
+router.route("/digest/unsubscribe/:token").post(unsubscribeFromDigest);
+
+// Apply authentication middleware to all other routes
 router.use(userAuthentication);
 
 
@@ -25,7 +33,15 @@ router.route("/").get(getUserNotifications);
 router.route("/stats").get(getNotificationStats);
 router.route("/mark-all-read").post(markAllNotificationsAsRead);
 router.route("/clear-old").delete(clearOldNotifications);
-router.route("/preferences").patch(updateNotificationPreferences);
+router.route("/preferences")
+    .get(getNotificationPreferences)
+    .patch(updateNotificationPreferences);
+
+// Web Push subscriptions, one per browser
+router.route("/push/public-key").get(getPushPublicKey);
+router.route("/push/subscriptions")
+    .post(subscribeToPush)
+    .delete(unsubscribeFromPush);
 
 
 
@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { userAuthentication } from "../middlewares/auth.middleware.js";
+import {
+    userAuthentication,
+    requireVerifiedEmail
+} from "../middlewares/auth.middleware.js";
 import {
     addInternship,
     addJob,
@@ -22,7 +25,7 @@ const router = Router();
 
 
 // Job Routes
-router.route("/jobs").post(userAuthentication, addJob);
+router.route("/jobs").post(userAuthentication, requireVerifiedEmail, addJob);
 router.route("/jobs").get(userAuthentication, getAllJobs);
 router.route("/jobs/:id").get(userAuthentication, getJobById);
 router.route("/jobs/:jobId/apply").post(userAuthentication, applyJob);
@@ -33,7 +36,7 @@ router.route("/jobs/:id/view").post(userAuthentication, trackJobView);
 
 
 // Internship Routes
-router.route("/internships").post(userAuthentication, addInternship);
+router.route("/internships").post(userAuthentication, requireVerifiedEmail, addInternship);
 router.route("/internships").get(userAuthentication, getAllInternships);
 router.route("/internships/:id").get(userAuthentication, getInternshipById);
 router.route("/internships/:internshipId/apply").post(userAuthentication, applyInternship);
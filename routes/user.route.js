@@ -17,6 +17,7 @@ import {
   updateEducation,
   updateProfileImage,
   updateCoverImage,
+  updatePresenceSettings,
 } from "../controllers/user.controller.js";
 
 const router = Router();
@@ -57,6 +58,9 @@ router
   .put(userAuthentication, updatePublicDetails);
 router.route("/update-experience").put(userAuthentication, updateExperience);
 router.route("/update-education").put(userAuthentication, updateEducation);
+router
+  .route("/update-presence-settings")
+  .put(userAuthentication, updatePresenceSettings);
 
 // Image Upload Routes
 router
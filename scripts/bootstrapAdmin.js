@@ -0,0 +1,72 @@
+import dotenv from "dotenv";
+
+import readline from "readline/promises";
+
+import mongoose from "mongoose";
+
+import dbConnect from "../db/index.js";
+
+import { User } from "../models/user.model.js";
+
+import { createAdminAccount } from "../utils/adminAccountUtils.js";
+
+/**
+ * Create the first admin account. Admin signup is invitation-only, so this is
+ * the only way to get an admin into an empty deployment. It refuses to run
+ * once any admin exists.
+ *
+ * Usage: npm run admin:bootstrap -- --email admin@college.edu [--password ...]
+ * Missing values are prompted for.
+ */
+
+dotenv.config();
+
+const readArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const prompt = async (question) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  try {
+    return (await rl.question(question)).trim();
+  } finally {
+    rl.close();
+  }
+};
+
+const run = async () => {
+  await dbConnect();
+
+  try {
+    if (await User.exists({ role: "admin" })) {
+      console.error(
+        "An admin account already exists. Invite further admins from the admin panel."
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    const email = readArg("email") || (await prompt("Admin email: "));
+    const password = readArg("password") || (await prompt("Admin password: "));
+
+    const admin = await createAdminAccount({
+      email,
+      password,
+      firstName: readArg("first-name"),
+      lastName: readArg("last-name"),
+    });
+
+    console.log(`Admin account created for ${admin.email} (uid: ${admin.uid})`);
+  } catch (error) {
+    console.error("Could not create admin account ::", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,170 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/user.model.js";
+import {
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
+  getAdminRole,
+  hasAdminPermission,
+} from "../utils/adminPermissions.js";
+import { requirePermission } from "../middlewares/admin.auth.middlerware.js";
+import {
+  bulkSuspendUsers,
+  deleteUser,
+  restoreUser,
+  suspendUser,
+  unsuspendUser,
+} from "../controllers/admin.controller.js";
+
+const id = (n) => `64b0000000000000000000${String(n).padStart(2, "0")}`;
+
+const superAdmin = User.hydrate({ _id: id(1), role: "admin", adminRole: "super_admin" });
+const otherSuperAdmin = User.hydrate({ _id: id(2), role: "admin", adminRole: "super_admin" });
+const moderator = User.hydrate({ _id: id(3), role: "admin", adminRole: "moderator" });
+const student = User.hydrate({ _id: id(4), role: "student" });
+
+const accounts = [superAdmin, otherSuperAdmin, moderator, student];
+
+// Run a middleware or controller; resolves with the error it raised, if any
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = { status: () => res, json: () => resolve({}) };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+let activeSuperAdmins;
+
+beforeEach(() => {
+  activeSuperAdmins = [superAdmin, otherSuperAdmin];
+
+  mock.method(User, "find", (filter) => ({
+    select: async () =>
+      accounts.filter(
+        (account) =>
+          filter._id.$in.some((userId) => account._id.equals(userId)) &&
+          (!filter.role || account.role === filter.role)
+      ),
+  }));
+  mock.method(User, "countDocuments", async (filter) =>
+    activeSuperAdmins.filter(
+      (admin) => !filter._id.$nin.some((userId) => admin._id.equals(userId))
+    ).length
+  );
+});
+
+afterEach(() => mock.restoreAll());
+
+test("every role only grants known permissions", () => {
+  for (const permissions of Object.values(ADMIN_ROLE_PERMISSIONS)) {
+    assert.ok(permissions.every((permission) => ADMIN_PERMISSIONS.includes(permission)));
+  }
+});
+
+test("the permission matrix", () => {
+  const expectations = [
+    ["super_admin", "admins.manage", true],
+    ["super_admin", "compliance.manage", true],
+    ["placement_officer", "jobs.verify", true],
+    ["placement_officer", "users.suspend", false],
+    ["moderator", "users.suspend", true],
+    ["moderator", "users.delete", false],
+    ["moderator", "admins.manage", false],
+    ["analyst", "analytics.read", true],
+    ["analyst", "users.read", false],
+  ];
+
+  for (const [adminRole, permission, granted] of expectations) {
+    assert.equal(
+      hasAdminPermission({ adminRole }, permission),
+      granted,
+      `${adminRole} / ${permission}`
+    );
+  }
+});
+
+test("admins without a role are super admins", () => {
+  assert.equal(getAdminRole({}), "super_admin");
+  assert.equal(hasAdminPermission({}, "admins.manage"), true);
+});
+
+test("requirePermission answers 403 for a missing permission", async () => {
+  const { error } = await run(requirePermission("users.delete"), { admin: moderator });
+  assert.equal(error.statusCode, 403);
+
+  const allowed = await run(requirePermission("users.suspend"), { admin: moderator });
+  assert.equal(allowed.error, undefined);
+});
+
+test("a moderator cannot suspend an admin", async () => {
+  for (const target of [superAdmin, moderator]) {
+    const { error } = await run(suspendUser, {
+      admin: User.hydrate({ _id: id(9), role: "admin", adminRole: "moderator" }),
+      params: { userId: target._id.toString() },
+      body: { reason: "test" },
+    });
+    assert.equal(error.statusCode, 403);
+  }
+});
+
+test("a moderator cannot bulk suspend a list that contains an admin", async () => {
+  const { error } = await run(bulkSuspendUsers, {
+    admin: moderator,
+    body: { userIds: [student._id.toString(), superAdmin._id.toString()], reason: "test" },
+  });
+  assert.equal(error.statusCode, 403);
+});
+
+test("a moderator cannot lift an admin's suspension or deletion", async () => {
+  const update = mock.method(User, "findByIdAndUpdate", () => ({ select: async () => student }));
+
+  for (const handler of [unsuspendUser, restoreUser]) {
+    for (const target of [superAdmin, moderator]) {
+      const { error } = await run(handler, {
+        admin: moderator,
+        params: { userId: target._id.toString() },
+      });
+      assert.equal(error?.statusCode, 403);
+    }
+
+    const allowed = await run(handler, {
+      admin: moderator,
+      params: { userId: student._id.toString() },
+    });
+    assert.equal(allowed.error, undefined);
+  }
+
+  assert.equal(update.mock.callCount(), 2);
+});
+
+test("a super admin can lift another admin's suspension", async () => {
+  mock.method(User, "findByIdAndUpdate", () => ({ select: async () => otherSuperAdmin }));
+
+  const { error } = await run(unsuspendUser, {
+    admin: superAdmin,
+    params: { userId: otherSuperAdmin._id.toString() },
+  });
+  assert.equal(error, undefined);
+});
+
+test("admins cannot suspend or delete themselves", async () => {
+  const { error } = await run(suspendUser, {
+    admin: superAdmin,
+    params: { userId: superAdmin._id.toString() },
+    body: { reason: "test" },
+  });
+  assert.equal(error.statusCode, 400);
+});
+
+test("the last active super admin cannot be disabled", async () => {
+  activeSuperAdmins = [otherSuperAdmin];
+  mock.method(User, "findById", () => ({
+    select: async () => User.hydrate({ _id: otherSuperAdmin._id, role: "admin", isDeleted: false }),
+  }));
+
+  const { error } = await run(deleteUser, {
+    admin: superAdmin,
+    params: { userId: otherSuperAdmin._id.toString() },
+    body: { reason: "test" },
+  });
+  assert.equal(error.statusCode, 409);
+});
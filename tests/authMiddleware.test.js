@@ -0,0 +1,126 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/user.model.js";
+import {
+  userAuthentication,
+  optionalUserAuthentication,
+} from "../middlewares/auth.middleware.js";
+import { adminAuthentication } from "../middlewares/admin.auth.middlerware.js";
+import {
+  generateAccessToken,
+  generateEmailVerificationToken,
+  generatePasswordResetToken,
+  generateRefreshToken,
+  generateTwoFactorChallengeToken,
+} from "../utils/jwt.js";
+
+const sessionId = "session-1";
+
+const user = User.hydrate({
+  _id: "64b000000000000000000001",
+  isActive: true,
+  isDeleted: false,
+  isSuspended: false,
+  activeSessions: [{ sessionId }],
+});
+
+const payload = {
+  userId: user._id.toString(),
+  email: "asha@example.com",
+  role: "student",
+};
+
+// Run a middleware and resolve with what it passed to next()
+const run = (middleware, token) =>
+  new Promise((resolve) => {
+    const req = {
+      cookies: {},
+      header: (name) => (name === "Authorization" ? `Bearer ${token}` : undefined),
+    };
+    middleware(req, {}, (error) => resolve({ req, error }));
+  });
+
+beforeEach(() => {
+  mock.method(User, "findById", () => ({ select: async () => user }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test("userAuthentication accepts an access token for a live session", async () => {
+  const { req, error } = await run(
+    userAuthentication,
+    await generateAccessToken(payload, sessionId)
+  );
+
+  assert.equal(error, undefined);
+  assert.equal(req.user, user);
+  assert.equal(req.tokenData.sessionId, sessionId);
+});
+
+test("userAuthentication rejects non-access tokens", async () => {
+  const tokens = {
+    two_factor_challenge: await generateTwoFactorChallengeToken({
+      userId: user._id.toString(),
+      rememberMe: false,
+    }),
+    password_reset: await generatePasswordResetToken(payload),
+    email_verification: await generateEmailVerificationToken(payload),
+    refresh: (await generateRefreshToken(payload, false, sessionId)).token,
+  };
+
+  for (const [type, token] of Object.entries(tokens)) {
+    const { req, error } = await run(userAuthentication, token);
+    assert.equal(error?.statusCode, 401, `${type} token was accepted`);
+    assert.equal(req.user, undefined);
+  }
+});
+
+test("userAuthentication rejects access tokens without a live session", async () => {
+  for (const session of [null, "signed-out-session"]) {
+    const { error } = await run(
+      userAuthentication,
+      await generateAccessToken(payload, session)
+    );
+    assert.equal(error?.statusCode, 401);
+  }
+});
+
+test("optionalUserAuthentication ignores non-access tokens", async (t) => {
+  const log = mock.method(console, "log", () => {});
+  t.after(() => log.mock.restore());
+
+  const { req, error } = await run(
+    optionalUserAuthentication,
+    await generateTwoFactorChallengeToken({ userId: user._id.toString(), rememberMe: false })
+  );
+
+  assert.equal(error, undefined);
+  assert.equal(req.user, undefined);
+});
+
+test("adminAuthentication rejects access tokens of revoked admin sessions", async () => {
+  const admin = User.hydrate({
+    _id: "64b000000000000000000002",
+    role: "admin",
+    adminRole: "super_admin",
+    isDeleted: false,
+    isSuspended: false,
+    activeSessions: [{ sessionId }],
+  });
+  mock.method(User, "findById", () => ({ select: async () => admin }));
+
+  const adminPayload = { ...payload, userId: admin._id.toString(), role: "admin" };
+
+  const live = await run(adminAuthentication, await generateAccessToken(adminPayload, sessionId));
+  assert.equal(live.error, undefined);
+  assert.equal(live.req.admin, admin);
+
+  for (const session of [null, "signed-out-session"]) {
+    const { req, error } = await run(
+      adminAuthentication,
+      await generateAccessToken(adminPayload, session)
+    );
+    assert.equal(error?.statusCode, 401);
+    assert.equal(req.admin, undefined);
+  }
+});
@@ -0,0 +1,90 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import multer from "multer";
+import { Chat } from "../models/chat.model.js";
+import { handleUploadErrors } from "../middlewares/multer.middleware.js";
+import { sendAttachmentMessage } from "../controllers/chat.controller.js";
+
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status: () => res,
+      json: (body) => resolve({ body }),
+      setHeader: () => {},
+      set: () => res,
+    };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+// An upload middleware that fails the way multer does
+const failingUpload = (error) => (req, res, next) => next(error);
+
+const tempUpload = () => {
+  const filePath = path.join(os.tmpdir(), `attachment-${process.pid}-${Date.now()}.png`);
+  fs.writeFileSync(filePath, "image");
+  return {
+    path: filePath,
+    originalname: "photo.png",
+    mimetype: "image/png",
+    size: 5,
+  };
+};
+
+afterEach(() => mock.restoreAll());
+
+test("an attachment over the size limit gets a 413", async () => {
+  const { error } = await run(
+    handleUploadErrors(failingUpload(new multer.MulterError("LIMIT_FILE_SIZE", "attachment"))),
+    {}
+  );
+
+  assert.equal(error.statusCode, 413);
+  assert.match(error.message, /50 MB or smaller/);
+});
+
+test("other upload errors get a 400 and unrelated errors pass through", async () => {
+  const unexpected = await run(
+    handleUploadErrors(failingUpload(new multer.MulterError("LIMIT_UNEXPECTED_FILE", "photo"))),
+    {}
+  );
+  assert.equal(unexpected.error.statusCode, 400);
+
+  const other = new Error("disk full");
+  const passed = await run(handleUploadErrors(failingUpload(other)), {});
+  assert.equal(passed.error, other);
+
+  const ok = await run(handleUploadErrors(failingUpload(undefined)), {});
+  assert.equal(ok.error, undefined);
+});
+
+test("a malformed chat ID gets a 400 and the upload is removed", async () => {
+  const findOne = mock.method(Chat, "findOne", async () => null);
+  const file = tempUpload();
+
+  const { error } = await run(sendAttachmentMessage, {
+    body: { chatId: "not-an-id" },
+    user: { _id: "64b000000000000000000001" },
+    file,
+  });
+
+  assert.equal(error.statusCode, 400);
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.equal(fs.existsSync(file.path), false);
+});
+
+test("an upload to a chat the sender is not in is removed", async () => {
+  mock.method(Chat, "findOne", async () => null);
+  const file = tempUpload();
+
+  const { error } = await run(sendAttachmentMessage, {
+    body: { chatId: "64b0000000000000000000c1" },
+    user: { _id: "64b000000000000000000001" },
+    file,
+  });
+
+  assert.equal(error.statusCode, 404);
+  assert.equal(fs.existsSync(file.path), false);
+});
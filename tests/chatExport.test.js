@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import express from "express";
+import { writeChatTranscript } from "../utils/chatExport.js";
+
+const chat = { _id: "64b0000000000000000000c1", chatName: "Alumni", isGroupChat: true };
+const members = [{ _id: "64b000000000000000000001", firstName: "Asha", lastName: "Rao" }];
+
+// Serve one export; resolves with the server's URL and the export's outcome
+const serveExport = async (messages) => {
+  let settle;
+  const outcome = new Promise((resolve) => (settle = resolve));
+
+  const app = express();
+  app.get("/export", (req, res) => {
+    writeChatTranscript(res, { chat, members, messages, format: "text" }).then(
+      (count) => settle({ count }),
+      (error) => settle({ error })
+    );
+  });
+
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/export`, outcome };
+};
+
+// Many large messages, counting how many were read
+const largeChat = (total) => {
+  const source = { read: 0 };
+  source.messages = (async function* () {
+    for (let i = 0; i < total; i++) {
+      source.read += 1;
+      yield {
+        _id: i,
+        sender: members[0],
+        type: "text",
+        content: "x".repeat(16 * 1024),
+        createdAt: new Date(0),
+      };
+    }
+  })();
+  return source;
+};
+
+test("a large export streams everything without piling up listeners", async () => {
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning.name);
+  process.on("warning", onWarning);
+
+  const source = largeChat(500);
+  const { server, url, outcome } = await serveExport(source.messages);
+
+  const body = await new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let size = 0;
+      // Read slowly so the response keeps hitting backpressure
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        res.pause();
+        setImmediate(() => res.resume());
+      });
+      res.on("end", () => resolve(size));
+    }).on("error", reject);
+  });
+
+  const { count, error } = await outcome;
+  server.close();
+  process.off("warning", onWarning);
+
+  assert.equal(error, undefined);
+  assert.equal(count, 500);
+  assert.ok(body > 500 * 16 * 1024);
+  assert.deepEqual(warnings, []);
+});
+
+test("a client that goes away stops the export without an error", async () => {
+  const source = largeChat(5000);
+  const { server, url, outcome } = await serveExport(source.messages);
+
+  await new Promise((resolve) => {
+    const request = http.get(url, (res) => {
+      res.once("data", () => {
+        request.destroy();
+        resolve();
+      });
+    });
+    request.on("error", () => {});
+  });
+
+  const { count, error } = await outcome;
+  server.close();
+
+  assert.equal(error, undefined);
+  assert.ok(count < 5000);
+  assert.ok(source.read < 5000);
+});
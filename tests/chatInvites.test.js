@@ -0,0 +1,140 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Chat } from "../models/chat.model.js";
+import { ChatInvite } from "../models/chatInvite.model.js";
+import { ChatJoinRequest } from "../models/chatJoinRequest.model.js";
+import { Connection } from "../models/connection.model.js";
+import {
+  denyChatJoinRequest,
+  joinChatWithInvite,
+} from "../controllers/chatInvite.controller.js";
+
+const id = (n) => `64b0000000000000000000${String(n).padStart(2, "0")}`;
+
+const admin = { _id: id(1) };
+const chatId = id(10);
+const inviteId = id(20);
+
+// What the database holds: the link's use count and the join requests
+let useCount;
+let requests;
+
+const inviteDocument = () =>
+  ChatInvite.hydrate({
+    _id: inviteId,
+    chat: chatId,
+    code: "invite-code",
+    createdBy: admin._id,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    maxUses: 2,
+    useCount,
+    requiresApproval: true,
+  });
+
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = { status: () => res, json: (body) => resolve({ body }) };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+const join = (userId) =>
+  run(joinChatWithInvite, {
+    params: { code: "invite-code" },
+    user: { _id: userId, firstName: "Asha", lastName: "Rao" },
+  });
+
+beforeEach(() => {
+  useCount = 0;
+  requests = [];
+
+  const chat = Chat.hydrate({
+    _id: chatId,
+    chatName: "Alumni",
+    isGroupChat: true,
+    users: [admin._id],
+    admins: [admin._id],
+  });
+
+  mock.method(ChatInvite, "findOne", async () => inviteDocument());
+  mock.method(ChatInvite, "findOneAndUpdate", async () => {
+    if (useCount >= 2) return null;
+    useCount += 1;
+    return inviteDocument();
+  });
+  mock.method(ChatInvite, "updateOne", async (filter, update) => {
+    if (useCount > 0) useCount += update.$inc.useCount;
+    return {};
+  });
+  mock.method(Chat, "exists", async () => ({ _id: chatId }));
+  mock.method(Chat, "findById", async () => chat);
+  mock.method(Chat, "findOne", async () => chat);
+  mock.method(Connection, "findOne", async () => null);
+
+  // The partial unique index: one pending request per user and chat
+  mock.method(ChatJoinRequest, "create", async (data) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    if (requests.some((request) => request.user === data.user && request.status === "pending")) {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    }
+    const request = { _id: id(30 + requests.length), status: "pending", ...data };
+    requests.push(request);
+    return request;
+  });
+  mock.method(ChatJoinRequest, "deleteOne", async ({ _id }) => {
+    requests = requests.filter((request) => request._id !== _id);
+    return {};
+  });
+  mock.method(ChatJoinRequest, "findOne", (filter) => ({
+    populate: async () => requests.find((request) => request._id === filter._id && request.status === "pending"),
+  }));
+  mock.method(ChatJoinRequest, "findOneAndUpdate", async (filter, update) => {
+    const request = requests.find((entry) => entry._id === filter._id && entry.status === "pending");
+    if (!request) return null;
+    Object.assign(request, update);
+    return request;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test("a duplicate join request gets a 409 and does not use up the link", async () => {
+  const results = await Promise.all([join(id(2)), join(id(2))]);
+
+  assert.deepEqual(results.map((result) => result.error?.statusCode ?? 202).sort(), [202, 409]);
+  assert.equal(requests.length, 1);
+  assert.equal(useCount, 1);
+});
+
+test("a denied request gives its use of the link back", async () => {
+  await join(id(2));
+  await join(id(3));
+  assert.equal(useCount, 2);
+
+  const { error } = await run(denyChatJoinRequest, {
+    params: { chatId, requestId: requests[0]._id },
+    user: admin,
+  });
+  assert.equal(error, undefined);
+  assert.equal(useCount, 1);
+
+  // The freed use lets someone else ask
+  const next = await join(id(4));
+  assert.equal(next.error, undefined);
+  assert.equal(useCount, 2);
+});
+
+test("a request the link has no uses left for is removed again", async () => {
+  await join(id(2));
+  await join(id(3));
+
+  // Another join used up the link after it was looked up
+  mock.method(ChatInvite, "findOne", async () => {
+    const invite = inviteDocument();
+    invite.useCount = 1;
+    return invite;
+  });
+
+  const { error } = await join(id(4));
+  assert.equal(error?.statusCode, 410);
+  assert.equal(requests.length, 2);
+});
@@ -0,0 +1,125 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Chat } from "../models/chat.model.js";
+import { Message } from "../models/message.model.js";
+import {
+  deleteChat,
+  initializeSocket,
+  leaveGroupChat,
+  removeUserFromGroupChat,
+  updateGroupChat,
+} from "../controllers/chat.controller.js";
+
+const id = (n) => `64b0000000000000000000${String(n).padStart(2, "0")}`;
+
+const chatId = id(10);
+const owner = { _id: id(1) };
+const member = { _id: id(2) };
+
+// Stand-in for the Socket.IO server: tracks which socket is in which room
+// and records what each socket receives
+let rooms;
+let received;
+
+const socketsIn = (room) => rooms.get(room) || new Set();
+
+const fakeIo = {
+  on: () => {},
+  use: () => {},
+  to: (room) => ({
+    emit: (event) => {
+      const targets = new Set([room].flat().flatMap((name) => [...socketsIn(name)]));
+      for (const socket of targets) received.push({ socket, event });
+    },
+  }),
+  in: (room) => ({
+    socketsLeave: (left) => {
+      for (const socket of socketsIn(room)) socketsIn(left).delete(socket);
+    },
+  }),
+};
+
+initializeSocket(fakeIo);
+
+const join = (socket, ...names) => {
+  for (const name of names) rooms.set(name, socketsIn(name).add(socket));
+};
+
+const receivedBy = (socket) =>
+  received.filter((entry) => entry.socket === socket).map((entry) => entry.event);
+
+// Chainable stand-in for a populated mongoose query
+const query = (result) => {
+  const q = {
+    populate: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+};
+
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = { status: () => res, json: (body) => resolve({ body }) };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+beforeEach(() => {
+  rooms = new Map();
+  received = [];
+
+  // Each member has one connected socket that joined the chat room
+  join("owner-socket", owner._id, chatId);
+  join("member-socket", member._id, chatId);
+
+  const chat = Chat.hydrate({
+    _id: chatId,
+    isGroupChat: true,
+    createdBy: owner._id,
+    users: [owner._id, member._id],
+    admins: [owner._id],
+  });
+  mock.method(Chat, "findOne", async () => chat);
+  mock.method(Chat, "findByIdAndUpdate", () => query(chat));
+  mock.method(Chat, "findByIdAndDelete", async () => chat);
+  mock.method(Message, "find", () => ({ select: async () => [] }));
+  mock.method(Message, "deleteMany", async () => ({}));
+});
+
+afterEach(() => mock.restoreAll());
+
+const renameChat = () =>
+  run(updateGroupChat, { params: { chatId }, body: { chatName: "Renamed" }, user: owner });
+
+test("a removed member stops receiving the chat's room events", async () => {
+  const { error } = await run(removeUserFromGroupChat, {
+    body: { chatId, userId: member._id },
+    user: owner,
+  });
+  assert.equal(error, undefined);
+  assert.ok(receivedBy("member-socket").includes("removed_from_chat"));
+
+  received = [];
+  await renameChat();
+
+  assert.deepEqual(receivedBy("owner-socket"), ["chat_updated"]);
+  assert.deepEqual(receivedBy("member-socket"), []);
+});
+
+test("a member who leaves stops receiving the chat's room events", async () => {
+  const { error } = await run(leaveGroupChat, { params: { chatId }, user: member });
+  assert.equal(error, undefined);
+
+  received = [];
+  await renameChat();
+
+  assert.deepEqual(receivedBy("owner-socket"), ["chat_updated"]);
+  assert.deepEqual(receivedBy("member-socket"), []);
+});
+
+test("deleting a chat empties its room", async () => {
+  const { error } = await run(deleteChat, { params: { chatId }, user: owner });
+  assert.equal(error, undefined);
+
+  assert.equal(socketsIn(chatId).size, 0);
+  assert.deepEqual(receivedBy("member-socket"), ["chat_deleted"]);
+});
@@ -0,0 +1,106 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Connection } from "../models/connection.model.js";
+import { User } from "../models/user.model.js";
+import {
+  getReceivedConnectionRequests,
+  getSentConnectionRequests,
+} from "../controllers/connection.controller.js";
+
+const id = (n) => `64b0000000000000000000${String(n).padStart(2, "0")}`;
+
+const me = { _id: id(1) };
+
+// Users 2-6; 2 is suspended and 3 deleted
+const users = [2, 3, 4, 5, 6].map((n) => ({
+  _id: id(n),
+  firstName: `User${n}`,
+  hidden: n === 2 || n === 3,
+}));
+
+let connections;
+
+const matches = (connection, filter) =>
+  Object.entries(filter).every(([field, condition]) =>
+    condition?.$in
+      ? condition.$in.map(String).includes(connection[field])
+      : connection[field] === String(condition)
+  );
+
+// Chainable stand-in for Connection.find; a populate `match` hides users
+// the same way mongoose does, by populating null
+const findQuery = (filter) => {
+  let results = connections.filter((connection) => matches(connection, filter));
+  const q = {
+    populate: (options) => {
+      const field = options.path || options;
+      results = results.map((connection) => {
+        const user = users.find((entry) => entry._id === connection[field]);
+        return { ...connection, [field]: options.match && user.hidden ? null : user };
+      });
+      return q;
+    },
+    sort: () => q,
+    skip: (count) => {
+      results = results.slice(count);
+      return q;
+    },
+    limit: (count) => {
+      results = results.slice(0, count);
+      return q;
+    },
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject),
+  };
+  return q;
+};
+
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = { status: () => res, json: (body) => resolve({ body }) };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+beforeEach(() => {
+  // Newest first: the two hidden users' requests come first
+  connections = users.flatMap((user) => [
+    { _id: `in-${user._id}`, from: user._id, to: me._id, status: "pending" },
+    { _id: `out-${user._id}`, from: me._id, to: user._id, status: "pending" },
+  ]);
+
+  mock.method(Connection, "find", findQuery);
+  mock.method(Connection, "countDocuments", async (filter) =>
+    connections.filter((connection) => matches(connection, filter)).length
+  );
+  mock.method(Connection, "distinct", async (field, filter) =>
+    connections.filter((connection) => matches(connection, filter)).map((connection) => connection[field])
+  );
+  mock.method(User, "distinct", async (field, filter) =>
+    users
+      .filter((user) => !user.hidden && filter._id.$in.includes(user._id))
+      .map((user) => user[field])
+  );
+});
+
+afterEach(() => mock.restoreAll());
+
+test("received requests from suspended or deleted users do not take up a page", async () => {
+  const { body } = await run(getReceivedConnectionRequests, {
+    query: { page: 1, limit: 2 },
+    user: me,
+  });
+
+  assert.deepEqual(body.data.requests.map((request) => request.from.firstName), ["User4", "User5"]);
+  assert.equal(body.data.pagination.totalRequests, 3);
+  assert.equal(body.data.pagination.totalPages, 2);
+});
+
+test("sent requests to suspended or deleted users are not counted", async () => {
+  const { body } = await run(getSentConnectionRequests, {
+    query: { page: 2, limit: 2 },
+    user: me,
+  });
+
+  assert.deepEqual(body.data.requests.map((request) => request.to.firstName), ["User6"]);
+  assert.equal(body.data.pagination.totalRequests, 3);
+  assert.equal(body.data.pagination.hasNextPage, false);
+});
@@ -0,0 +1,71 @@
+/**
+ * Apply an update pipeline of $set stages to a plain document, supporting the
+ * aggregation operators used by update pipelines in this codebase. Lets tests
+ * exercise pipeline updates without a MongoDB server.
+ */
+
+const same = (a, b) => String(a) === String(b);
+
+const evaluate = (expression, doc, variables = {}) => {
+  if (typeof expression === "string" && expression.startsWith("$$")) {
+    return variables[expression.slice(2)];
+  }
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return doc[expression.slice(1)];
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluate(item, doc, variables));
+  }
+  if (!expression || typeof expression !== "object" || expression instanceof Date ||
+      expression._bsontype) {
+    return expression;
+  }
+
+  const [operator] = Object.keys(expression);
+  const args = expression[operator];
+  const arg = (index) => evaluate(args[index], doc, variables);
+
+  switch (operator) {
+    case "$literal":
+      return args;
+    case "$ifNull":
+      return arg(0) ?? arg(1);
+    case "$add":
+      return args.reduce((sum, _, index) => sum + arg(index), 0);
+    case "$cond":
+      return arg(0) ? arg(1) : arg(2);
+    case "$in":
+      return arg(1).some((item) => same(item, arg(0)));
+    case "$ne":
+      return !same(arg(0), arg(1));
+    case "$size":
+      return evaluate(args, doc, variables).length;
+    case "$slice":
+      return arg(0).slice(0, arg(1));
+    case "$concatArrays":
+      return args.flatMap((_, index) => arg(index));
+    case "$setUnion":
+      return args
+        .flatMap((_, index) => arg(index))
+        .filter((item, index, all) => all.findIndex((other) => same(other, item)) === index);
+    case "$filter":
+      return evaluate(args.input, doc, variables).filter((item) =>
+        evaluate(args.cond, doc, { ...variables, this: item })
+      );
+    default:
+      if (operator.startsWith("$")) {
+        throw new Error(`Unsupported operator in test pipeline: ${operator}`);
+      }
+      return Object.fromEntries(
+        Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc, variables)])
+      );
+  }
+};
+
+export const applyUpdatePipeline = (doc, pipeline) =>
+  pipeline.reduce((current, stage) => {
+    const fields = Object.fromEntries(
+      Object.entries(stage.$set).map(([key, value]) => [key, evaluate(value, current)])
+    );
+    return { ...current, ...fields };
+  }, doc);
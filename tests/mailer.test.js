@@ -0,0 +1,73 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createConsoleTransport,
+  createMemoryTransport,
+  redactMailText,
+} from "../utils/mailTransports.js";
+import { sendMail, sendTemplatedMail, setMailTransport } from "../utils/mailer.js";
+
+test("redactMailText hides OTPs and link tokens", () => {
+  const text = [
+    "Your password reset code is 482913.",
+    "Verify: https://app.example.com/verify-email?token=eyJhbGciOiJIUzI1NiJ9.abc.def",
+    "Unsubscribe: https://api.example.com/unsubscribe/3f9a0c1b2d4e5f60718293a4b5c6d7e8",
+  ].join("\n");
+
+  const redacted = redactMailText(text);
+
+  assert.ok(!redacted.includes("482913"));
+  assert.ok(!redacted.includes("eyJhbGciOiJIUzI1NiJ9"));
+  assert.ok(!redacted.includes("3f9a0c1b2d4e5f60718293a4b5c6d7e8"));
+  assert.ok(redacted.includes("https://app.example.com/verify-email?[redacted]"));
+});
+
+test("console transport redacts the body unless logBody is set", async (t) => {
+  const log = mock.method(console, "log", () => {});
+  t.after(() => log.mock.restore());
+
+  const message = { to: "a@example.com", subject: "Reset", text: "Code 123456" };
+
+  await createConsoleTransport({ directory: null, logBody: false }).send(message);
+  assert.ok(!log.mock.calls[0].arguments[0].includes("123456"));
+
+  await createConsoleTransport({ directory: null, logBody: true }).send(message);
+  assert.ok(log.mock.calls[1].arguments[0].includes("123456"));
+});
+
+test("sendMail retries failed attempts", async (t) => {
+  const error = mock.method(console, "error", () => {});
+  t.after(() => error.mock.restore());
+
+  const memory = createMemoryTransport();
+  let failures = 1;
+  setMailTransport({
+    name: "flaky",
+    send: async (message) => {
+      if (failures-- > 0) throw new Error("temporary failure");
+      return memory.send(message);
+    },
+  });
+  t.after(() => setMailTransport(null));
+
+  await sendMail(
+    { to: "a@example.com", subject: "Hello", text: "Hi" },
+    { retries: 1, retryDelay: 1 }
+  );
+
+  assert.equal(memory.outbox.length, 1);
+});
+
+test("sendTemplatedMail renders the password reset template", async (t) => {
+  const memory = createMemoryTransport();
+  setMailTransport(memory);
+  t.after(() => setMailTransport(null));
+
+  await sendTemplatedMail("a@example.com", "passwordResetOtp", {
+    firstName: "Asha",
+    otp: "654321",
+  });
+
+  assert.equal(memory.outbox.length, 1);
+  assert.ok(memory.outbox[0].text.includes("654321"));
+});
@@ -0,0 +1,181 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/user.model.js";
+import { Connection } from "../models/connection.model.js";
+import {
+  Notification,
+  unsubscribeFromDigest,
+} from "../controllers/notification.controller.js";
+import {
+  DIGEST_SWEEP_INTERVAL_MS,
+  isDigestDue,
+  sendDigest,
+} from "../utils/notificationDigest.js";
+import { createMemoryTransport } from "../utils/mailTransports.js";
+import { setMailTransport } from "../utils/mailer.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SENT_UNTIL = "notificationPreferences.digest.sentUntil";
+const TOKEN = "notificationPreferences.digest.unsubscribeToken";
+
+// Chainable stand-in for a mongoose query
+const query = (result) => {
+  const q = {
+    sort: () => q,
+    limit: () => q,
+    select: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+};
+
+// What the database holds for the one user in these tests
+let stored;
+let outbox;
+
+const user = {
+  _id: "64b000000000000000000001",
+  email: "asha@example.com",
+  firstName: "Asha",
+  skills: [],
+  notificationPreferences: { digest: { frequency: "daily", sentUntil: null } },
+};
+
+const unreadNotification = {
+  title: "New Applicant",
+  message: "Ravi applied to your job",
+  actionUrl: "/jobs/1",
+};
+
+beforeEach(() => {
+  stored = { sentUntil: null, unsubscribeToken: undefined, frequency: "daily" };
+  user.notificationPreferences.digest.sentUntil = null;
+
+  outbox = createMemoryTransport();
+  setMailTransport(outbox);
+
+  // Conditional updates behave like MongoDB: they only apply when the filter matches
+  mock.method(User, "updateOne", async (filter, update) => {
+    if (SENT_UNTIL in filter) {
+      if (String(stored.sentUntil) !== String(filter[SENT_UNTIL])) return { matchedCount: 0, modifiedCount: 0 };
+      stored.sentUntil = update.$set[SENT_UNTIL];
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+    if (TOKEN in filter) {
+      const matches = filter[TOKEN].$exists === false
+        ? stored.unsubscribeToken === undefined
+        : stored.unsubscribeToken === filter[TOKEN];
+      if (!matches) return { matchedCount: 0, modifiedCount: 0 };
+      if (update.$set[TOKEN]) stored.unsubscribeToken = update.$set[TOKEN];
+      if (update.$set["notificationPreferences.digest.frequency"]) {
+        stored.frequency = update.$set["notificationPreferences.digest.frequency"];
+      }
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+    throw new Error(`Unexpected update filter ${JSON.stringify(filter)}`);
+  });
+  mock.method(User, "findById", () =>
+    query({ notificationPreferences: { digest: { unsubscribeToken: stored.unsubscribeToken } } })
+  );
+  mock.method(User, "find", () => query([]));
+  mock.method(Connection, "find", () => query([]));
+  mock.method(Notification, "find", () => query([unreadNotification]));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setMailTransport(null);
+});
+
+test("isDigestDue follows the chosen frequency", () => {
+  const now = new Date();
+  const digest = (frequency, ago) => ({
+    digest: { frequency, sentUntil: ago === null ? null : new Date(now - ago) },
+  });
+
+  assert.equal(isDigestDue(digest("off", null), now), false);
+  assert.equal(isDigestDue(digest("daily", null), now), true);
+  assert.equal(isDigestDue(digest("daily", DAY_MS - DIGEST_SWEEP_INTERVAL_MS / 2), now), true);
+  assert.equal(isDigestDue(digest("daily", DAY_MS / 2), now), false);
+  assert.equal(isDigestDue(digest("weekly", 2 * DAY_MS), now), false);
+});
+
+test("sendDigest claims the window and sends one email", async () => {
+  const now = new Date();
+
+  assert.equal(await sendDigest(user, now), true);
+  assert.equal(stored.sentUntil, now);
+  assert.equal(outbox.outbox.length, 1);
+  assert.ok(outbox.outbox[0].text.includes("Ravi applied to your job"));
+});
+
+test("only notification types with email on are included", async () => {
+  const find = mock.method(Notification, "find", () => query([unreadNotification]));
+  const preferences = {
+    ...user.notificationPreferences,
+    types: new Map([["message", { email: false }], ["job_posting", { push: false }]]),
+  };
+
+  await sendDigest({ ...user, notificationPreferences: preferences }, new Date());
+
+  const types = find.mock.calls[0].arguments[0].type.$in;
+  assert.ok(!types.includes("message"));
+  assert.ok(types.includes("job_posting"));
+  // Covered elsewhere
+  assert.ok(!types.includes("security_alert"));
+  assert.ok(!types.includes("connection_request"));
+});
+
+test("a window already claimed by another instance is skipped", async () => {
+  stored.sentUntil = new Date(Date.now() - 1000);
+
+  assert.equal(await sendDigest(user, new Date()), false);
+  assert.equal(outbox.outbox.length, 0);
+});
+
+test("an empty window is consumed without an email", async () => {
+  mock.method(Notification, "find", () => query([]));
+  const now = new Date();
+
+  assert.equal(await sendDigest(user, now), false);
+  assert.equal(stored.sentUntil, now);
+  assert.equal(outbox.outbox.length, 0);
+});
+
+test("the window is given back when the email fails", async () => {
+  setMailTransport({ name: "down", send: async () => { throw new Error("smtp down"); } });
+  const error = mock.method(console, "error", () => {});
+
+  await assert.rejects(sendDigest(user, new Date()));
+  assert.equal(stored.sentUntil, null);
+  error.mock.restore();
+});
+
+test("digests carry an opaque unsubscribe token that only unsubscribes", async () => {
+  await sendDigest(user, new Date());
+  const [mail] = outbox.outbox;
+
+  const token = stored.unsubscribeToken;
+  assert.match(token, /^[a-f0-9]{64}$/);
+  // Not a JWT, so it cannot be presented as an access token
+  assert.equal(token.split(".").length, 1);
+  assert.ok(mail.headers["List-Unsubscribe"].endsWith(`/digest/unsubscribe/${token}>`));
+
+  // The next digest reuses the same token, so old links keep working
+  user.notificationPreferences.digest.sentUntil = stored.sentUntil;
+  await sendDigest(user, new Date(Date.now() + DAY_MS));
+  assert.equal(stored.unsubscribeToken, token);
+
+  const respond = (params) =>
+    new Promise((resolve) => {
+      const res = { status: () => res, json: (body) => resolve({ body }) };
+      unsubscribeFromDigest({ params }, res, (error) => resolve({ error }));
+    });
+
+  assert.equal((await respond({ token: "a".repeat(64) })).error.statusCode, 400);
+  assert.equal((await respond({ token: "eyJhbGciOiJIUzI1NiJ9.e30.x" })).error.statusCode, 400);
+
+  const { body } = await respond({ token });
+  assert.equal(body.statusCode, 200);
+  assert.equal(stored.frequency, "off");
+});
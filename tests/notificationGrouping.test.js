@@ -0,0 +1,188 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import {
+  Notification,
+  createNotification,
+} from "../controllers/notification.controller.js";
+import { DOMAIN_EVENTS, publish } from "../utils/eventBus.js";
+import { registerNotificationHandlers } from "../utils/notificationHandlers.js";
+import { applyUpdatePipeline } from "./helpers/aggregation.js";
+
+const recipient = new mongoose.Types.ObjectId();
+const senders = Array.from({ length: 60 }, () => new mongoose.Types.ObjectId());
+const nameOf = (id) => `User${senders.findIndex((sender) => sender.equals(id))}`;
+
+// The notifications collection, in memory
+let entries;
+
+const findUnread = (filter) =>
+  entries.find(
+    (entry) =>
+      !entry.isRead &&
+      entry.groupKey === filter.groupKey &&
+      String(entry.recipient) === String(filter.recipient)
+  );
+
+beforeEach(() => {
+  entries = [];
+
+  mock.method(User, "findById", () => ({ select: async () => ({ notificationPreferences: {} }) }));
+
+  mock.method(Notification, "findOneAndUpdate", async (filter, pipeline) => {
+    const entry = findUnread(filter);
+    if (!entry) return null;
+    Object.assign(entry, applyUpdatePipeline(entry, pipeline));
+    return { ...entry };
+  });
+
+  mock.method(Notification, "create", async (data) => {
+    // The partial unique index on unread { recipient, groupKey }
+    if (data.groupKey && findUnread(data)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    const entry = { _id: new mongoose.Types.ObjectId(), count: 1, isRead: false, ...data };
+    entries.push(entry);
+    return { ...entry };
+  });
+
+  mock.method(Notification, "findById", (id) => {
+    const entry = entries.find((candidate) => candidate._id.equals(id));
+    const populated = {
+      ...entry,
+      sender: entry.sender && { _id: entry.sender, firstName: nameOf(entry.sender) },
+    };
+    const query = {
+      populate: () => query,
+      then: (resolve) => resolve(populated),
+    };
+    return query;
+  });
+
+  mock.method(Notification, "updateOne", async (filter, update) => {
+    const entry = entries.find((candidate) => candidate._id.equals(filter._id));
+    if (entry.count === filter.count) Object.assign(entry, update.$set);
+    return {};
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const notifyApplication = (sender) =>
+  createNotification({
+    recipient,
+    sender,
+    type: "job_posting",
+    title: "New Applicant",
+    message: `${nameOf(sender)} applied to your job "Backend Developer"`,
+    group: {
+      key: "job_applied:1",
+      summarize: ({ actors }) => ({
+        title: "New Applicants",
+        message: `${actors} applied to your job "Backend Developer"`,
+      }),
+    },
+  });
+
+test("events with the same group key merge into one unread entry", async () => {
+  await notifyApplication(senders[0]);
+  await notifyApplication(senders[1]);
+  const merged = await notifyApplication(senders[2]);
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].count, 3);
+  assert.equal(entries[0].actorCount, 3);
+  assert.deepEqual(entries[0].actors.map(nameOf), ["User2", "User1", "User0"]);
+  assert.equal(merged.message, 'User2 and 2 others applied to your job "Backend Developer"');
+});
+
+test("a repeat sender is not counted twice", async () => {
+  await notifyApplication(senders[0]);
+  await notifyApplication(senders[1]);
+  await notifyApplication(senders[0]);
+
+  assert.equal(entries[0].count, 3);
+  assert.equal(entries[0].actorCount, 2);
+  assert.deepEqual(entries[0].actors.map(nameOf), ["User0", "User1"]);
+});
+
+test("a repeat sender who fell out of the capped actors is not counted twice", async () => {
+  for (let i = 0; i < 51; i++) await notifyApplication(senders[i]);
+  assert.equal(entries[0].actors.length, 50);
+  assert.ok(!entries[0].actors.some((actor) => actor.equals(senders[0])));
+
+  const merged = await notifyApplication(senders[0]);
+
+  assert.equal(entries[0].count, 52);
+  assert.equal(entries[0].actorCount, 51);
+  assert.equal(merged.message, 'User0 and 50 others applied to your job "Backend Developer"');
+});
+
+test("entries merged before actorIds existed count from their actors", async () => {
+  await notifyApplication(senders[0]);
+  delete entries[0].actorIds;
+
+  await notifyApplication(senders[0]);
+  await notifyApplication(senders[1]);
+
+  assert.equal(entries[0].actorCount, 2);
+});
+
+test("a read entry is not merged into; the next event starts a new one", async () => {
+  await notifyApplication(senders[0]);
+  entries[0].isRead = true;
+
+  await notifyApplication(senders[1]);
+
+  assert.equal(entries.length, 2);
+  assert.equal(entries[1].count, 1);
+  assert.equal(entries[1].actorCount, 1);
+});
+
+test("losing the race to create the entry merges into the winner", async () => {
+  // The entry appears between the merge attempt and the insert
+  const merge = Notification.findOneAndUpdate;
+  let first = true;
+  mock.method(Notification, "findOneAndUpdate", async (filter, pipeline) => {
+    if (first) {
+      first = false;
+      entries.push({
+        _id: new mongoose.Types.ObjectId(),
+        recipient,
+        sender: senders[1],
+        groupKey: "job_applied:1",
+        actors: [senders[1]],
+        actorIds: [senders[1]],
+        actorCount: 1,
+        count: 1,
+        isRead: false,
+      });
+      return null;
+    }
+    return merge(filter, pipeline);
+  });
+
+  await notifyApplication(senders[0]);
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].count, 2);
+  assert.equal(entries[0].actorCount, 2);
+});
+
+test("likes on a posting are grouped per posting, without the poster's own like", async () => {
+  registerNotificationHandlers();
+
+  const job = { _id: new mongoose.Types.ObjectId(), postedBy: recipient, title: "Backend Developer" };
+  const liker = (userId) => ({ _id: userId, firstName: nameOf(userId), lastName: "Rao" });
+
+  await publish(DOMAIN_EVENTS.JOB_LIKED, { job, liker: liker(senders[0]) });
+  await publish(DOMAIN_EVENTS.JOB_LIKED, { job, liker: liker(senders[1]) });
+  await publish(DOMAIN_EVENTS.JOB_LIKED, { job, liker: { _id: recipient, firstName: "Poster" } });
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].groupKey, `job_liked:${job._id}`);
+  assert.equal(entries[0].actorCount, 2);
+  assert.equal(entries[0].title, "New Likes");
+  assert.equal(entries[0].message, 'User1 and 1 other liked your job "Backend Developer"');
+});
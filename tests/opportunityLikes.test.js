@@ -0,0 +1,55 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Job } from "../models/job.model.js";
+import { Internship } from "../models/internship.model.js";
+import { likeInternship, likeJob } from "../controllers/opportunity.controller.js";
+import { DOMAIN_EVENTS, subscribe } from "../utils/eventBus.js";
+
+const liker = { _id: "64b000000000000000000002", firstName: "Asha", lastName: "Rao" };
+
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = { status: () => res, json: (body) => resolve({ body }) };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+// Collect what is published for an event until the test ends
+const listen = (t, event) => {
+  const published = [];
+  t.after(subscribe(event, (payload) => published.push(payload)));
+  return published;
+};
+
+// Let the bus deliver events published by the request
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+afterEach(() => mock.restoreAll());
+
+for (const [name, Model, like, event, key] of [
+  ["job", Job, likeJob, DOMAIN_EVENTS.JOB_LIKED, "job"],
+  ["internship", Internship, likeInternship, DOMAIN_EVENTS.INTERNSHIP_LIKED, "internship"],
+]) {
+  test(`liking a ${name} publishes ${event}; unliking does not`, async (t) => {
+    const published = listen(t, event);
+    const posting = Model.hydrate({
+      _id: "64b0000000000000000000a1",
+      postedBy: "64b000000000000000000001",
+      title: "Backend Developer",
+      likes: [],
+    });
+    mock.method(posting, "save", async () => posting);
+    mock.method(Model, "findById", async () => posting);
+
+    const liked = await run(like, { user: liker, params: { id: posting._id.toString() } });
+    await settle();
+    assert.equal(liked.body.data.liked, true);
+    assert.equal(published.length, 1);
+    assert.equal(published[0][key], posting);
+    assert.equal(published[0].liker, liker);
+
+    const unliked = await run(like, { user: liker, params: { id: posting._id.toString() } });
+    await settle();
+    assert.equal(unliked.body.data.liked, false);
+    assert.equal(published.length, 1);
+  });
+}
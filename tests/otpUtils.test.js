@@ -0,0 +1,143 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import { Otp } from "../models/otp.model.js";
+import { OTP_MAX_ATTEMPTS, issueOtp, verifyOtp } from "../utils/otpUtils.js";
+
+const user = { _id: "64b000000000000000000001" };
+
+// One OTP record kept in memory, with the atomic updates verifyOtp relies on
+let record;
+
+beforeEach(async () => {
+  record = {
+    _id: "64b0000000000000000000aa",
+    user: user._id,
+    purpose: "password_reset",
+    codeHash: await bcrypt.hash("123456", 4),
+    attempts: 0,
+    maxAttempts: OTP_MAX_ATTEMPTS,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+  };
+
+  mock.method(Otp, "findOneAndUpdate", async (filter, update) => {
+    if (
+      !record ||
+      record.expiresAt <= filter.expiresAt.$gt ||
+      record.attempts >= record.maxAttempts
+    ) {
+      return null;
+    }
+    record.attempts += update.$inc.attempts;
+    return Otp.hydrate({ ...record });
+  });
+  mock.method(Otp, "findOne", async () => (record ? Otp.hydrate({ ...record }) : null));
+  mock.method(Otp, "updateOne", async (filter, update) => {
+    Object.assign(record, update.$set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Otp, "deleteOne", async () => {
+    const deletedCount = record ? 1 : 0;
+    record = null;
+    return { deletedCount };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test("a correct code is accepted once and then consumed", async () => {
+  assert.equal(await verifyOtp(user, "password_reset", "123456"), true);
+  await assert.rejects(verifyOtp(user, "password_reset", "123456"), { statusCode: 400 });
+});
+
+test("a wrong code reports the remaining attempts", async () => {
+  await assert.rejects(verifyOtp(user, "password_reset", "000000"), {
+    statusCode: 400,
+    message: `Invalid OTP. ${OTP_MAX_ATTEMPTS - 1} attempt(s) remaining`,
+  });
+});
+
+test("the last wrong attempt locks the OTP", async () => {
+  for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+    await assert.rejects(verifyOtp(user, "password_reset", "000000"), { statusCode: 400 });
+  }
+  await assert.rejects(verifyOtp(user, "password_reset", "000000"), { statusCode: 429 });
+  assert.ok(record.lockedUntil > new Date());
+
+  // Even the right code is refused once locked
+  await assert.rejects(verifyOtp(user, "password_reset", "123456"), { statusCode: 429 });
+});
+
+test("concurrent guesses cannot exceed the attempt limit", async () => {
+  const compare = mock.method(Otp.prototype, "isCodeCorrect");
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 20 }, (_, i) =>
+      verifyOtp(user, "password_reset", String(100000 + i))
+    )
+  );
+
+  assert.equal(compare.mock.callCount(), OTP_MAX_ATTEMPTS);
+  assert.ok(results.every((result) => result.status === "rejected"));
+  assert.equal(
+    results.filter((result) => result.reason.statusCode === 429).length,
+    20 - OTP_MAX_ATTEMPTS + 1
+  );
+});
+
+test("an expired OTP is rejected", async () => {
+  record.expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(verifyOtp(user, "password_reset", "123456"), { statusCode: 400 });
+});
+
+// The upsert issueOtp uses: replaces the record when the filter matches, and
+// otherwise inserts, which the unique { user, purpose } index refuses
+const mockUpsert = () =>
+  mock.method(Otp, "findOneAndUpdate", async (filter, update) => {
+    const replaceable =
+      record &&
+      record.lastSentAt <= filter.lastSentAt.$lte &&
+      (!record.lockedUntil || record.lockedUntil <= filter.$or[1].lockedUntil.$lte);
+
+    if (record && !replaceable) {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    }
+
+    record = { _id: "64b0000000000000000000ab", user: filter.user, purpose: filter.purpose, ...record, ...update.$set };
+    return Otp.hydrate({ ...record });
+  });
+
+test("a new code replaces one past its cooldown", async () => {
+  mockUpsert();
+  record.attempts = 3;
+  record.lastSentAt = new Date(Date.now() - 2 * 60 * 1000);
+
+  const code = await issueOtp(user, "password_reset");
+
+  assert.equal(record.attempts, 0);
+  assert.ok(await bcrypt.compare(code, record.codeHash));
+});
+
+test("a new code is refused during the cooldown or while locked", async () => {
+  mockUpsert();
+
+  record.lastSentAt = new Date();
+  await assert.rejects(issueOtp(user, "password_reset"), { statusCode: 429 });
+
+  record.lastSentAt = new Date(Date.now() - 2 * 60 * 1000);
+  record.lockedUntil = new Date(Date.now() + 60 * 1000);
+  await assert.rejects(issueOtp(user, "password_reset"), { statusCode: 429 });
+});
+
+test("concurrent requests issue one code; the other gets a 429, not a 500", async () => {
+  mockUpsert();
+  record = null;
+
+  const results = await Promise.allSettled([
+    issueOtp(user, "password_reset"),
+    issueOtp(user, "password_reset"),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), ["fulfilled", "rejected"]);
+  assert.equal(results.find((result) => result.status === "rejected").reason.statusCode, 429);
+});
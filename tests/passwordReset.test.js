@@ -0,0 +1,93 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/user.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { changePasswordUsingOtp } from "../controllers/auth.controller.js";
+import { resetAdminPasswordUsingOtp } from "../controllers/admin.auth.controller.js";
+import { generatePasswordResetToken } from "../utils/jwt.js";
+
+const userId = "64b000000000000000000001";
+
+// What the database holds for the account
+let stored;
+
+const run = (handler, token) =>
+  new Promise((resolve) => {
+    const req = { params: { token }, body: { newPassword: "N3w-password!" }, get: () => "node-test" };
+    const res = { status: () => res, json: (body) => resolve({ body }) };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+beforeEach(() => {
+  stored = { role: "student", passwordChangedAt: null, saves: 0 };
+
+  mock.method(User, "exists", async (filter) =>
+    !filter.role || filter.role === stored.role ? { _id: userId } : null
+  );
+
+  // The conditional update only applies when the filter matches, as in MongoDB
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    if (filter.role && filter.role !== stored.role) return null;
+    const [, issuedBefore] = filter.$or;
+    if (stored.passwordChangedAt && !(stored.passwordChangedAt < issuedBefore.passwordChangedAt.$lt)) {
+      return null;
+    }
+    stored.passwordChangedAt = update.$set.passwordChangedAt;
+    return User.hydrate({ _id: userId, role: stored.role, activeSessions: [], refreshTokens: [] });
+  });
+
+  mock.method(User.prototype, "save", async function () {
+    stored.saves += 1;
+    return this;
+  });
+  mock.method(SecurityEvent, "create", async ({ event }) => ({ event }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test("a password reset token changes the password only once", async () => {
+  const token = await generatePasswordResetToken({ userId, email: "asha@example.com" });
+
+  const first = await run(changePasswordUsingOtp, token);
+  assert.equal(first.error, undefined);
+  const savesAfterReset = stored.saves;
+
+  const replay = await run(changePasswordUsingOtp, token);
+  assert.equal(replay.error?.statusCode, 400);
+  assert.match(replay.error.message, /already been used/);
+  assert.equal(stored.saves, savesAfterReset);
+});
+
+test("concurrent uses of one reset token change the password once", async () => {
+  const token = await generatePasswordResetToken({ userId, email: "asha@example.com" });
+
+  const results = await Promise.all([
+    run(changePasswordUsingOtp, token),
+    run(changePasswordUsingOtp, token),
+  ]);
+
+  assert.equal(results.filter((result) => result.error).length, 1);
+});
+
+test("a reset token issued before a later password change is refused", async () => {
+  const token = await generatePasswordResetToken({ userId, email: "asha@example.com" });
+  stored.passwordChangedAt = new Date(Date.now() + 1000);
+
+  const { error } = await run(changePasswordUsingOtp, token);
+  assert.equal(error?.statusCode, 400);
+});
+
+test("the user endpoint refuses admin reset tokens", async () => {
+  stored.role = "admin";
+  const token = await generatePasswordResetToken({ userId, email: "admin@example.com", role: "admin" });
+
+  const { error } = await run(changePasswordUsingOtp, token);
+  assert.equal(error?.statusCode, 400);
+  assert.equal(stored.passwordChangedAt, null);
+
+  const admin = await run(resetAdminPasswordUsingOtp, token);
+  assert.equal(admin.error, undefined);
+
+  const replay = await run(resetAdminPasswordUsingOtp, token);
+  assert.equal(replay.error?.statusCode, 400);
+});
@@ -0,0 +1,73 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createMemoryBucketStore,
+  createTokenBucketLimiter,
+} from "../utils/rateLimiter.js";
+
+// A limiter on a memory store with a clock the test moves by hand
+const createLimiter = ({ capacity = 3, refillPerSecond = 1 } = {}) => {
+  const clock = { time: 1_000_000 };
+  const limiter = createTokenBucketLimiter({
+    name: "test",
+    capacity,
+    refillPerSecond,
+    store: createMemoryBucketStore({ now: () => clock.time }),
+  });
+  return { clock, limiter };
+};
+
+test("a full bucket allows a burst up to its capacity", async () => {
+  const { limiter } = createLimiter({ capacity: 3 });
+
+  const results = [];
+  for (let i = 0; i < 4; i++) results.push(await limiter.consume("user-1"));
+
+  assert.deepEqual(results.map((result) => result.allowed), [true, true, true, false]);
+  assert.equal(results[2].remaining, 0);
+  assert.equal(results[3].retryAfterMs, 1000);
+});
+
+test("tokens refill over time, up to the capacity", async () => {
+  const { clock, limiter } = createLimiter({ capacity: 3, refillPerSecond: 2 });
+
+  for (let i = 0; i < 3; i++) await limiter.consume("user-1");
+  assert.equal((await limiter.consume("user-1")).allowed, false);
+
+  clock.time += 500;
+  assert.equal((await limiter.consume("user-1")).allowed, true);
+  assert.equal((await limiter.consume("user-1")).allowed, false);
+
+  clock.time += 60 * 1000;
+  assert.equal((await limiter.consume("user-1")).remaining, 2);
+});
+
+test("each key has its own bucket", async () => {
+  const { limiter } = createLimiter({ capacity: 1 });
+
+  assert.equal((await limiter.consume("user-1")).allowed, true);
+  assert.equal((await limiter.consume("user-1")).allowed, false);
+  assert.equal((await limiter.consume("user-2")).allowed, true);
+});
+
+test("a cost larger than the tokens left is refused without spending them", async () => {
+  const { limiter } = createLimiter({ capacity: 3 });
+
+  assert.equal((await limiter.consume("user-1", 2)).allowed, true);
+  assert.equal((await limiter.consume("user-1", 2)).allowed, false);
+  assert.equal((await limiter.consume("user-1", 1)).allowed, true);
+});
+
+test("a failing store lets the action through", async (t) => {
+  const error = mock.method(console, "error", () => {});
+  t.after(() => error.mock.restore());
+
+  const limiter = createTokenBucketLimiter({
+    name: "broken",
+    capacity: 1,
+    refillPerSecond: 1,
+    store: { take: async () => { throw new Error("redis down"); } },
+  });
+
+  assert.equal((await limiter.consume("user-1")).allowed, true);
+});
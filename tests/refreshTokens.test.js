@@ -0,0 +1,101 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/user.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { assertRefreshTokenUsable } from "../utils/sessionUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let loggedEvents;
+
+beforeEach(() => {
+  loggedEvents = [];
+  mock.method(User.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(SecurityEvent, "create", async ({ event, details }) => {
+    loggedEvents.push({ event, details });
+    return { event, details };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+// A user logged in on one device, with refresh token "t1" in family "t1"
+const createUser = () =>
+  User.hydrate({
+    _id: "64b000000000000000000001",
+    activeSessions: [{ sessionId: "s1" }, { sessionId: "s2" }],
+    refreshTokens: [
+      {
+        token: "jwt-1",
+        tokenId: "t1",
+        familyId: "t1",
+        sessionId: "s1",
+        isRevoked: false,
+        expiresAt: new Date(Date.now() + DAY_MS),
+      },
+    ],
+  });
+
+const rotate = (user, oldTokenId, tokenId) =>
+  user.rotateRefreshToken(oldTokenId, {
+    token: `jwt-${tokenId}`,
+    tokenId,
+    expiresAt: new Date(Date.now() + DAY_MS),
+  });
+
+test("a live refresh token is usable", async () => {
+  const user = createUser();
+  await assertRefreshTokenUsable(user, { tokenId: "t1", familyId: "t1" });
+});
+
+test("rotation keeps the family and session of the old token", async () => {
+  const user = createUser();
+  await rotate(user, "t1", "t2");
+
+  const next = user.refreshTokens.find((rt) => rt.tokenId === "t2");
+  assert.equal(next.familyId, "t1");
+  assert.equal(next.sessionId, "s1");
+  await assertRefreshTokenUsable(user, { tokenId: "t2", familyId: "t1" });
+});
+
+test("a token rotated moments ago is refused without revoking the family", async () => {
+  const user = createUser();
+  await rotate(user, "t1", "t2");
+
+  await assert.rejects(assertRefreshTokenUsable(user, { tokenId: "t1", familyId: "t1" }), {
+    statusCode: 401,
+    message: "Refresh token has already been rotated",
+  });
+  assert.equal(user.checkRefreshTokenUsage("t2", "t1"), "valid");
+});
+
+test("replaying a rotated token revokes the family and its sessions", async () => {
+  const user = createUser();
+  await rotate(user, "t1", "t2");
+  // Past the grace window for concurrent refreshes
+  user.refreshTokens.find((rt) => rt.tokenId === "t1").revokedAt = new Date(Date.now() - 60 * 1000);
+
+  await assert.rejects(assertRefreshTokenUsable(user, { tokenId: "t1", familyId: "t1" }), {
+    statusCode: 401,
+    message: "Refresh token reuse detected. Please login again.",
+  });
+
+  assert.ok(user.refreshTokens.every((rt) => rt.isRevoked));
+  assert.deepEqual(user.activeSessions.map((session) => session.sessionId), ["s2"]);
+  assert.equal(loggedEvents[0].event, "REFRESH_TOKEN_REUSE_DETECTED");
+  assert.deepEqual(loggedEvents[0].details.revokedSessions, ["s1"]);
+});
+
+test("an unknown or expired token is invalid", async () => {
+  const user = createUser();
+  user.refreshTokens[0].expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(assertRefreshTokenUsable(user, { tokenId: "t1", familyId: "t1" }), {
+    message: "Refresh token has been revoked or expired",
+  });
+  await assert.rejects(assertRefreshTokenUsable(user, { tokenId: "nope" }), {
+    message: "Refresh token has been revoked or expired",
+  });
+});
@@ -0,0 +1,103 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../models/user.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import {
+  initializeSessionSocket,
+  revokeMySession,
+  revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import { isSessionActive } from "../utils/sessionUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let user;
+let emitted;
+
+// Records what the controllers send to Socket.IO rooms
+const fakeIo = {
+  to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+  in: (room) => ({ disconnectSockets: () => emitted.push({ room, event: "disconnect" }) }),
+};
+
+const liveToken = (tokenId, sessionId) => ({
+  token: `jwt-${tokenId}`,
+  tokenId,
+  familyId: tokenId,
+  sessionId,
+  isRevoked: false,
+  expiresAt: new Date(Date.now() + DAY_MS),
+});
+
+// Run a controller and resolve with its response body, or the error it raised
+const run = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status: () => res,
+      json: (body) => resolve({ body }),
+    };
+    handler(req, res, (error) => resolve({ error }));
+  });
+
+const request = (currentSessionId, params = {}) => ({
+  user: { _id: user._id },
+  tokenData: { sessionId: currentSessionId },
+  params,
+  get: () => "node-test",
+});
+
+beforeEach(() => {
+  emitted = [];
+  initializeSessionSocket(fakeIo);
+
+  user = User.hydrate({
+    _id: "64b000000000000000000001",
+    activeSessions: [{ sessionId: "s1" }, { sessionId: "s2" }, { sessionId: "s3" }],
+    refreshTokens: [liveToken("t1", "s1"), liveToken("t2", "s2"), liveToken("t3", "s3")],
+  });
+
+  mock.method(User, "findById", async () => user);
+  mock.method(User.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(SecurityEvent, "create", async ({ event, details }) => ({ event, details }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test("revoking a session ends it and its refresh tokens", async () => {
+  const { body } = await run(revokeMySession, request("s1", { sessionId: "s2" }));
+
+  assert.equal(body.data.sessionId, "s2");
+  assert.equal(isSessionActive(user, "s2"), false);
+  assert.equal(isSessionActive(user, "s1"), true);
+  assert.equal(user.refreshTokens.find((rt) => rt.tokenId === "t2").isRevoked, true);
+  assert.equal(user.refreshTokens.find((rt) => rt.tokenId === "t1").isRevoked, false);
+
+  assert.ok(emitted.some((e) => e.room === "session_s2" && e.event === "session_revoked"));
+  assert.ok(emitted.some((e) => e.room === "session_s2" && e.event === "disconnect"));
+});
+
+test("the current session cannot be revoked through the sessions endpoint", async () => {
+  const { error } = await run(revokeMySession, request("s1", { sessionId: "s1" }));
+  assert.equal(error.statusCode, 400);
+});
+
+test("revoking an unknown session is a 404", async () => {
+  const { error } = await run(revokeMySession, request("s1", { sessionId: "missing" }));
+  assert.equal(error.statusCode, 404);
+});
+
+test("signing out elsewhere keeps only the current session", async () => {
+  // A live refresh token whose session entry was already pruned
+  user.refreshTokens.push(liveToken("t4", "s4"));
+
+  const { body } = await run(revokeOtherSessions, request("s1"));
+
+  assert.equal(body.data.revokedSessions, 3);
+  assert.deepEqual(user.activeSessions.map((session) => session.sessionId), ["s1"]);
+  assert.deepEqual(
+    user.refreshTokens.filter((rt) => !rt.isRevoked).map((rt) => rt.tokenId),
+    ["t1"]
+  );
+});
@@ -0,0 +1,128 @@
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import { User } from "../models/user.model.js";
+import {
+  base32Decode,
+  base32Encode,
+  generateTotpCode,
+  generateTotpSecret,
+  verifyTotpCode,
+} from "../utils/totp.js";
+import { verifySecondFactor } from "../utils/twoFactorUtils.js";
+
+const STEP_MS = 30 * 1000;
+
+const BACKUP_CODE = "abcd-1234";
+
+// The user's twoFactor state as stored in the database
+let stored;
+
+// A freshly loaded copy of the user, as each request reads it
+const loadUser = (secret) =>
+  User.hydrate({
+    _id: "64b000000000000000000001",
+    twoFactor: {
+      enabled: true,
+      secret,
+      lastUsedStep: stored.lastUsedStep,
+      backupCodes: stored.backupCodes.map((code) => ({ ...code })),
+    },
+  });
+
+beforeEach(async () => {
+  stored = {
+    lastUsedStep: undefined,
+    backupCodes: [
+      { _id: "64b0000000000000000000c1", codeHash: await bcrypt.hash("abcd1234", 4), usedAt: null },
+    ],
+  };
+
+  // Conditional updates only apply when the filter matches, as in MongoDB
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    if (filter.$or) {
+      const step = update.$set["twoFactor.lastUsedStep"];
+      if (stored.lastUsedStep != null && stored.lastUsedStep >= step) return null;
+      stored.lastUsedStep = step;
+      return { _id: filter._id };
+    }
+
+    const { _id } = filter["twoFactor.backupCodes"].$elemMatch;
+    const code = stored.backupCodes.find((entry) => String(entry._id) === String(_id));
+    if (!code || code.usedAt) return null;
+    code.usedAt = update.$set["twoFactor.backupCodes.$[backup].usedAt"];
+    return { _id: filter._id };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test("base32 encoding round-trips", () => {
+  const bytes = Buffer.from("12345678901234567890");
+  assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+});
+
+test("TOTP matches the RFC 6238 SHA-1 test vector", () => {
+  const secret = base32Encode(Buffer.from("12345678901234567890"));
+  // 94287082 truncated to six digits
+  assert.equal(generateTotpCode(secret, 59 * 1000), "287082");
+});
+
+test("verifyTotpCode allows one step of clock drift", () => {
+  const secret = generateTotpSecret();
+  const now = Date.now();
+
+  assert.notEqual(verifyTotpCode(secret, generateTotpCode(secret, now - STEP_MS), { timestamp: now }), null);
+  assert.equal(verifyTotpCode(secret, generateTotpCode(secret, now - 3 * STEP_MS), { timestamp: now }), null);
+  assert.equal(verifyTotpCode(secret, "abc123"), null);
+});
+
+test("a TOTP code cannot be used twice", async () => {
+  const secret = generateTotpSecret();
+  const user = loadUser(secret);
+  const code = generateTotpCode(secret);
+
+  assert.equal(await verifySecondFactor(user, { code }), "totp");
+  await assert.rejects(verifySecondFactor(user, { code }), { statusCode: 401 });
+});
+
+test("a code from an earlier step is refused after a later one was used", async () => {
+  const secret = generateTotpSecret();
+  const user = loadUser(secret);
+
+  assert.equal(await verifySecondFactor(user, { code: generateTotpCode(secret) }), "totp");
+  await assert.rejects(
+    verifySecondFactor(user, { code: generateTotpCode(secret, Date.now() - STEP_MS) }),
+    { statusCode: 401 }
+  );
+});
+
+test("concurrent logins cannot both use the same TOTP code", async () => {
+  const secret = generateTotpSecret();
+  const code = generateTotpCode(secret);
+
+  const results = await Promise.allSettled([
+    verifySecondFactor(loadUser(secret), { code }),
+    verifySecondFactor(loadUser(secret), { code }),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), ["fulfilled", "rejected"]);
+  assert.equal(results.find((result) => result.status === "rejected").reason.statusCode, 401);
+});
+
+test("a backup code is single-use, even for concurrent logins", async () => {
+  const secret = generateTotpSecret();
+
+  const results = await Promise.allSettled([
+    verifySecondFactor(loadUser(secret), { backupCode: BACKUP_CODE }),
+    verifySecondFactor(loadUser(secret), { backupCode: BACKUP_CODE }),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), ["fulfilled", "rejected"]);
+  assert.ok(stored.backupCodes[0].usedAt instanceof Date);
+
+  await assert.rejects(
+    verifySecondFactor(loadUser(secret), { backupCode: BACKUP_CODE }),
+    { statusCode: 401 }
+  );
+});
@@ -0,0 +1,161 @@
+import { test, mock, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import webpush from "web-push";
+import { PushSubscription } from "../models/pushSubscription.model.js";
+import { subscribeToPush } from "../controllers/notification.controller.js";
+import {
+  isAllowedPushEndpoint,
+  parsePushSubscription,
+  sendPushNotification,
+} from "../utils/webPush.js";
+
+// Keys a browser would send in PushSubscription.toJSON()
+const browserKeys = () => {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  return {
+    p256dh: ecdh.getPublicKey().toString("base64url"),
+    auth: crypto.randomBytes(16).toString("base64url"),
+  };
+};
+
+const keys = browserKeys();
+const FCM_ENDPOINT = "https://fcm.googleapis.com/fcm/send/abc123";
+
+// Local mock push service; the path picks the status it answers with
+let server;
+let mockHost;
+const received = [];
+
+before(async () => {
+  const vapid = webpush.generateVAPIDKeys();
+  process.env.VAPID_PUBLIC_KEY = vapid.publicKey;
+  process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+
+  server = http.createServer((req, res) => {
+    received.push(req.url);
+    req.resume();
+    res.statusCode = req.url === "/gone" ? 410 : 201;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  mockHost = `127.0.0.1:${server.address().port}`;
+  process.env.WEB_PUSH_ALLOWED_HOSTS = mockHost;
+});
+
+after(() => {
+  server.close();
+  delete process.env.WEB_PUSH_ALLOWED_HOSTS;
+});
+
+afterEach(() => mock.restoreAll());
+
+test("only push service endpoints are allowed", () => {
+  const allowed = [
+    FCM_ENDPOINT,
+    "https://updates.push.services.mozilla.com/wpush/v2/abc",
+    "https://wns2-par02p.notify.windows.com/w/?token=abc",
+    "https://web.push.apple.com/abc",
+  ];
+  const refused = [
+    "http://fcm.googleapis.com/fcm/send/abc",
+    "https://fcm.googleapis.com:8443/fcm/send/abc",
+    "https://fcm.googleapis.com.evil.example/abc",
+    "https://evilpush.apple.com.example/abc",
+    "https://169.254.169.254/latest/meta-data",
+    "http://localhost:27017/",
+    "https://10.0.0.5/internal",
+  ];
+
+  for (const url of allowed) assert.equal(isAllowedPushEndpoint(new URL(url)), true, url);
+  for (const url of refused) assert.equal(isAllowedPushEndpoint(new URL(url)), false, url);
+});
+
+test("parsePushSubscription rejects internal endpoints with a 400", () => {
+  assert.throws(
+    () => parsePushSubscription({ endpoint: "http://127.0.0.1:6379/", keys }),
+    { statusCode: 400 }
+  );
+});
+
+test("parsePushSubscription validates expirationTime", () => {
+  assert.equal(parsePushSubscription({ endpoint: FCM_ENDPOINT, keys }).expirationTime, null);
+  assert.equal(
+    parsePushSubscription({ endpoint: FCM_ENDPOINT, keys, expirationTime: 1893456000000 })
+      .expirationTime.toISOString(),
+    "2030-01-01T00:00:00.000Z"
+  );
+
+  for (const expirationTime of ["not a date", {}, true]) {
+    assert.throws(
+      () => parsePushSubscription({ endpoint: FCM_ENDPOINT, keys, expirationTime }),
+      { statusCode: 400 }
+    );
+  }
+});
+
+test("sendPushNotification delivers, and removes gone or disallowed subscriptions", async () => {
+  received.length = 0;
+  const subscriptions = [
+    { _id: "ok", endpoint: `http://${mockHost}/ok`, keys },
+    { _id: "gone", endpoint: `http://${mockHost}/gone`, keys },
+    // Saved before endpoints were restricted
+    { _id: "internal", endpoint: "http://127.0.0.2:9/admin", keys },
+  ];
+
+  mock.method(PushSubscription, "find", async () => subscriptions);
+  const deleteMany = mock.method(PushSubscription, "deleteMany", async () => ({}));
+  mock.method(PushSubscription, "updateMany", async () => ({}));
+
+  const result = await sendPushNotification("user-1", {
+    _id: "n1",
+    type: "message",
+    title: "Hi",
+    message: "Hello",
+    priority: "medium",
+  });
+
+  assert.deepEqual(result, { sent: 1, removed: 2 });
+  assert.deepEqual(received.sort(), ["/gone", "/ok"]);
+  assert.deepEqual(deleteMany.mock.calls[0].arguments[0]._id.$in.sort(), ["gone", "internal"]);
+});
+
+// Run subscribeToPush; resolves with the response body or the error raised
+const subscribe = (userId, subscription) =>
+  new Promise((resolve) => {
+    const res = { status: () => res, json: (body) => resolve({ body }) };
+    subscribeToPush(
+      { user: { _id: userId }, body: { subscription }, get: () => "node-test" },
+      res,
+      (error) => resolve({ error })
+    );
+  });
+
+test("an endpoint of another account only moves with the same keys", async () => {
+  const owner = PushSubscription.hydrate({
+    _id: "64b0000000000000000000aa",
+    user: "64b000000000000000000001",
+    endpoint: FCM_ENDPOINT,
+    keys,
+  });
+  const otherUser = "64b000000000000000000002";
+
+  mock.method(PushSubscription, "findOne", async () => owner);
+  const update = mock.method(PushSubscription, "findOneAndUpdate", async (filter, change) => ({
+    ...owner.toObject(),
+    ...change.$set,
+  }));
+  mock.method(PushSubscription, "find", () => ({
+    sort: () => ({ skip: () => ({ select: async () => [] }) }),
+  }));
+
+  const stolen = await subscribe(otherUser, { endpoint: FCM_ENDPOINT, keys: browserKeys() });
+  assert.equal(stolen.error.statusCode, 409);
+  assert.equal(update.mock.callCount(), 0);
+
+  const sameBrowser = await subscribe(otherUser, { endpoint: FCM_ENDPOINT, keys });
+  assert.equal(sameBrowser.error, undefined);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: owner._id, user: owner.user });
+});
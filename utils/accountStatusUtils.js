@@ -0,0 +1,103 @@
+import { User } from "../models/user.model.js";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Account suspension and soft-deletion helpers
+ */
+
+/**
+ * Query filter that hides deleted users and users with a running suspension.
+ * Suspensions whose suspendedUntil has passed count as lifted.
+ * @param {string} prefix - Path prefix when filtering looked-up users, e.g. "connectedUser."
+ * @returns {Object} - MongoDB query / $match filter
+ */
+export const visibleAccountFilter = (prefix = "") => ({
+  [`${prefix}isDeleted`]: { $ne: true },
+  $nor: [
+    { [`${prefix}isSuspended`]: true, [`${prefix}suspendedUntil`]: null },
+    {
+      [`${prefix}isSuspended`]: true,
+      [`${prefix}suspendedUntil`]: { $gt: new Date() },
+    },
+  ],
+});
+
+/**
+ * Aggregation expression version of visibleAccountFilter, for $filter conditions
+ * @param {string} path - Expression path of the user document, e.g. "$$member"
+ * @returns {Object} - Aggregation expression evaluating to true for visible users
+ */
+export const visibleAccountExpression = (path) => ({
+  $and: [
+    { $ne: [`${path}.isDeleted`, true] },
+    {
+      $not: [
+        {
+          $and: [
+            { $eq: [`${path}.isSuspended`, true] },
+            {
+              $or: [
+                { $eq: [{ $ifNull: [`${path}.suspendedUntil`, null] }, null] },
+                { $gt: [`${path}.suspendedUntil`, "$$NOW"] },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  ],
+});
+
+/**
+ * Check that a user document is neither deleted nor under a running suspension
+ * @param {Object} user - User object from database
+ * @returns {boolean} - True if the account can be used and shown to others
+ */
+export const isAccountVisible = (user) =>
+  Boolean(user) && !user.isDeleted && !user.isSuspensionActive();
+
+/**
+ * Reject deleted and suspended accounts; lifts suspensions that have expired
+ * @param {Object} user - User object from database
+ * @returns {Promise<void>} - Throws ApiError(403) if the account cannot be used
+ */
+export const assertAccountUsable = async (user) => {
+  if (user.isDeleted) {
+    throw new ApiError(403, "This account has been deleted");
+  }
+
+  await user.liftExpiredSuspension();
+
+  if (user.isSuspensionActive()) {
+    const until = user.suspendedUntil
+      ? ` until ${user.suspendedUntil.toISOString()}`
+      : "";
+    throw new ApiError(
+      403,
+      `Account has been suspended${until}${
+        user.suspensionReason ? `: ${user.suspensionReason}` : ""
+      }`
+    );
+  }
+};
+
+/**
+ * Lift every suspension whose suspendedUntil has passed
+ * @returns {Promise<number>} - Number of accounts that were reinstated
+ */
+export const liftExpiredSuspensions = async () => {
+  const result = await User.updateMany(
+    { isSuspended: true, suspendedUntil: { $ne: null, $lte: new Date() } },
+    {
+      $set: { isSuspended: false },
+      $unset: {
+        suspensionReason: "",
+        suspendedAt: "",
+        suspendedBy: "",
+        suspendedUntil: "",
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
@@ -0,0 +1,74 @@
+import { User } from "../models/user.model.js";
+import { ApiError } from "./ApiError.js";
+import { ADMIN_ROLES, DEFAULT_ADMIN_ROLE } from "./adminPermissions.js";
+
+/**
+ * Admin account helpers, shared by invitations and the bootstrap script
+ */
+
+export const MIN_ADMIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Derive a free uid from the email address
+ * @param {string} email - Admin email
+ * @returns {Promise<string>} - Unique uid
+ */
+const generateAdminUid = async (email) => {
+  const base = email.split("@")[0].toLowerCase().replace(/[^a-z0-9._-]/g, "");
+  let uid = base || "admin";
+  let suffix = 1;
+
+  while (await User.exists({ uid })) {
+    suffix += 1;
+    uid = `${base || "admin"}${suffix}`;
+  }
+
+  return uid;
+};
+
+/**
+ * Create an admin account. The email counts as verified because it was
+ * proven by an invitation or entered by someone with shell access.
+ * @param {Object} data - { email, password, firstName, lastName, adminRole }
+ * @returns {Promise<Object>} - Created user
+ */
+export const createAdminAccount = async ({
+  email,
+  password,
+  firstName,
+  lastName,
+  adminRole = DEFAULT_ADMIN_ROLE,
+}) => {
+  if (!email || !password) {
+    throw new ApiError(400, "Email and password are required");
+  }
+
+  if (!ADMIN_ROLES.includes(adminRole)) {
+    throw new ApiError(400, `Unknown admin role: ${adminRole}`);
+  }
+
+  if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    throw new ApiError(
+      400,
+      `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters long`
+    );
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  if (await User.exists({ email: normalizedEmail })) {
+    throw new ApiError(409, "An account with this email already exists");
+  }
+
+  return await User.create({
+    uid: await generateAdminUid(normalizedEmail),
+    email: normalizedEmail,
+    password,
+    firstName,
+    lastName,
+    role: "admin",
+    adminRole,
+    isEmailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+};
@@ -0,0 +1,80 @@
+/**
+ * Admin roles and the permissions each of them grants
+ */
+
+export const ADMIN_PERMISSIONS = [
+  "users.read",
+  "users.verify",
+  "users.suspend",
+  "users.delete",
+  "jobs.read",
+  "jobs.verify",
+  "jobs.delete",
+  "content.moderate",
+  "analytics.read",
+  "system.read",
+  "audit.read",
+  "compliance.manage",
+  "admins.invite",
+  "admins.manage",
+];
+
+export const ADMIN_ROLE_PERMISSIONS = {
+  super_admin: ADMIN_PERMISSIONS,
+  placement_officer: [
+    "users.read",
+    "jobs.read",
+    "jobs.verify",
+    "jobs.delete",
+    "analytics.read",
+  ],
+  moderator: [
+    "users.read",
+    "users.verify",
+    "users.suspend",
+    "jobs.read",
+    "content.moderate",
+  ],
+  analyst: ["analytics.read"],
+};
+
+export const ADMIN_ROLES = Object.keys(ADMIN_ROLE_PERMISSIONS);
+
+// Admins created before roles existed keep full access
+export const DEFAULT_ADMIN_ROLE = "super_admin";
+
+/**
+ * Resolve the effective role of an admin
+ * @param {Object} admin - Admin user object
+ * @returns {string} - Admin role name
+ */
+export const getAdminRole = (admin) => admin?.adminRole || DEFAULT_ADMIN_ROLE;
+
+/**
+ * List the permissions an admin holds through their role
+ * @param {Object} admin - Admin user object
+ * @returns {string[]} - Permission names
+ */
+export const getAdminPermissions = (admin) =>
+  ADMIN_ROLE_PERMISSIONS[getAdminRole(admin)] || [];
+
+/**
+ * Check whether an admin holds every one of the given permissions
+ * @param {Object} admin - Admin user object
+ * @param {...string} permissions - Required permission names
+ * @returns {boolean} - True if all permissions are granted
+ */
+export const hasAdminPermission = (admin, ...permissions) => {
+  const granted = getAdminPermissions(admin);
+  return permissions.every((permission) => granted.includes(permission));
+};
+
+/**
+ * Query filter matching active admins that hold the super_admin role
+ * @returns {Object} - MongoDB query filter
+ */
+export const superAdminFilter = () => ({
+  role: "admin",
+  isDeleted: { $ne: true },
+  adminRole: { $in: [null, DEFAULT_ADMIN_ROLE] },
+});
@@ -0,0 +1,78 @@
+import fs from "fs";
+
+/**
+ * Chat attachment rules: allowed MIME types and size limits per message type
+ */
+
+const MB = 1024 * 1024;
+
+export const CHAT_ATTACHMENT_RULES = {
+  image: {
+    maxSize: 10 * MB,
+    mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+  },
+  video: {
+    maxSize: 50 * MB,
+    mimeTypes: ["video/mp4", "video/webm", "video/quicktime"],
+  },
+  file: {
+    maxSize: 20 * MB,
+    mimeTypes: [
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-powerpoint",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+      "application/zip",
+      "text/plain",
+      "text/csv",
+    ],
+  },
+};
+
+// Largest limit of any type; multer rejects anything bigger before it is stored
+export const MAX_CHAT_ATTACHMENT_SIZE = Math.max(
+  ...Object.values(CHAT_ATTACHMENT_RULES).map((rule) => rule.maxSize)
+);
+
+/**
+ * Map a MIME type to the message type it is allowed as
+ * @param {string} mimeType - MIME type reported for the upload
+ * @returns {string|null} - "image", "video", "file" or null if not allowed
+ */
+export const getAttachmentType = (mimeType) =>
+  Object.keys(CHAT_ATTACHMENT_RULES).find((type) =>
+    CHAT_ATTACHMENT_RULES[type].mimeTypes.includes(mimeType)
+  ) || null;
+
+/**
+ * Check an uploaded file against the rules for its type
+ * @param {Object} file - Multer file ({ mimetype, size })
+ * @returns {string|null} - Error message, or null if the file is allowed
+ */
+export const validateAttachment = (file) => {
+  const type = getAttachmentType(file.mimetype);
+
+  if (!type) {
+    return `Files of type ${file.mimetype} are not allowed`;
+  }
+
+  const { maxSize } = CHAT_ATTACHMENT_RULES[type];
+  if (file.size > maxSize) {
+    return `${type} attachments must be ${maxSize / MB} MB or smaller`;
+  }
+
+  return null;
+};
+
+/**
+ * Remove a multer temp file that will not be uploaded
+ * @param {Object} file - Multer file
+ */
+export const removeTempFile = (file) => {
+  if (file?.path && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
@@ -0,0 +1,199 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+/**
+ * Chat transcripts
+ *
+ * Writes a chat's messages to a response as JSON, plain text or HTML. Messages
+ * are written one at a time, so long chats can be streamed from a cursor.
+ */
+
+export const CHAT_EXPORT_FORMATS = {
+  json: { contentType: "application/json", extension: "json" },
+  text: { contentType: "text/plain", extension: "txt" },
+  html: { contentType: "text/html", extension: "html" },
+};
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (value = "") =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const displayName = (user) =>
+  user?.firstName || user?.lastName
+    ? `${user.firstName || ""} ${user.lastName || ""}`.trim()
+    : "Deleted user";
+
+const formatTimestamp = (date) =>
+  new Date(date).toISOString().replace("T", " ").slice(0, 19) + " UTC";
+
+/**
+ * Plain transcript entry for one message
+ * @param {Object} message - Message with sender populated; deletedAt / deletedBy
+ * are set for retained copies of deleted messages
+ * @returns {Object} - Transcript entry
+ */
+export const toTranscriptEntry = (message) => ({
+  _id: message._id,
+  sentAt: message.createdAt,
+  sender: {
+    _id: message.sender?._id || null,
+    name: displayName(message.sender),
+  },
+  type: message.type,
+  content: message.content || "",
+  attachment: message.attachment?.url
+    ? {
+        name: message.attachment.name,
+        url: message.attachment.url,
+        mimeType: message.attachment.mimeType,
+        size: message.attachment.size,
+      }
+    : null,
+  replyTo: message.replyTo || null,
+  isEdited: Boolean(message.isEdited),
+  editedAt: message.editedAt || null,
+  ...(message.deletedAt && {
+    deletedAt: message.deletedAt,
+    deletedBy: message.deletedBy || null,
+  }),
+});
+
+const renderText = {
+  header: (chat, exportedAt) =>
+    [
+      `Chat: ${chat.chatName}`,
+      `Members: ${chat.members.map((member) => member.name).join(", ")}`,
+      `Exported: ${formatTimestamp(exportedAt)}`,
+      "",
+      "",
+    ].join("\n"),
+  message: (entry) => {
+    const lines = [
+      `[${formatTimestamp(entry.sentAt)}] ${entry.sender.name}${
+        entry.isEdited ? " (edited)" : ""
+      }${entry.deletedAt ? ` (deleted ${formatTimestamp(entry.deletedAt)})` : ""}:`,
+    ];
+    if (entry.content) {
+      lines.push(...entry.content.split("\n").map((line) => `    ${line}`));
+    }
+    if (entry.attachment) {
+      lines.push(
+        `    Attachment: ${entry.attachment.name} <${entry.attachment.url}>`
+      );
+    }
+    return `${lines.join("\n")}\n`;
+  },
+  footer: () => "",
+};
+
+const renderHtml = {
+  header: (chat, exportedAt) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(chat.chatName)}</title>
+<style>
+body { font-family: sans-serif; max-width: 800px; margin: 2rem auto; color: #222; }
+.message { border-bottom: 1px solid #eee; padding: 0.5rem 0; }
+.meta { color: #666; font-size: 0.85rem; }
+.content { white-space: pre-wrap; }
+.deleted { background: #fff4f4; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(chat.chatName)}</h1>
+<p>Members: ${chat.members.map((member) => escapeHtml(member.name)).join(", ")}</p>
+<p>Exported: ${formatTimestamp(exportedAt)}</p>
+`,
+  message: (entry) => `<div class="message${entry.deletedAt ? " deleted" : ""}">
+<div class="meta"><strong>${escapeHtml(entry.sender.name)}</strong> · ${formatTimestamp(
+    entry.sentAt
+  )}${entry.isEdited ? " · edited" : ""}${
+    entry.deletedAt ? ` · deleted ${formatTimestamp(entry.deletedAt)}` : ""
+  }</div>
+${entry.content ? `<div class="content">${escapeHtml(entry.content)}</div>\n` : ""}${
+    entry.attachment
+      ? `<div class="attachment"><a href="${escapeHtml(
+          entry.attachment.url
+        )}">${escapeHtml(entry.attachment.name || entry.attachment.url)}</a></div>\n`
+      : ""
+  }</div>
+`,
+  footer: () => "</body>\n</html>\n",
+};
+
+const renderJson = {
+  header: (chat, exportedAt) =>
+    `{"chat":${JSON.stringify(chat)},"exportedAt":${JSON.stringify(
+      exportedAt
+    )},"messages":[`,
+  message: (entry, index) => `${index > 0 ? "," : ""}${JSON.stringify(entry)}`,
+  footer: () => "]}\n",
+};
+
+const RENDERERS = { json: renderJson, text: renderText, html: renderHtml };
+
+/**
+ * Stream a chat transcript as a file download
+ * @param {Object} res - Express response
+ * @param {Object} options - Options
+ * @param {Object} options.chat - Chat with _id, chatName, isGroupChat
+ * @param {Array} options.members - Member user objects (firstName, lastName)
+ * @param {AsyncIterable|Array} options.messages - Messages, oldest first, senders populated
+ * @param {string} options.format - Key of CHAT_EXPORT_FORMATS
+ * @returns {Promise<number>} - Number of messages written
+ */
+export const writeChatTranscript = async (
+  res,
+  { chat, members, messages, format }
+) => {
+  const { contentType, extension } = CHAT_EXPORT_FORMATS[format];
+  const render = RENDERERS[format];
+  const exportedAt = new Date();
+
+  const chatInfo = {
+    _id: chat._id,
+    chatName:
+      chat.chatName || (chat.isGroupChat ? "Group chat" : "Direct chat"),
+    isGroupChat: Boolean(chat.isGroupChat),
+    members: members.map((member) => ({
+      _id: member._id,
+      name: displayName(member),
+    })),
+  };
+
+  res.status(200);
+  res.attachment(
+    `chat-${chat._id}-${exportedAt.toISOString().slice(0, 10)}.${extension}`
+  );
+  res.type(`${contentType}; charset=utf-8`);
+
+  let count = 0;
+  async function* chunks() {
+    yield render.header(chatInfo, exportedAt);
+    for await (const message of messages) {
+      yield render.message(toTranscriptEntry(message), count);
+      count += 1;
+    }
+    yield render.footer();
+  }
+
+  // pipeline respects backpressure, and stops reading messages (closing the
+  // cursor) if the client goes away
+  try {
+    await pipeline(Readable.from(chunks()), res);
+  } catch (error) {
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      throw error;
+    }
+  }
+
+  return count;
+};
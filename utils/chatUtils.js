@@ -3,6 +3,10 @@ import { Chat } from "../models/chat.model.js";
 import { Message } from "../models/message.model.js";
 import { User } from "../models/user.model.js";
 import mongoose from "mongoose";
+import { visibleAccountExpression } from "./accountStatusUtils.js";
+import { getPresence } from "./presence.js";
+import { deleteFromCloudinary } from "./cloudinary.js";
+import { getMessageRateLimiter } from "./rateLimiter.js";
 
 /**
  * Check if user is member of a chat
@@ -42,18 +46,102 @@ export const isUserChatAdmin = async (chatId, userId) => {
 };
 
 /**
- * Get unread message count for a user in a chat
+ * Find a member's read cursor on a chat
+ * @param {Object} chat - Chat object
+ * @param {string} userId - User ID
+ * @returns {Object|null} - Read cursor or null if the member has none yet
+ */
+export const getMemberCursor = (chat, userId) => {
+    return (chat.readCursors || []).find(cursor =>
+        cursor.user?.toString() === userId.toString()
+    ) || null;
+};
+
+/**
+ * Find a member's list settings (pin, mute, archive, unread mark) on a chat
+ * @param {Object} chat - Chat object
+ * @param {string} userId - User ID
+ * @returns {Object|null} - Settings or null if the member never changed any
+ */
+export const getMemberSettings = (chat, userId) => {
+    return (chat.memberSettings || []).find(settings =>
+        settings.user?.toString() === userId.toString()
+    ) || null;
+};
+
+/**
+ * Check whether a member has muted a chat
+ * @param {Object} chat - Chat object
+ * @param {string} userId - User ID
+ * @returns {boolean} - True while mutedUntil is in the future
+ */
+export const isChatMutedFor = (chat, userId) => {
+    const mutedUntil = getMemberSettings(chat, userId)?.mutedUntil;
+    return Boolean(mutedUntil && mutedUntil > new Date());
+};
+
+/**
+ * Format a member's list settings for responses; mirrors buildUserChatsPipeline
+ * @param {Object} chat - Chat object with memberSettings
+ * @param {string} userId - User ID
+ * @returns {Object} - Settings with derived isPinned / isMuted / isArchived flags
+ */
+export const formatMemberSettings = (chat, userId) => {
+    const settings = getMemberSettings(chat, userId);
+
+    return {
+        isPinned: Boolean(settings?.pinnedAt),
+        pinnedAt: settings?.pinnedAt || null,
+        isMuted: isChatMutedFor(chat, userId),
+        mutedUntil: settings?.mutedUntil || null,
+        isArchived: Boolean(settings?.archivedAt),
+        archivedAt: settings?.archivedAt || null,
+        markedUnread: Boolean(settings?.markedUnread)
+    };
+};
+
+/**
+ * Update a member's list settings, creating their entry if needed
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - User ID
+ * @param {Object} changes - Fields of memberSettings to set
+ * @returns {Promise<void>}
+ */
+export const updateMemberSettings = async (chatId, userId, changes) => {
+    const result = await Chat.updateOne(
+        { _id: chatId, 'memberSettings.user': userId },
+        {
+            $set: Object.fromEntries(
+                Object.entries(changes).map(([key, value]) => [`memberSettings.$.${key}`, value])
+            )
+        }
+    );
+
+    if (result.matchedCount === 0) {
+        await Chat.updateOne(
+            { _id: chatId, 'memberSettings.user': { $ne: userId } },
+            { $push: { memberSettings: { user: userId, ...changes } } }
+        );
+    }
+};
+
+/**
+ * Get unread message count for a user in a chat, from their read cursor
  * @param {string} chatId - Chat ID
  * @param {string} userId - User ID
- * @param {Date} lastSeenAt - Last seen timestamp
  * @returns {Promise<number>} - Unread message count
  */
-export const getUnreadMessageCount = async (chatId, userId, lastSeenAt) => {
+export const getUnreadMessageCount = async (chatId, userId) => {
     try {
+        const chat = await Chat.findById(chatId).select('readCursors').lean();
+        const cursor = chat ? getMemberCursor(chat, userId) : null;
+
         const count = await Message.countDocuments({
             chat: chatId,
             sender: { $ne: userId },
-            createdAt: { $gt: lastSeenAt }
+            ...(cursor?.lastReadMessageAt
+                ? { createdAt: { $gt: cursor.lastReadMessageAt } }
+                : {})
         });
         return count;
     } catch (error) {
@@ -61,6 +149,84 @@ export const getUnreadMessageCount = async (chatId, userId, lastSeenAt) => {
     }
 };
 
+/**
+ * Move a member's read or delivered cursor forward to a message.
+ * Cursors never move backwards, so late or repeated acknowledgements are ignored.
+ * Reading a message also marks it delivered.
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - User ID
+ * @param {Object} message - Message document (needs _id and createdAt)
+ * @param {string} kind - "read" or "delivered"
+ * @returns {Promise<boolean>} - True if the cursor moved
+ */
+export const advanceChatCursor = async (chatId, userId, message, kind = 'read') => {
+    const now = new Date();
+    const positionField = kind === 'read' ? 'lastReadMessageAt' : 'lastDeliveredMessageAt';
+    const update = kind === 'read'
+        ? { lastReadMessage: message._id, lastReadMessageAt: message.createdAt, readAt: now }
+        : { lastDeliveredMessageAt: message.createdAt, deliveredAt: now };
+
+    const behind = {
+        $or: [
+            { [positionField]: { $lt: message.createdAt } },
+            { [positionField]: null }
+        ]
+    };
+
+    const result = await Chat.updateOne(
+        {
+            _id: chatId,
+            readCursors: { $elemMatch: { user: userId, ...behind } }
+        },
+        {
+            $set: Object.fromEntries(
+                Object.entries(update).map(([key, value]) => [`readCursors.$.${key}`, value])
+            )
+        }
+    );
+
+    let moved = result.modifiedCount > 0;
+
+    if (!moved) {
+        const created = await Chat.updateOne(
+            { _id: chatId, 'readCursors.user': { $ne: userId } },
+            { $push: { readCursors: { user: userId, ...update } } }
+        );
+        moved = created.modifiedCount > 0;
+    }
+
+    if (kind === 'read') {
+        await advanceChatCursor(chatId, userId, message, 'delivered');
+    }
+
+    return moved;
+};
+
+/**
+ * Derive the sender-facing status of a message from the other members' cursors:
+ * "read" once everyone has read it, "delivered" once it reached everyone
+ * @param {Object} chat - Chat object with users and readCursors
+ * @param {Object} message - Message object
+ * @returns {string} - "sent", "delivered" or "read"
+ */
+export const getMessageStatus = (chat, message) => {
+    const senderId = (message.sender?._id || message.sender).toString();
+    const recipients = chat.users
+        .map(user => (user._id || user).toString())
+        .filter(userId => userId !== senderId);
+
+    if (recipients.length === 0) return 'sent';
+
+    const reached = (field) => recipients.every(userId => {
+        const at = getMemberCursor(chat, userId)?.[field];
+        return at && at >= message.createdAt;
+    });
+
+    if (reached('lastReadMessageAt')) return 'read';
+    if (reached('lastDeliveredMessageAt')) return 'delivered';
+    return 'sent';
+};
+
 /**
  * Format chat data for response
  * @param {Object} chat - Chat object
@@ -84,7 +250,7 @@ export const formatChatResponse = (chat, currentUserId) => {
 };
 
 /**
- * Validate message content
+ * Validate message content. For attachment messages the content is a caption.
  * @param {string} content - Message content
  * @param {string} type - Message type
  * @returns {boolean} - True if valid
@@ -95,11 +261,133 @@ export const validateMessageContent = (content, type = 'text') => {
     }
     
     // Basic validation rules
-    const maxLength = type === 'text' ? 5000 : 200; // URLs or file names can be shorter
+    const maxLength = type === 'text' ? 5000 : 1000;
     
     return content.trim().length > 0 && content.length <= maxLength;
 };
 
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} - Escaped pattern
+ */
+export const escapeRegex = (value) => {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Cut a snippet around the first search term found in the content and report
+ * where the terms occur in it. Highlights are offsets so clients can render
+ * them without trusting HTML.
+ * @param {string} content - Message content
+ * @param {string} query - Search query
+ * @param {number} radius - Characters kept on each side of the first match
+ * @returns {{snippet: string, highlights: Array<{start: number, length: number}>}}
+ */
+export const buildSearchSnippet = (content = '', query = '', radius = 60) => {
+    // Negated terms ("-word") are not shown; punctuation is not part of a term
+    const terms = query
+        .split(/\s+/)
+        .filter(term => term && !term.startsWith('-'))
+        .map(term => term.replace(/[^\p{L}\p{N}_]/gu, ''))
+        .filter(Boolean)
+        .map(escapeRegex);
+
+    if (!content || terms.length === 0) {
+        return { snippet: content.slice(0, radius * 2), highlights: [] };
+    }
+
+    // Terms match at word starts, so stemmed hits like "running" for "run" are covered
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+    const first = pattern.exec(content);
+    const start = first ? Math.max(first.index - radius, 0) : 0;
+    const end = Math.min(start + radius * 2 + (first ? first[0].length : 0), content.length);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < content.length ? '…' : '';
+    const body = content.slice(start, end);
+
+    const highlights = [];
+    pattern.lastIndex = 0;
+    for (const match of body.matchAll(pattern)) {
+        highlights.push({ start: prefix.length + match.index, length: match[0].length });
+    }
+
+    return { snippet: `${prefix}${body}${suffix}`, highlights };
+};
+
+/**
+ * Check that a reaction is a short emoji sequence (no text)
+ * @param {string} emoji - Reaction emoji
+ * @returns {boolean} - True if valid
+ */
+export const isValidReactionEmoji = (emoji) => {
+    return typeof emoji === 'string' &&
+        emoji.length <= 16 &&
+        /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u.test(emoji) &&
+        /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u.test(emoji);
+};
+
+/**
+ * Aggregate a message's reactions per emoji, in order of first use
+ * @param {Array} reactions - Message reactions ({ emoji, user })
+ * @returns {Array} - [{ emoji, count, users }]
+ */
+export const summarizeReactions = (reactions = []) => {
+    const summary = new Map();
+
+    reactions.forEach(reaction => {
+        if (!summary.has(reaction.emoji)) {
+            summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+        }
+        const entry = summary.get(reaction.emoji);
+        entry.count += 1;
+        entry.users.push(reaction.user);
+    });
+
+    return [...summary.values()];
+};
+
+/**
+ * Shape a message for responses and socket events: reactions are aggregated
+ * and the edit history is left out
+ * @param {Object} message - Message document or plain object
+ * @returns {Object} - Formatted message
+ */
+export const formatMessage = (message) => {
+    const messageObj = message.toObject ? message.toObject() : { ...message };
+    const { editHistory, ...rest } = messageObj;
+
+    return {
+        ...rest,
+        reactions: summarizeReactions(messageObj.reactions)
+    };
+};
+
+/**
+ * Delete the stored files of messages that carry attachments.
+ * Failures are logged; the messages are already gone.
+ * @param {Array} messages - Message objects
+ * @returns {Promise<void>}
+ */
+export const removeMessageAttachments = async (messages) => {
+    const attachments = messages
+        .map(message => message.attachment)
+        .filter(attachment => attachment?.publicId);
+
+    const results = await Promise.allSettled(
+        attachments.map(attachment =>
+            deleteFromCloudinary(attachment.publicId, attachment.resourceType || 'image')
+        )
+    );
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Failed to delete attachment ${attachments[index].publicId}:`, result.reason);
+        }
+    });
+};
+
 /**
  * Generate chat room name for Socket.IO
  * @param {string} chatId - Chat ID
@@ -137,34 +425,29 @@ export const sanitizeMessageContent = (content) => {
 };
 
 /**
- * Check rate limit for messaging
+ * Take a token from the user's message bucket (see utils/rateLimiter.js)
  * @param {string} userId - User ID
- * @param {number} maxMessages - Max messages per minute
- * @returns {Promise<boolean>} - True if within limit
+ * @returns {Promise<{allowed: boolean, remaining: number, retryAfterMs: number}>} - Limit result
  */
-export const checkMessageRateLimit = async (userId, maxMessages = 30) => {
-    try {
-        const oneMinuteAgo = new Date(Date.now() - 60000);
-        const recentMessages = await Message.countDocuments({
-            sender: userId,
-            createdAt: { $gte: oneMinuteAgo }
-        });
-        
-        return recentMessages < maxMessages;
-    } catch (error) {
-        return true; // Allow on error
-    }
+export const checkMessageRateLimit = async (userId) => {
+    return getMessageRateLimiter().consume(userId.toString());
 };
 
 /**
- * Get online users in a chat (would need Redis or similar for production)
+ * Get online users in a chat, as seen by the given user (hidden presence is skipped)
  * @param {string} chatId - Chat ID
- * @returns {Array} - Array of online user IDs
+ * @param {string} viewerId - ID of the user asking
+ * @returns {Promise<Array>} - Array of online user IDs
  */
-export const getOnlineUsersInChat = (chatId) => {
-    // This is a placeholder - in production, you'd store active users in Redis
-    // and track their online status
-    return [];
+export const getOnlineUsersInChat = async (chatId, viewerId) => {
+    const chat = await Chat.findById(chatId)
+        .populate('users', '_id hidePresence lastActive')
+        .lean();
+    if (!chat) return [];
+
+    return chat.users
+        .filter((member) => member && getPresence(member, viewerId).isOnline)
+        .map((member) => member._id.toString());
 };
 
 /**
@@ -188,15 +471,40 @@ export const formatUserForChat = (user) => {
 /**
  * Build chat aggregation pipeline for user chats
  * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {boolean} options.archived - List archived chats instead of the inbox
  * @returns {Array} - Aggregation pipeline
  */
-export const buildUserChatsPipeline = (userId) => {
+export const buildUserChatsPipeline = (userId, { archived = false } = {}) => {
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
     return [
         {
             $match: {
-                users: new mongoose.Types.ObjectId(userId)
+                users: userObjectId
+            }
+        },
+        {
+            $addFields: {
+                mySettings: {
+                    $arrayElemAt: [
+                        {
+                            $filter: {
+                                input: { $ifNull: ["$memberSettings", []] },
+                                as: "settings",
+                                cond: { $eq: ["$$settings.user", userObjectId] }
+                            }
+                        },
+                        0
+                    ]
+                }
             }
         },
+        {
+            $match: archived
+                ? { "mySettings.archivedAt": { $ne: null } }
+                : { "mySettings.archivedAt": null }
+        },
         {
             $lookup: {
                 from: "users",
@@ -205,6 +513,23 @@ export const buildUserChatsPipeline = (userId) => {
                 as: "users"
             }
         },
+        // Hide suspended and deleted members, and direct chats with them
+        {
+            $addFields: {
+                users: {
+                    $filter: {
+                        input: "$users",
+                        as: "member",
+                        cond: visibleAccountExpression("$$member")
+                    }
+                }
+            }
+        },
+        {
+            $match: {
+                $or: [{ isGroupChat: true }, { "users.1": { $exists: true } }]
+            }
+        },
         {
             $lookup: {
                 from: "messages",
@@ -215,7 +540,44 @@ export const buildUserChatsPipeline = (userId) => {
         },
         {
             $addFields: {
-                lastMessage: { $arrayElemAt: ["$lastMessage", 0] }
+                lastMessage: { $arrayElemAt: ["$lastMessage", 0] },
+                myCursor: {
+                    $arrayElemAt: [
+                        {
+                            $filter: {
+                                input: { $ifNull: ["$readCursors", []] },
+                                as: "cursor",
+                                cond: { $eq: ["$$cursor.user", userObjectId] }
+                            }
+                        },
+                        0
+                    ]
+                }
+            }
+        },
+        // Messages from others after the user's read cursor
+        {
+            $lookup: {
+                from: "messages",
+                let: {
+                    chatId: "$_id",
+                    since: { $ifNull: ["$myCursor.lastReadMessageAt", new Date(0)] }
+                },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ["$chat", "$$chatId"] },
+                                    { $ne: ["$sender", userObjectId] },
+                                    { $gt: ["$createdAt", "$$since"] }
+                                ]
+                            }
+                        }
+                    },
+                    { $count: "count" }
+                ],
+                as: "unread"
             }
         },
         {
@@ -227,15 +589,30 @@ export const buildUserChatsPipeline = (userId) => {
                     firstName: 1,
                     lastName: 1,
                     profileImage: 1,
-                    email: 1
+                    email: 1,
+                    lastActive: 1,
+                    hidePresence: 1
                 },
+                admins: 1,
+                createdBy: 1,
                 lastMessage: 1,
+                unreadCount: { $ifNull: [{ $arrayElemAt: ["$unread.count", 0] }, 0] },
+                lastReadMessage: "$myCursor.lastReadMessage",
+                markedUnread: { $ifNull: ["$mySettings.markedUnread", false] },
+                isPinned: { $gt: ["$mySettings.pinnedAt", null] },
+                pinnedAt: { $ifNull: ["$mySettings.pinnedAt", null] },
+                isMuted: { $gt: ["$mySettings.mutedUntil", "$$NOW"] },
+                mutedUntil: { $ifNull: ["$mySettings.mutedUntil", null] },
+                isArchived: { $gt: ["$mySettings.archivedAt", null] },
+                archivedAt: { $ifNull: ["$mySettings.archivedAt", null] },
+                pinnedMessages: { $ifNull: ["$pinnedMessages", []] },
                 createdAt: 1,
                 updatedAt: 1
             }
         },
+        // Pinned chats first (most recently pinned on top), then by activity
         {
-            $sort: { updatedAt: -1 }
+            $sort: { pinnedAt: -1, updatedAt: -1 }
         }
     ];
 };
@@ -8,13 +8,14 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-const uploadOnCloudinary = async (filePath) => {
+const uploadOnCloudinary = async (filePath, options = {}) => {
   try {
     if (!filePath) {
       return null;
     }
     const response = await cloudinary.uploader.upload(filePath, {
       resource_type: "auto",
+      ...options,
     });
     console.log("file uploaded successfully", response.url);
     fs.unlinkSync(filePath);
@@ -26,9 +27,12 @@ const uploadOnCloudinary = async (filePath) => {
   }
 };
 
-const deleteFromCloudinary = async (publicId) => {
+// resourceType must match the upload ("image", "video" or "raw")
+const deleteFromCloudinary = async (publicId, resourceType = "image") => {
   try {
-    const response = await cloudinary.uploader.destroy(publicId);
+    const response = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+    });
     console.log("Deleted:", response);
     return response;
   } catch (err) {
@@ -37,4 +41,13 @@ const deleteFromCloudinary = async (publicId) => {
   }
 };
 
-export { uploadOnCloudinary, deleteFromCloudinary };
+// Small JPEG preview of an uploaded image or video (first frame)
+const getThumbnailUrl = (publicId, resourceType = "image") =>
+  cloudinary.url(publicId, {
+    resource_type: resourceType,
+    format: "jpg",
+    secure: true,
+    transformation: [{ width: 320, height: 320, crop: "limit" }],
+  });
+
+export { uploadOnCloudinary, deleteFromCloudinary, getThumbnailUrl };
@@ -711,16 +711,3 @@ export const getUsersWhoBlockedMe = async (userId) => {
         return [];
     }
 };
-
-export {
-    areUsersConnected,
-    canSendConnectionRequest,
-    getUserConnectionCount,
-    getMutualConnectionsCount,
-    getSuggestedConnections,
-    validateConnectionRequest,
-    formatConnectionResponse,
-    getConnectionAnalytics,
-    isUserBlockedBy,
-    getUsersWhoBlockedMe
-};
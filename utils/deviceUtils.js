@@ -0,0 +1,88 @@
+/**
+ * Device detection helpers
+ */
+
+// Order matters: Edge and Opera user agents also contain "Chrome" and "Safari"
+const BROWSERS = [
+  { name: "Edge", pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: "Opera", pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: "Samsung Internet", pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: "Firefox", pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: "Chrome", pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: "Safari", pattern: /Version\/([\d.]+).*Safari/ },
+  { name: "Postman", pattern: /PostmanRuntime\/([\d.]+)/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: "iOS", pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: "Android", pattern: /Android ([\d.]+)/ },
+  { name: "Windows", pattern: /Windows NT ([\d.]+)/ },
+  { name: "macOS", pattern: /Mac OS X ([\d_.]+)/ },
+  { name: "Chrome OS", pattern: /CrOS [\w]+ ([\d.]+)/ },
+  { name: "Linux", pattern: /Linux/ },
+];
+
+const WINDOWS_VERSIONS = {
+  "10.0": "10/11",
+  "6.3": "8.1",
+  "6.2": "8",
+  "6.1": "7",
+};
+
+const matchFirst = (userAgent, candidates) => {
+  for (const { name, pattern } of candidates) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      return { name, version: match[1]?.replace(/_/g, ".") || null };
+    }
+  }
+  return null;
+};
+
+const getDeviceType = (userAgent) => {
+  if (
+    /iPad|Tablet/.test(userAgent) ||
+    (/Android/.test(userAgent) && !/Mobile/.test(userAgent))
+  ) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    return "mobile";
+  }
+  if (/Windows|Macintosh|Linux|CrOS/.test(userAgent)) {
+    return "desktop";
+  }
+  return "unknown";
+};
+
+/**
+ * Parse a User-Agent string into readable device details
+ * @param {string} userAgent - User-Agent header value
+ * @returns {Object} - { browser, browserVersion, os, osVersion, deviceType, deviceName }
+ */
+export const parseUserAgent = (userAgent = "") => {
+  const ua = userAgent || "";
+  const browser = matchFirst(ua, BROWSERS);
+  const os = matchFirst(ua, OPERATING_SYSTEMS);
+
+  let osVersion = os?.version || null;
+  if (os?.name === "Windows" && osVersion) {
+    osVersion = WINDOWS_VERSIONS[osVersion] || osVersion;
+  }
+
+  let deviceName = "Unknown device";
+  if (browser && os) {
+    deviceName = `${browser.name} on ${os.name}`;
+  } else if (browser || os) {
+    deviceName = (browser || os).name;
+  }
+
+  return {
+    browser: browser?.name || null,
+    browserVersion: browser?.version?.split(".")[0] || null,
+    os: os?.name || null,
+    osVersion,
+    deviceType: getDeviceType(ua),
+    deviceName,
+  };
+};
@@ -0,0 +1,82 @@
+/**
+ * Internal domain event bus
+ *
+ * Controllers publish what happened (a connection was requested, a job was
+ * verified, ...) and subscribers decide what follows, e.g. the notification
+ * handlers in utils/notificationHandlers.js. Handlers run after the current
+ * request has moved on, and a failing handler never affects the publisher or
+ * the other handlers.
+ *
+ * Events are delivered within the process that published them.
+ */
+
+export const DOMAIN_EVENTS = {
+  CONNECTION_REQUESTED: "connection.requested",
+  CONNECTION_ACCEPTED: "connection.accepted",
+  JOB_VERIFIED: "job.verified",
+  JOB_REJECTED: "job.rejected",
+  JOB_APPLIED: "job.applied",
+  JOB_LIKED: "job.liked",
+  INTERNSHIP_VERIFIED: "internship.verified",
+  INTERNSHIP_REJECTED: "internship.rejected",
+  INTERNSHIP_APPLIED: "internship.applied",
+  INTERNSHIP_LIKED: "internship.liked",
+  MESSAGE_SENT: "message.sent",
+  CHAT_JOIN_REQUESTED: "chat.join_requested",
+  CHAT_JOIN_REVIEWED: "chat.join_reviewed",
+};
+
+const KNOWN_EVENTS = new Set(Object.values(DOMAIN_EVENTS));
+
+// event name -> Set of handlers
+const subscribers = new Map();
+
+/**
+ * Subscribe to a domain event
+ * @param {string} event - One of DOMAIN_EVENTS
+ * @param {Function} handler - async (payload, event) => void
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribe = (event, handler) => {
+  if (!KNOWN_EVENTS.has(event)) {
+    throw new Error(`Unknown domain event: ${event}`);
+  }
+
+  if (!subscribers.has(event)) {
+    subscribers.set(event, new Set());
+  }
+  subscribers.get(event).add(handler);
+
+  return () => subscribers.get(event)?.delete(handler);
+};
+
+/**
+ * Publish a domain event. Publishers do not need to await the result; it
+ * settles once every handler has finished, which is useful in tests.
+ * @param {string} event - One of DOMAIN_EVENTS
+ * @param {Object} payload - Event data
+ * @returns {Promise<void>}
+ */
+export const publish = async (event, payload) => {
+  // Publishers do not await, so a throw here would be an unhandled rejection
+  if (!KNOWN_EVENTS.has(event)) {
+    console.error(`Unknown domain event published: ${event}`);
+    return;
+  }
+
+  const handlers = [...(subscribers.get(event) || [])];
+  if (handlers.length === 0) return;
+
+  // Let the publishing request finish first
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const results = await Promise.allSettled(
+    handlers.map((handler) => handler(payload, event))
+  );
+
+  results.forEach((result) => {
+    if (result.status === "rejected") {
+      console.error(`Handler for ${event} failed:`, result.reason);
+    }
+  });
+};
@@ -34,7 +34,8 @@ export const generateAccessToken = async (payload, sessionId = null) => {
 };
 
 // Generate Refresh Token
-export const generateRefreshToken = async (payload, rememberMe = false, sessionId = null) => {
+// familyId ties together all tokens produced by rotating one login's refresh token
+export const generateRefreshToken = async (payload, rememberMe = false, sessionId = null, familyId = null) => {
     const tokenId = uuidv4();
     const expiry = rememberMe ? '30d' : '7d';
     
@@ -42,6 +43,7 @@ export const generateRefreshToken = async (payload, rememberMe = false, sessionI
         ...payload,
         sessionId,
         tokenId,
+        familyId: familyId || tokenId,
         rememberMe,
         type: 'refresh'
     })
@@ -52,18 +54,19 @@ export const generateRefreshToken = async (payload, rememberMe = false, sessionI
     .setExpirationTime(expiry)
     .sign(JWT_SECRET);
 
-    return { token: jwt, tokenId };
+    return { token: jwt, tokenId, familyId: familyId || tokenId };
 };
 
 // Generate Token Pair
-export const generateTokenPair = async (payload, rememberMe = false, sessionId = null) => {
+export const generateTokenPair = async (payload, rememberMe = false, sessionId = null, familyId = null) => {
     const accessToken = await generateAccessToken(payload, sessionId);
-    const refreshTokenData = await generateRefreshToken(payload, rememberMe, sessionId);
+    const refreshTokenData = await generateRefreshToken(payload, rememberMe, sessionId, familyId);
     
     return { 
         accessToken, 
         refreshToken: refreshTokenData.token,
         refreshTokenId: refreshTokenData.tokenId,
+        refreshTokenFamilyId: refreshTokenData.familyId,
         tokenType: 'Bearer',
         expiresIn: 15 * 60, // 15 minutes in seconds
     };
@@ -185,6 +188,26 @@ export const generateEmailVerificationToken = async (payload) => {
     return jwt;
 };
 
+// Generate Two-Factor Login Challenge Token
+// Issued after a correct password when a TOTP code is still required
+export const generateTwoFactorChallengeToken = async (payload) => {
+    const tokenId = uuidv4();
+    
+    const jwt = await new SignJWT({
+        ...payload,
+        tokenId,
+        type: 'two_factor_challenge'
+    })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setIssuer(JWT_ISSUER)
+    .setAudience(JWT_AUDIENCE)
+    .setExpirationTime('5m')
+    .sign(JWT_SECRET);
+
+    return jwt;
+};
+
 // Cookie Options
 export const getCookieOptions = (type = 'access', rememberMe = false) => {
     const isProduction = process.env.NODE_ENV === 'production';
@@ -0,0 +1,231 @@
+/**
+ * Mail templates
+ *
+ * Each template takes a data object and returns { subject, text, html }.
+ */
+
+const APP_NAME = "AlmaSync";
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+
+/**
+ * Wrap template body in the shared HTML layout
+ * @param {string} title - Heading shown at the top of the mail
+ * @param {string} body - Inner HTML
+ * @returns {string} - Full HTML document
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,sans-serif;color:#1f2933;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="margin-top:32px;font-size:12px;color:#7b8794;">
+        This is an automated message from ${APP_NAME}. Please do not reply.
+      </p>
+    </div>
+  </body>
+</html>`;
+
+const greeting = (firstName) => (firstName ? `Hi ${firstName},` : "Hi,");
+
+const templates = {
+  passwordResetOtp: ({ firstName, otp, expiresInMinutes = 10 }) => ({
+    subject: `${APP_NAME} password reset code`,
+    text: [
+      greeting(firstName),
+      "",
+      `Your password reset code is ${otp}.`,
+      `It expires in ${expiresInMinutes} minutes.`,
+      "",
+      "If you did not request a password reset, you can ignore this email.",
+    ].join("\n"),
+    html: layout(
+      "Password reset code",
+      `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>Your password reset code is:</p>
+      <p style="font-size:28px;font-weight:bold;letter-spacing:6px;">${escapeHtml(otp)}</p>
+      <p>It expires in ${escapeHtml(expiresInMinutes)} minutes.</p>
+      <p>If you did not request a password reset, you can ignore this email.</p>`
+    ),
+  }),
+
+  welcome: ({ firstName }) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    text: [
+      greeting(firstName),
+      "",
+      `Your ${APP_NAME} account has been created.`,
+      "Complete your profile so your college can verify it and you can start connecting with alumni and students.",
+    ].join("\n"),
+    html: layout(
+      `Welcome to ${APP_NAME}`,
+      `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>Your ${APP_NAME} account has been created.</p>
+      <p>Complete your profile so your college can verify it and you can start connecting with alumni and students.</p>`
+    ),
+  }),
+
+  emailVerification: ({ firstName, verificationUrl }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    text: [
+      greeting(firstName),
+      "",
+      "Confirm your email address by opening the link below:",
+      verificationUrl,
+      "",
+      "The link expires in 24 hours.",
+    ].join("\n"),
+    html: layout(
+      "Verify your email address",
+      `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>Confirm your email address by clicking the button below.</p>
+      <p><a href="${escapeHtml(verificationUrl)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">Verify email</a></p>
+      <p>The link expires in 24 hours.</p>`
+    ),
+  }),
+
+  adminInvite: ({ invitedByEmail, role, acceptUrl, expiresAt }) => ({
+    subject: `You have been invited to administer ${APP_NAME}`,
+    text: [
+      greeting(),
+      "",
+      `${invitedByEmail || "An administrator"} invited you to join ${APP_NAME} as ${role}.`,
+      "Accept the invitation and choose your password here:",
+      acceptUrl,
+      "",
+      `The invitation can be used once and expires on ${new Date(expiresAt).toUTCString()}.`,
+    ].join("\n"),
+    html: layout(
+      `Join ${APP_NAME} as ${role}`,
+      `<p>${escapeHtml(greeting())}</p>
+      <p>${escapeHtml(invitedByEmail || "An administrator")} invited you to join ${APP_NAME} as ${escapeHtml(role)}.</p>
+      <p><a href="${escapeHtml(acceptUrl)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">Accept invitation</a></p>
+      <p>The invitation can be used once and expires on ${escapeHtml(new Date(expiresAt).toUTCString())}.</p>`
+    ),
+  }),
+
+  securityAlert: ({ firstName, title, description, occurredAt, ipAddress }) => ({
+    subject: `${APP_NAME} security alert: ${title}`,
+    text: [
+      greeting(firstName),
+      "",
+      description,
+      "",
+      `Time: ${new Date(occurredAt).toUTCString()}`,
+      `IP address: ${ipAddress || "Unknown"}`,
+      "",
+      "If this was not you, change your password and sign out of your other sessions.",
+    ].join("\n"),
+    html: layout(
+      title,
+      `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>${escapeHtml(description)}</p>
+      <p>Time: ${escapeHtml(new Date(occurredAt).toUTCString())}<br />
+      IP address: ${escapeHtml(ipAddress || "Unknown")}</p>
+      <p>If this was not you, change your password and sign out of your other sessions.</p>`
+    ),
+  }),
+
+  notificationDigest: ({
+    firstName,
+    frequency,
+    notifications = [],
+    connectionRequests = [],
+    opportunities = [],
+    unsubscribeUrl,
+  }) => {
+    const period = frequency === "weekly" ? "this week" : "today";
+    const sections = [
+      {
+        title: "Unread notifications",
+        items: notifications.map((item) => ({
+          label: item.title,
+          detail: item.message,
+          url: item.url,
+        })),
+      },
+      {
+        title: "Pending connection requests",
+        items: connectionRequests.map((item) => ({
+          label: item.name,
+          detail: item.headline,
+          url: item.url,
+        })),
+      },
+      {
+        title: "New opportunities matching your skills",
+        items: opportunities.map((item) => ({
+          label: `${item.title} at ${item.company}`,
+          detail: item.kind,
+          url: item.url,
+        })),
+      },
+    ].filter((section) => section.items.length > 0);
+
+    return {
+      subject: `Your ${frequency} ${APP_NAME} digest`,
+      text: [
+        greeting(firstName),
+        "",
+        `Here is what happened on ${APP_NAME} ${period}.`,
+        ...sections.flatMap((section) => [
+          "",
+          section.title,
+          ...section.items.map(
+            (item) =>
+              `- ${item.label}${item.detail ? `: ${item.detail}` : ""}${item.url ? ` (${item.url})` : ""}`
+          ),
+        ]),
+        "",
+        `Unsubscribe from these emails: ${unsubscribeUrl}`,
+      ].join("\n"),
+      html: layout(
+        `Your ${frequency} digest`,
+        `<p>${escapeHtml(greeting(firstName))}</p>
+      <p>Here is what happened on ${APP_NAME} ${period}.</p>
+      ${sections
+        .map(
+          (section) => `<h3>${escapeHtml(section.title)}</h3>
+      <ul>
+        ${section.items
+          .map(
+            (item) =>
+              `<li>${item.url ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.label)}</a>` : escapeHtml(item.label)}${item.detail ? ` - ${escapeHtml(item.detail)}` : ""}</li>`
+          )
+          .join("\n        ")}
+      </ul>`
+        )
+        .join("\n      ")}
+      <p style="font-size:12px;color:#7b8794;">You receive this because you turned on the ${escapeHtml(frequency)} digest. <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`
+      ),
+    };
+  },
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{subject: string, text: string, html: string}} - Rendered mail
+ */
+export const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+};
+
+export { escapeHtml, layout };
@@ -0,0 +1,109 @@
+import nodemailer from "nodemailer";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Mail transports
+ *
+ * Every transport exposes the same shape:
+ *   { name: string, send: async (message) => { messageId, ... } }
+ * where message is { from, to, subject, text, html }.
+ */
+
+/**
+ * Create an SMTP transport backed by nodemailer
+ * @param {Object} options - SMTP connection options
+ * @returns {Object} - Mail transport
+ */
+export const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT || "587"),
+    secure: options.secure ?? process.env.SMTP_SECURE === "true",
+    auth:
+      options.user || process.env.SMTP_USER
+        ? {
+            user: options.user || process.env.SMTP_USER,
+            pass: options.pass || process.env.SMTP_PASS,
+          }
+        : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId, accepted: info.accepted };
+    },
+  };
+};
+
+/**
+ * Hide one-time codes and tokens in a mail body before it is logged
+ * @param {string} text - Plain-text mail body
+ * @returns {string} - Redacted body
+ */
+export const redactMailText = (text = "") =>
+  text
+    // Query strings carry verification, invitation and unsubscribe tokens
+    .replace(/(https?:\/\/[^\s?#]+)\?[^\s)]*/g, "$1?[redacted]")
+    // Long opaque values, e.g. tokens in a URL path
+    .replace(/[A-Za-z0-9_\-.~%]{24,}/g, "[redacted]")
+    // Six digit OTPs
+    .replace(/\b\d{6}\b/g, "[redacted]");
+
+/**
+ * Create a development transport that prints mails to the console and,
+ * when a directory is given, also writes each mail as a JSON file.
+ * Codes and tokens in the printed body are redacted unless MAIL_LOG_BODY=true.
+ * @param {Object} options - { directory, logBody }
+ * @returns {Object} - Mail transport
+ */
+export const createConsoleTransport = (options = {}) => {
+  const directory = options.directory || process.env.MAIL_OUTPUT_DIR;
+  const logBody = options.logBody ?? process.env.MAIL_LOG_BODY === "true";
+
+  return {
+    name: directory ? "file" : "console",
+    send: async (message) => {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+      console.log(
+        `Mail [${messageId}] to ${message.to} :: ${message.subject}\n${
+          logBody ? message.text : redactMailText(message.text)
+        }`
+      );
+
+      if (directory) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(
+          path.join(directory, `${messageId}.json`),
+          JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2)
+        );
+      }
+
+      return { messageId };
+    },
+  };
+};
+
+/**
+ * Create an in-memory transport that keeps every mail in an outbox array
+ * @returns {Object} - Mail transport with outbox and clear()
+ */
+export const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: "memory",
+    outbox,
+    send: async (message) => {
+      const messageId = `memory-${outbox.length + 1}`;
+      outbox.push({ messageId, ...message, sentAt: new Date() });
+      return { messageId };
+    },
+    clear: () => {
+      outbox.length = 0;
+    },
+  };
+};
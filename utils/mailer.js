@@ -0,0 +1,113 @@
+import {
+  createSmtpTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+} from "./mailTransports.js";
+import { renderTemplate } from "./mailTemplates.js";
+
+/**
+ * Mail delivery service
+ *
+ * The transport is chosen from MAIL_TRANSPORT (smtp | console | file | memory)
+ * the first time a mail is sent, so environment variables loaded by dotenv
+ * are picked up. Tests can swap it with setMailTransport().
+ */
+
+let transport = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build the transport configured through environment variables
+ * @returns {Object} - Mail transport
+ */
+const createTransportFromEnv = () => {
+  const kind =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "smtp" : "console");
+
+  switch (kind) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createConsoleTransport({
+        directory: process.env.MAIL_OUTPUT_DIR || "tmp/mails",
+      });
+    case "memory":
+      return createMemoryTransport();
+    case "console":
+      return createConsoleTransport({ directory: null });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+};
+
+/**
+ * Get the active mail transport
+ * @returns {Object} - Mail transport
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active mail transport (pass null to re-read the environment)
+ * @param {Object|null} newTransport - Mail transport
+ */
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Send a mail, retrying failed attempts with exponential backoff
+ * @param {Object} message - { to, subject, text, html, from? }
+ * @param {Object} options - { retries, retryDelay }
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendMail = async (message, options = {}) => {
+  const retries = options.retries ?? parseInt(process.env.MAIL_MAX_RETRIES || "2");
+  const retryDelay = options.retryDelay ?? 500;
+
+  if (!message?.to || !message?.subject) {
+    throw new Error("Mail recipient and subject are required");
+  }
+
+  const mail = {
+    from: process.env.MAIL_FROM || "AlmaSync <no-reply@almasync.app>",
+    ...message,
+  };
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await getMailTransport().send(mail);
+    } catch (error) {
+      lastError = error;
+      console.error(
+        `Mail delivery to ${mail.to} failed (attempt ${attempt + 1}/${retries + 1}):`,
+        error.message
+      );
+      if (attempt < retries) {
+        await sleep(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  throw new Error(`Mail delivery failed: ${lastError?.message}`);
+};
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient email address
+ * @param {string} templateName - Template name from mailTemplates.js
+ * @param {Object} data - Template data
+ * @param {Object} options - Retry options passed to sendMail
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendTemplatedMail = async (to, templateName, data = {}, options = {}) => {
+  const { subject, text, html } = renderTemplate(templateName, data);
+  return await sendMail({ to, subject, text, html }, options);
+};
@@ -0,0 +1,287 @@
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { Job } from "../models/job.model.js";
+import { Internship } from "../models/internship.model.js";
+import { Connection } from "../models/connection.model.js";
+import { Notification } from "../controllers/notification.controller.js";
+import { visibleAccountFilter } from "./accountStatusUtils.js";
+import {
+  NOTIFICATION_TYPES,
+  getChannelPreferences,
+  isInQuietHours,
+  isNotificationPauseActive,
+} from "./notificationPreferences.js";
+import { escapeRegex } from "./chatUtils.js";
+import { renderTemplate } from "./mailTemplates.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * Notification digest emails
+ *
+ * Users who opt in get a daily or weekly email with their unread
+ * notifications, pending connection requests and newly verified jobs and
+ * internships matching their skills. Each digest covers the time since the
+ * previous one (digest.sentUntil), so nothing is sent twice. Notification
+ * types whose email channel the user turned off are left out.
+ *
+ * Unsubscribe links carry a random per-user token (digest.unsubscribeToken)
+ * rather than a signed token, so a leaked email cannot be used for anything
+ * but turning the digest off.
+ */
+
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+export const DIGEST_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const MAX_ITEMS_PER_SECTION = 10;
+
+// Already covered elsewhere: security alerts are emailed when they happen,
+// and connection requests have their own section while still pending
+const EXCLUDED_NOTIFICATION_TYPES = ["security_alert", "connection_request"];
+
+const getFrontendUrl = () =>
+  process.env.FRONTEND_URL || process.env.CORS_ORIGIN || "";
+
+// One-click unsubscribe (RFC 8058) needs a URL of this API, not the frontend
+const getApiUrl = () =>
+  process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+/**
+ * Get the user's digest unsubscribe token, creating it on first use
+ * @param {Object} user - User with _id
+ * @returns {Promise<string>} - Unsubscribe token
+ */
+export const getDigestUnsubscribeToken = async (user) => {
+  const tokenPath = "notificationPreferences.digest.unsubscribeToken";
+
+  await User.updateOne(
+    { _id: user._id, [tokenPath]: { $exists: false } },
+    { $set: { [tokenPath]: crypto.randomBytes(32).toString("hex") } }
+  );
+
+  const stored = await User.findById(user._id).select(`+${tokenPath}`);
+  return stored.notificationPreferences.digest.unsubscribeToken;
+};
+
+/**
+ * Whether a user's digest should be sent in this sweep
+ * @param {Object} preferences - user.notificationPreferences
+ * @param {Date} now - Sweep time
+ * @returns {boolean}
+ */
+export const isDigestDue = (preferences, now = new Date()) => {
+  const period = DIGEST_PERIOD_MS[preferences?.digest?.frequency];
+  if (!period) return false;
+
+  const sentUntil = preferences.digest.sentUntil;
+  // Send in the sweep closest to the due time, so digests do not drift later
+  return !sentUntil || now - sentUntil >= period - DIGEST_SWEEP_INTERVAL_MS / 2;
+};
+
+// Notification types the user allows by email, minus those covered elsewhere
+const getDigestNotificationTypes = (preferences) =>
+  NOTIFICATION_TYPES.filter(
+    (type) =>
+      !EXCLUDED_NOTIFICATION_TYPES.includes(type) &&
+      getChannelPreferences(preferences, type).email
+  );
+
+/**
+ * Collect what a digest window contains for a user
+ * @param {Object} user - User with _id, skills and notificationPreferences
+ * @param {Date} since - Window start (exclusive)
+ * @param {Date} until - Window end (inclusive)
+ * @returns {Promise<Object>} - { notifications, connectionRequests, opportunities, total }
+ */
+export const collectDigest = async (user, since, until) => {
+  const frontendUrl = getFrontendUrl();
+  const window = { $gt: since, $lte: until };
+
+  // A grouped entry is included again when new events were merged into it
+  const notifications = await Notification.find({
+    recipient: user._id,
+    isRead: false,
+    type: { $in: getDigestNotificationTypes(user.notificationPreferences) },
+    $or: [
+      { lastEventAt: window },
+      { lastEventAt: { $exists: false }, createdAt: window },
+    ],
+  })
+    .sort({ lastEventAt: -1, createdAt: -1 })
+    .limit(MAX_ITEMS_PER_SECTION)
+    .select("title message actionUrl");
+
+  const pendingRequests = await Connection.find({
+    to: user._id,
+    status: "pending",
+    requestedAt: window,
+  })
+    .sort({ requestedAt: -1 })
+    .limit(MAX_ITEMS_PER_SECTION)
+    .select("from");
+
+  const requesters = await User.find({
+    _id: { $in: pendingRequests.map((request) => request.from) },
+    ...visibleAccountFilter(),
+  }).select("firstName lastName profileHeadline");
+
+  let opportunities = [];
+  if (user.skills?.length > 0) {
+    const opportunityFilter = {
+      isVerified: true,
+      status: "active",
+      verifiedAt: window,
+      postedBy: { $ne: user._id },
+      skills: {
+        $in: user.skills.map(
+          (skill) => new RegExp(`^${escapeRegex(skill)}$`, "i")
+        ),
+      },
+    };
+
+    const [jobs, internships] = await Promise.all([
+      Job.find(opportunityFilter)
+        .sort({ verifiedAt: -1 })
+        .limit(MAX_ITEMS_PER_SECTION)
+        .select("title company"),
+      Internship.find(opportunityFilter)
+        .sort({ verifiedAt: -1 })
+        .limit(MAX_ITEMS_PER_SECTION)
+        .select("title company"),
+    ]);
+
+    opportunities = [
+      ...jobs.map((job) => ({
+        kind: "Job",
+        title: job.title,
+        company: job.company,
+        url: `${frontendUrl}/jobs/${job._id}`,
+      })),
+      ...internships.map((internship) => ({
+        kind: "Internship",
+        title: internship.title,
+        company: internship.company,
+        url: `${frontendUrl}/internships/${internship._id}`,
+      })),
+    ].slice(0, MAX_ITEMS_PER_SECTION);
+  }
+
+  const digest = {
+    notifications: notifications.map((notification) => ({
+      title: notification.title,
+      message: notification.message,
+      url: notification.actionUrl
+        ? `${frontendUrl}${notification.actionUrl}`
+        : null,
+    })),
+    connectionRequests: requesters.map((requester) => ({
+      name: `${requester.firstName} ${requester.lastName}`,
+      headline: requester.profileHeadline,
+      url: `${frontendUrl}/connections/requests`,
+    })),
+    opportunities,
+  };
+
+  return {
+    ...digest,
+    total:
+      digest.notifications.length +
+      digest.connectionRequests.length +
+      digest.opportunities.length,
+  };
+};
+
+/**
+ * Send one user's digest for the window ending now
+ * @param {Object} user - User with email, firstName, skills, notificationPreferences
+ * @param {Date} now - Window end
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+export const sendDigest = async (user, now = new Date()) => {
+  const { frequency, sentUntil } = user.notificationPreferences.digest;
+  const previous = sentUntil || null;
+  const since = previous || new Date(now - DIGEST_PERIOD_MS[frequency]);
+
+  // Claim the window first; if another instance already did, skip the user
+  const claim = await User.updateOne(
+    { _id: user._id, "notificationPreferences.digest.sentUntil": previous },
+    { $set: { "notificationPreferences.digest.sentUntil": now } }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  try {
+    const digest = await collectDigest(user, since, now);
+    // An empty window is consumed without an email
+    if (digest.total === 0) return false;
+
+    const token = await getDigestUnsubscribeToken(user);
+
+    const { subject, text, html } = renderTemplate("notificationDigest", {
+      firstName: user.firstName,
+      frequency,
+      ...digest,
+      unsubscribeUrl: `${getFrontendUrl()}/unsubscribe/digest?token=${encodeURIComponent(token)}`,
+    });
+
+    await sendMail({
+      to: user.email,
+      subject,
+      text,
+      html,
+      headers: {
+        "List-Unsubscribe": `<${getApiUrl()}/api/v1/notifications/digest/unsubscribe/${encodeURIComponent(token)}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+
+    return true;
+  } catch (error) {
+    // Give the window back so the next sweep retries it
+    await User.updateOne(
+      { _id: user._id, "notificationPreferences.digest.sentUntil": now },
+      { $set: { "notificationPreferences.digest.sentUntil": previous } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Send every digest that is due. Paused users and users in quiet hours are
+ * skipped until a later sweep.
+ * @param {Date} now - Sweep time
+ * @returns {Promise<number>} - Number of emails sent
+ */
+export const sendDueDigests = async (now = new Date()) => {
+  const users = User.find({
+    "notificationPreferences.digest.frequency": { $in: ["daily", "weekly"] },
+    // Accounts from before email verification have no value and count as verified
+    isEmailVerified: { $ne: false },
+    ...visibleAccountFilter(),
+  })
+    .select("email firstName skills notificationPreferences")
+    .cursor();
+
+  let sent = 0;
+  for await (const user of users) {
+    const preferences = user.notificationPreferences;
+
+    if (
+      !isDigestDue(preferences, now) ||
+      isNotificationPauseActive(preferences, now) ||
+      isInQuietHours(preferences.quietHours, now)
+    ) {
+      continue;
+    }
+
+    try {
+      if (await sendDigest(user, now)) sent += 1;
+    } catch (error) {
+      console.error(`Failed to send digest to user ${user._id}:`, error.message);
+    }
+  }
+
+  return sent;
+};
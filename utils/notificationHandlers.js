@@ -0,0 +1,224 @@
+import { createNotification } from "../controllers/notification.controller.js";
+import { DOMAIN_EVENTS, subscribe } from "./eventBus.js";
+import { isChatMutedFor } from "./chatUtils.js";
+import { isUserOnline } from "./presence.js";
+
+/**
+ * Notification handlers
+ *
+ * Turns domain events into persistent notifications. Controllers only publish
+ * events; what users are notified about, and how, is decided here.
+ */
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const MESSAGE_PREVIEW_LENGTH = 100;
+
+// Text, or the caption of an attachment
+const messagePreview = (message) => {
+  if (message.content) {
+    return message.content.length > MESSAGE_PREVIEW_LENGTH
+      ? `${message.content.slice(0, MESSAGE_PREVIEW_LENGTH)}…`
+      : message.content;
+  }
+  return `Sent ${message.type === "image" ? "an image" : `a ${message.type}`}`;
+};
+
+const notifyConnectionRequested = async ({ connection }) => {
+  await createNotification({
+    recipient: connection.to._id,
+    sender: connection.from._id,
+    type: "connection_request",
+    title: "New Connection Request",
+    message: `${fullName(connection.from)} sent you a connection request`,
+    data: { connectionId: connection._id },
+    actionUrl: `/connections/requests`,
+  });
+};
+
+const notifyConnectionAccepted = async ({ connection }) => {
+  await createNotification({
+    recipient: connection.from._id,
+    sender: connection.to._id,
+    type: "connection_accepted",
+    title: "Connection Request Accepted",
+    message: `${fullName(connection.to)} accepted your connection request`,
+    data: { connectionId: connection._id },
+    actionUrl: `/connections`,
+  });
+};
+
+// Jobs and internships share one set of handlers; `kind` picks the wording
+const opportunityHandlers = (kind, key) => ({
+  verified: async ({ [key]: opportunity }) => {
+    await createNotification({
+      recipient: opportunity.postedBy,
+      type: "job_posting",
+      title: `${kind} Approved`,
+      message: `Your ${kind.toLowerCase()} "${opportunity.title}" has been verified and is now visible`,
+      data: { [`${key}Id`]: opportunity._id },
+      actionUrl: `/${key}s/${opportunity._id}`,
+    });
+  },
+  rejected: async ({ [key]: opportunity, reason }) => {
+    await createNotification({
+      recipient: opportunity.postedBy,
+      type: "job_posting",
+      title: `${kind} Rejected`,
+      message: `Your ${kind.toLowerCase()} "${opportunity.title}" was rejected: ${reason}`,
+      data: { [`${key}Id`]: opportunity._id, reason },
+      priority: "high",
+    });
+  },
+  applied: async ({ [key]: opportunity, applicant }) => {
+    await createNotification({
+      recipient: opportunity.postedBy,
+      sender: applicant._id,
+      type: "job_posting",
+      title: "New Applicant",
+      message: `${fullName(applicant)} applied to your ${kind.toLowerCase()} "${opportunity.title}"`,
+      data: { [`${key}Id`]: opportunity._id, applicantId: applicant._id },
+      actionUrl: `/${key}s/${opportunity._id}`,
+      group: {
+        key: `${key}_applied:${opportunity._id}`,
+        summarize: ({ actors }) => ({
+          title: "New Applicants",
+          message: `${actors} applied to your ${kind.toLowerCase()} "${opportunity.title}"`,
+        }),
+      },
+    });
+  },
+  liked: async ({ [key]: opportunity, liker }) => {
+    // Liking your own posting is not news
+    if (liker._id.toString() === opportunity.postedBy.toString()) return;
+
+    await createNotification({
+      recipient: opportunity.postedBy,
+      sender: liker._id,
+      type: "job_posting",
+      title: "New Like",
+      message: `${fullName(liker)} liked your ${kind.toLowerCase()} "${opportunity.title}"`,
+      data: { [`${key}Id`]: opportunity._id },
+      actionUrl: `/${key}s/${opportunity._id}`,
+      priority: "low",
+      group: {
+        key: `${key}_liked:${opportunity._id}`,
+        summarize: ({ actors }) => ({
+          title: "New Likes",
+          message: `${actors} liked your ${kind.toLowerCase()} "${opportunity.title}"`,
+        }),
+      },
+    });
+  },
+});
+
+const jobHandlers = opportunityHandlers("Job", "job");
+const internshipHandlers = opportunityHandlers("Internship", "internship");
+
+// Members who are online get the message over the socket already, and muted
+// chats stay quiet
+const notifyMessageSent = async ({ chat, message, senderId }) => {
+  const recipients = chat.users.filter(
+    (userId) =>
+      userId.toString() !== senderId.toString() &&
+      !isChatMutedFor(chat, userId) &&
+      !isUserOnline(userId)
+  );
+  if (recipients.length === 0) return;
+
+  const senderName = fullName(message.sender);
+
+  await Promise.all(
+    recipients.map((userId) =>
+      createNotification({
+        recipient: userId,
+        sender: senderId,
+        type: "message",
+        title: chat.isGroupChat
+          ? `${senderName} in ${chat.chatName}`
+          : senderName,
+        message: messagePreview(message),
+        data: { chatId: chat._id, messageId: message._id },
+        actionUrl: `/chat/${chat._id}`,
+        priority: "low",
+        // One entry per chat until it is read
+        group: {
+          key: `chat_message:${chat._id}`,
+          summarize: ({ actors, count }) =>
+            chat.isGroupChat
+              ? { title: chat.chatName, message: `${actors} sent ${count} messages` }
+              : { title: senderName, message: `${count} new messages` },
+        },
+      })
+    )
+  );
+};
+
+const notifyChatJoinRequested = async ({ chat, joinRequest, requester }) => {
+  await Promise.all(
+    chat.admins.map((adminId) =>
+      createNotification({
+        recipient: adminId,
+        sender: requester._id,
+        type: "chat_join_request",
+        title: "New Join Request",
+        message: `${fullName(requester)} asked to join ${chat.chatName}`,
+        data: { chatId: chat._id, requestId: joinRequest._id },
+        group: {
+          key: `chat_join_request:${chat._id}`,
+          summarize: ({ actors }) => ({
+            title: "New Join Requests",
+            message: `${actors} asked to join ${chat.chatName}`,
+          }),
+        },
+      })
+    )
+  );
+};
+
+const notifyChatJoinReviewed = async ({ chat, joinRequest, reviewerId }) => {
+  const approved = joinRequest.status === "approved";
+
+  await createNotification({
+    recipient: joinRequest.user,
+    sender: reviewerId,
+    type: "chat_join_response",
+    title: approved ? "Join Request Approved" : "Join Request Declined",
+    message: approved
+      ? `You have been added to ${chat.chatName}`
+      : `Your request to join ${chat.chatName} was declined`,
+    data: {
+      chatId: chat._id,
+      requestId: joinRequest._id,
+      status: joinRequest.status,
+    },
+  });
+};
+
+const HANDLERS = {
+  [DOMAIN_EVENTS.CONNECTION_REQUESTED]: notifyConnectionRequested,
+  [DOMAIN_EVENTS.CONNECTION_ACCEPTED]: notifyConnectionAccepted,
+  [DOMAIN_EVENTS.JOB_VERIFIED]: jobHandlers.verified,
+  [DOMAIN_EVENTS.JOB_REJECTED]: jobHandlers.rejected,
+  [DOMAIN_EVENTS.JOB_APPLIED]: jobHandlers.applied,
+  [DOMAIN_EVENTS.JOB_LIKED]: jobHandlers.liked,
+  [DOMAIN_EVENTS.INTERNSHIP_VERIFIED]: internshipHandlers.verified,
+  [DOMAIN_EVENTS.INTERNSHIP_REJECTED]: internshipHandlers.rejected,
+  [DOMAIN_EVENTS.INTERNSHIP_APPLIED]: internshipHandlers.applied,
+  [DOMAIN_EVENTS.INTERNSHIP_LIKED]: internshipHandlers.liked,
+  [DOMAIN_EVENTS.MESSAGE_SENT]: notifyMessageSent,
+  [DOMAIN_EVENTS.CHAT_JOIN_REQUESTED]: notifyChatJoinRequested,
+  [DOMAIN_EVENTS.CHAT_JOIN_REVIEWED]: notifyChatJoinReviewed,
+};
+
+let registered = false;
+
+// Subscribe every notification handler once, at startup
+export const registerNotificationHandlers = () => {
+  if (registered) return;
+  registered = true;
+
+  Object.entries(HANDLERS).forEach(([event, handler]) => {
+    subscribe(event, handler);
+  });
+};
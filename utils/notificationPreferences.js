@@ -0,0 +1,292 @@
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Notification preferences
+ *
+ * Users choose, per notification type, which channels may notify them. Only
+ * their changes are stored; every other type and channel uses the defaults
+ * below. Quiet hours and the global pause keep notifications from being
+ * sent (real-time alert, email, push) but they are still saved in-app.
+ *
+ * Notifications reach email through the digest (utils/notificationDigest.js),
+ * which only lists types whose email channel is on.
+ */
+
+export const NOTIFICATION_TYPES = [
+  "connection_request",
+  "connection_accepted",
+  "connection_rejected",
+  "message",
+  "profile_update",
+  "job_posting",
+  "event_invitation",
+  "security_alert",
+  "chat_join_request",
+  "chat_join_response",
+  "general",
+];
+
+export const NOTIFICATION_CHANNELS = ["inApp", "email", "push"];
+
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+// Email only applies to users who opted in to the digest, so it is on by default
+const DEFAULT_CHANNELS = { inApp: true, email: true, push: true };
+
+// Security alerts are always delivered on every channel; they ignore quiet
+// hours and the pause, and cannot be turned off
+export const MANDATORY_NOTIFICATION_TYPES = ["security_alert"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Channels a user allows for a notification type
+ * @param {Object} preferences - user.notificationPreferences
+ * @param {string} type - Notification type
+ * @returns {Object} - { inApp, email, push }
+ */
+export const getChannelPreferences = (preferences, type) => {
+  if (MANDATORY_NOTIFICATION_TYPES.includes(type)) {
+    return { inApp: true, email: true, push: true };
+  }
+
+  const stored = preferences?.types?.get?.(type) || preferences?.types?.[type];
+
+  return NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+    channels[channel] =
+      typeof stored?.[channel] === "boolean"
+        ? stored[channel]
+        : DEFAULT_CHANNELS[channel];
+    return channels;
+  }, {});
+};
+
+/**
+ * Whether a time falls inside the user's quiet hours
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+export const isInQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) {
+    return false;
+  }
+
+  // "HH:mm" in the user's timezone compares correctly as a string
+  const localTime = new Intl.DateTimeFormat("en-GB", {
+    timeZone: quietHours.timezone || "UTC",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now);
+
+  const { start, end } = quietHours;
+  if (start === end) return false;
+
+  // Quiet hours such as 22:00-07:00 wrap around midnight
+  return start < end
+    ? localTime >= start && localTime < end
+    : localTime >= start || localTime < end;
+};
+
+/**
+ * Whether the user has paused notifications
+ * @param {Object} preferences - user.notificationPreferences
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+export const isNotificationPauseActive = (preferences, now = new Date()) =>
+  Boolean(
+    preferences?.paused &&
+      (!preferences.pausedUntil || preferences.pausedUntil > now)
+  );
+
+/**
+ * Decide how a notification reaches a user
+ * @param {Object} preferences - user.notificationPreferences
+ * @param {string} type - Notification type
+ * @param {Date} now - Time of the notification
+ * @returns {Object} - { save, silent, channels }; `save` is false when in-app
+ * notifications of this type are off, `silent` when nothing may be sent now
+ */
+export const resolveNotificationDelivery = (
+  preferences,
+  type,
+  now = new Date()
+) => {
+  const channels = getChannelPreferences(preferences, type);
+
+  const silent =
+    !MANDATORY_NOTIFICATION_TYPES.includes(type) &&
+    (isNotificationPauseActive(preferences, now) ||
+      isInQuietHours(preferences?.quietHours, now));
+
+  return {
+    save: channels.inApp,
+    silent,
+    channels: {
+      inApp: channels.inApp,
+      email: channels.email && !silent,
+      push: channels.push && !silent,
+    },
+  };
+};
+
+/**
+ * Preferences in the shape returned to clients, with defaults filled in
+ * @param {Object} preferences - user.notificationPreferences
+ * @returns {Object}
+ */
+export const formatNotificationPreferences = (preferences) => ({
+  types: NOTIFICATION_TYPES.reduce((types, type) => {
+    types[type] = {
+      ...getChannelPreferences(preferences, type),
+      configurable: !MANDATORY_NOTIFICATION_TYPES.includes(type),
+    };
+    return types;
+  }, {}),
+  quietHours: {
+    enabled: Boolean(preferences?.quietHours?.enabled),
+    start: preferences?.quietHours?.start || null,
+    end: preferences?.quietHours?.end || null,
+    timezone: preferences?.quietHours?.timezone || "UTC",
+  },
+  paused: isNotificationPauseActive(preferences),
+  pausedUntil: isNotificationPauseActive(preferences)
+    ? preferences.pausedUntil || null
+    : null,
+  digest: {
+    frequency: preferences?.digest?.frequency || "off",
+  },
+});
+
+/**
+ * Validate a preferences update and turn it into a $set on the user
+ * @param {Object} changes - { types, quietHours, paused, pausedUntil, digest }
+ * @param {Object} current - Current user.notificationPreferences
+ * @returns {Object} - Fields for $set
+ */
+export const buildNotificationPreferencesUpdate = (changes, current) => {
+  if (!changes || typeof changes !== "object") {
+    throw new ApiError(400, "preferences must be an object");
+  }
+
+  const update = {};
+
+  if (changes.types !== undefined) {
+    if (!changes.types || typeof changes.types !== "object") {
+      throw new ApiError(400, "types must be an object");
+    }
+
+    Object.entries(changes.types).forEach(([type, channels]) => {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        throw new ApiError(400, `Unknown notification type: ${type}`);
+      }
+      if (MANDATORY_NOTIFICATION_TYPES.includes(type)) {
+        throw new ApiError(400, `${type} notifications cannot be turned off`);
+      }
+      if (!channels || typeof channels !== "object") {
+        throw new ApiError(400, `Channels for ${type} must be an object`);
+      }
+
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+          throw new ApiError(400, `Unknown notification channel: ${channel}`);
+        }
+        if (typeof enabled !== "boolean") {
+          throw new ApiError(400, `${type}.${channel} must be a boolean`);
+        }
+        update[`notificationPreferences.types.${type}.${channel}`] = enabled;
+      });
+    });
+  }
+
+  if (changes.quietHours !== undefined) {
+    const quietHours = {
+      enabled: Boolean(current?.quietHours?.enabled),
+      start: current?.quietHours?.start,
+      end: current?.quietHours?.end,
+      timezone: current?.quietHours?.timezone || "UTC",
+      ...changes.quietHours,
+    };
+
+    if (typeof quietHours.enabled !== "boolean") {
+      throw new ApiError(400, "quietHours.enabled must be a boolean");
+    }
+    if (quietHours.enabled || changes.quietHours.start !== undefined) {
+      if (!TIME_PATTERN.test(quietHours.start || "")) {
+        throw new ApiError(400, "quietHours.start must be a time such as 22:00");
+      }
+    }
+    if (quietHours.enabled || changes.quietHours.end !== undefined) {
+      if (!TIME_PATTERN.test(quietHours.end || "")) {
+        throw new ApiError(400, "quietHours.end must be a time such as 07:00");
+      }
+    }
+    if (!isValidTimeZone(quietHours.timezone)) {
+      throw new ApiError(400, "quietHours.timezone must be an IANA timezone such as Asia/Kolkata");
+    }
+
+    update["notificationPreferences.quietHours"] = {
+      enabled: quietHours.enabled,
+      start: quietHours.start,
+      end: quietHours.end,
+      timezone: quietHours.timezone,
+    };
+  }
+
+  if (changes.paused !== undefined) {
+    if (typeof changes.paused !== "boolean") {
+      throw new ApiError(400, "paused must be a boolean");
+    }
+    update["notificationPreferences.paused"] = changes.paused;
+    if (!changes.paused) {
+      update["notificationPreferences.pausedUntil"] = null;
+    }
+  }
+
+  if (changes.pausedUntil !== undefined && changes.paused !== false) {
+    if (changes.pausedUntil === null) {
+      update["notificationPreferences.pausedUntil"] = null;
+    } else {
+      const pausedUntil = new Date(changes.pausedUntil);
+      if (isNaN(pausedUntil.getTime()) || pausedUntil <= new Date()) {
+        throw new ApiError(400, "pausedUntil must be a date in the future");
+      }
+      // A pause end date implies a pause
+      update["notificationPreferences.paused"] = true;
+      update["notificationPreferences.pausedUntil"] = pausedUntil;
+    }
+  }
+
+  if (changes.digest !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(changes.digest?.frequency)) {
+      throw new ApiError(
+        400,
+        `digest.frequency must be one of: ${DIGEST_FREQUENCIES.join(", ")}`
+      );
+    }
+    update["notificationPreferences.digest.frequency"] = changes.digest.frequency;
+
+    // The first digest after opting in starts from now, not from the past
+    const wasOff = (current?.digest?.frequency || "off") === "off";
+    if (wasOff && changes.digest.frequency !== "off") {
+      update["notificationPreferences.digest.sentUntil"] = new Date();
+    }
+  }
+
+  if (Object.keys(update).length === 0) {
+    throw new ApiError(400, "No preferences to update");
+  }
+
+  return update;
+};
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { Otp } from "../models/otp.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * One-time password lifecycle
+ */
+
+export const OTP_EXPIRY_MINUTES = 10;
+export const OTP_MAX_ATTEMPTS = 5;
+export const OTP_RESEND_COOLDOWN_SECONDS = 60;
+export const OTP_LOCKOUT_MINUTES = 15;
+
+// Refuse a new code while the previous one is locked or was sent too recently
+const assertCanIssueOtp = (existing) => {
+  if (existing?.isLocked()) {
+    const minutes = Math.ceil((existing.lockedUntil - Date.now()) / 60000);
+    throw new ApiError(
+      429,
+      `Too many incorrect attempts. Please request a new otp in ${minutes} minute(s)`
+    );
+  }
+
+  if (existing) {
+    const elapsed = (Date.now() - existing.lastSentAt.getTime()) / 1000;
+    if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+      throw new ApiError(
+        429,
+        `Please wait ${Math.ceil(
+          OTP_RESEND_COOLDOWN_SECONDS - elapsed
+        )} seconds before requesting a new otp`
+      );
+    }
+  }
+};
+
+/**
+ * Issue a fresh OTP for a user, replacing any previous one for the same purpose
+ * @param {Object} user - User object from database
+ * @param {string} purpose - OTP purpose (see Otp model)
+ * @returns {Promise<string>} - Plain six digit code, to be sent to the user
+ */
+export const issueOtp = async (user, purpose) => {
+  assertCanIssueOtp(await Otp.findOne({ user: user._id, purpose }));
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OTP_EXPIRY_MINUTES * 60 * 1000);
+
+  // Replace the previous code only if it is still past its cooldown and not
+  // locked. Otherwise the upsert inserts against the unique { user, purpose }
+  // index and fails, so concurrent requests cannot both issue a code.
+  try {
+    await Otp.findOneAndUpdate(
+      {
+        user: user._id,
+        purpose,
+        lastSentAt: {
+          $lte: new Date(now.getTime() - OTP_RESEND_COOLDOWN_SECONDS * 1000),
+        },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          codeHash: await bcrypt.hash(code, 10),
+          attempts: 0,
+          maxAttempts: OTP_MAX_ATTEMPTS,
+          lockedUntil: null,
+          lastSentAt: now,
+          expiresAt,
+          purgeAt: expiresAt,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    assertCanIssueOtp(await Otp.findOne({ user: user._id, purpose }));
+    throw new ApiError(429, "An otp was just sent. Please try again shortly");
+  }
+
+  return code;
+};
+
+/**
+ * Check a code against the user's live OTP; the OTP is consumed on success
+ * @param {Object} user - User object from database
+ * @param {string} purpose - OTP purpose
+ * @param {string|number} code - Code entered by the user
+ * @returns {Promise<boolean>} - True when the code is correct
+ */
+export const verifyOtp = async (user, purpose, code) => {
+  if (!code) {
+    throw new ApiError(400, "OTP is required");
+  }
+
+  // Reserve an attempt before comparing, so concurrent guesses cannot share
+  // one attempt count
+  const otp = await Otp.findOneAndUpdate(
+    {
+      user: user._id,
+      purpose,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ["$attempts", "$maxAttempts"] },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    const existing = await Otp.findOne({ user: user._id, purpose });
+
+    if (!existing || existing.isExpired()) {
+      throw new ApiError(400, "OTP has expired or was not requested. Please request a new OTP");
+    }
+
+    throw new ApiError(429, "Too many incorrect attempts. Please request a new OTP later");
+  }
+
+  const isCorrect = await otp.isCodeCorrect(code);
+
+  if (!isCorrect) {
+    if (otp.attempts >= otp.maxAttempts) {
+      const lockedUntil = new Date(Date.now() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+      await Otp.updateOne(
+        { _id: otp._id },
+        {
+          $set: {
+            lockedUntil,
+            purgeAt: new Date(Math.max(otp.expiresAt.getTime(), lockedUntil.getTime())),
+          },
+        }
+      );
+      throw new ApiError(429, "Too many incorrect attempts. Please request a new OTP later");
+    }
+
+    throw new ApiError(
+      400,
+      `Invalid OTP. ${otp.maxAttempts - otp.attempts} attempt(s) remaining`
+    );
+  }
+
+  // Only one of several concurrent correct submissions consumes the OTP
+  const { deletedCount } = await Otp.deleteOne({ _id: otp._id });
+  if (deletedCount === 0) {
+    throw new ApiError(400, "OTP has expired or was not requested. Please request a new OTP");
+  }
+
+  return true;
+};
+
+/**
+ * Remove a user's OTP for a purpose (e.g. when the mail could not be sent)
+ * @param {Object} user - User object from database
+ * @param {string} purpose - OTP purpose
+ * @returns {Promise<void>}
+ */
+export const discardOtp = async (user, purpose) => {
+  await Otp.deleteOne({ user: user._id, purpose });
+};
+
+/**
+ * Use a password_reset token once. Stamping passwordChangedAt in the same
+ * conditional update refuses this token, and any issued before it, afterwards.
+ * @param {Object} decoded - Verified password_reset token payload
+ * @param {Object} filter - Further conditions on the account, e.g. { role: "admin" }
+ * @returns {Promise<Object|null>} - The account, or null if the token was already used
+ */
+export const claimPasswordResetToken = async (decoded, filter = {}) => {
+  return User.findOneAndUpdate(
+    {
+      ...filter,
+      _id: decoded.userId,
+      $or: [
+        { passwordChangedAt: null },
+        { passwordChangedAt: { $lt: new Date(decoded.iat * 1000) } },
+      ],
+    },
+    { $set: { passwordChangedAt: new Date() } },
+    { new: true }
+  );
+};
@@ -0,0 +1,265 @@
+import { User } from "../models/user.model.js";
+import { Chat } from "../models/chat.model.js";
+import { Connection } from "../models/connection.model.js";
+
+/**
+ * Presence service
+ *
+ * Tracks the open sockets of every user so that a user with several tabs
+ * stays online until the last one closes. Online / offline transitions are
+ * broadcast as `presence_changed` to the user's connections and chat members.
+ *
+ * With the Redis adapter (see db/redis.js) every instance only sees its own
+ * sockets. Instances then tell each other about online / offline transitions
+ * with server-side emits and keep a mirror of users online elsewhere.
+ */
+
+// A reload or flaky network should not flash the user offline
+const OFFLINE_GRACE_MS = 5 * 1000;
+
+// Rebuild the mirror from all instances, dropping users of crashed instances
+const CLUSTER_RESYNC_INTERVAL_MS = 60 * 1000;
+
+// Socket.IO instance
+let io;
+
+// userId -> { sockets: Set<socketId>, hidden: boolean, offlineTimer }
+const presence = new Map();
+
+// Users with sockets on other instances (cluster mode only)
+let remoteOnline = new Set();
+let clustered = false;
+
+export const initializePresence = (socketIO) => {
+  io = socketIO;
+
+  io.on("presence:online", (userId) => remoteOnline.add(userId));
+  io.on("presence:offline", (userId) => remoteOnline.delete(userId));
+  io.on("presence:hidden", ({ userId, hidden }) => {
+    const entry = presence.get(userId);
+    if (entry) entry.hidden = hidden;
+  });
+};
+
+const resyncClusterPresence = async () => {
+  try {
+    const sockets = await io.fetchSockets();
+    remoteOnline = new Set(
+      sockets.map((socket) => socket.data.userId).filter(Boolean)
+    );
+  } catch (error) {
+    console.error("Failed to resync presence:", error.message);
+  }
+};
+
+/**
+ * Share presence with the other instances; call after the Redis adapter is attached
+ * @returns {Promise<void>}
+ */
+export const enableClusterPresence = async () => {
+  clustered = true;
+  await resyncClusterPresence();
+  setInterval(resyncClusterPresence, CLUSTER_RESYNC_INTERVAL_MS).unref();
+};
+
+// Tell the other instances; serverSideEmit is not supported without an adapter
+const notifyInstances = (event, payload) => {
+  if (clustered) io.serverSideEmit(event, payload);
+};
+
+/**
+ * Users who should hear about this user's presence: accepted connections and
+ * members of the user's chats
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - User IDs
+ */
+const getPresenceAudience = async (userId) => {
+  const [connections, chats] = await Promise.all([
+    Connection.find({
+      $or: [{ from: userId }, { to: userId }],
+      status: "accepted",
+    })
+      .select("from to")
+      .lean(),
+    Chat.find({ users: userId }).select("users").lean(),
+  ]);
+
+  const audience = new Set();
+  connections.forEach((connection) => {
+    audience.add(connection.from.toString());
+    audience.add(connection.to.toString());
+  });
+  chats.forEach((chat) => {
+    chat.users.forEach((member) => audience.add(member.toString()));
+  });
+  audience.delete(userId);
+
+  return [...audience];
+};
+
+const broadcastPresence = async (userId, isOnline, lastActive = null) => {
+  if (!io) return;
+
+  try {
+    const audience = await getPresenceAudience(userId);
+    if (audience.length === 0) return;
+
+    io.to(audience).emit("presence_changed", {
+      userId,
+      isOnline,
+      lastActive,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Failed to broadcast presence:", error);
+  }
+};
+
+const markOffline = async (userId) => {
+  const entry = presence.get(userId);
+  if (!entry || entry.sockets.size > 0) return;
+
+  presence.delete(userId);
+
+  // Still connected through another instance
+  if (clustered) {
+    try {
+      if ((await io.in(userId).fetchSockets()).length > 0) {
+        remoteOnline.add(userId);
+        return;
+      }
+    } catch (error) {
+      console.error("Failed to check presence on other instances:", error.message);
+    }
+    notifyInstances("presence:offline", userId);
+  }
+
+  const lastActive = new Date();
+  try {
+    await User.updateOne({ _id: userId }, { lastActive });
+  } catch (error) {
+    console.error("Failed to save lastActive:", error);
+  }
+
+  if (!entry.hidden) {
+    await broadcastPresence(userId, false, lastActive);
+  }
+};
+
+/**
+ * Register a newly authenticated socket
+ * @param {Object} socket - Socket.IO socket with userId set by socketAuthentication
+ * @returns {Promise<void>}
+ */
+export const trackSocketConnected = async (socket) => {
+  const userId = socket.userId;
+  let entry = presence.get(userId);
+
+  if (entry) {
+    entry.sockets.add(socket.id);
+    if (entry.offlineTimer) {
+      clearTimeout(entry.offlineTimer);
+      entry.offlineTimer = null;
+    }
+    return;
+  }
+
+  entry = { sockets: new Set([socket.id]), hidden: false, offlineTimer: null };
+  presence.set(userId, entry);
+
+  // Already online through another instance, which announced it
+  const onlineElsewhere = clustered && remoteOnline.has(userId);
+  if (!onlineElsewhere) {
+    notifyInstances("presence:online", userId);
+  }
+
+  try {
+    const user = await User.findById(userId).select("hidePresence").lean();
+    entry.hidden = Boolean(user?.hidePresence);
+  } catch (error) {
+    console.error("Failed to load presence settings:", error);
+  }
+
+  if (!entry.hidden && !onlineElsewhere) {
+    await broadcastPresence(userId, true);
+  }
+};
+
+/**
+ * Unregister a socket; the user goes offline once no socket is left
+ * @param {Object} socket - Socket.IO socket
+ */
+export const trackSocketDisconnected = (socket) => {
+  const entry = presence.get(socket.userId);
+  if (!entry) return;
+
+  entry.sockets.delete(socket.id);
+  if (entry.sockets.size > 0 || entry.offlineTimer) return;
+
+  entry.offlineTimer = setTimeout(() => {
+    markOffline(socket.userId);
+  }, OFFLINE_GRACE_MS);
+};
+
+/**
+ * Apply a changed hidePresence setting to an online user. Hiding looks like
+ * going offline to others; unhiding like coming online.
+ * @param {string} userId - User ID
+ * @param {boolean} hidden - New hidePresence value
+ * @returns {Promise<void>}
+ */
+export const setPresenceHidden = async (userId, hidden) => {
+  const key = userId.toString();
+  const entry = presence.get(key);
+
+  if (entry) {
+    if (entry.hidden === hidden) return;
+    entry.hidden = hidden;
+  } else if (!remoteOnline.has(key)) {
+    return;
+  }
+
+  notifyInstances("presence:hidden", { userId: key, hidden });
+  await broadcastPresence(key, !hidden, hidden ? new Date() : null);
+};
+
+/**
+ * Check whether a user has an open socket
+ * @param {string} userId - User ID
+ * @returns {boolean} - True if online
+ */
+export const isUserOnline = (userId) =>
+  presence.has(userId?.toString()) || remoteOnline.has(userId?.toString());
+
+/**
+ * Presence of a user as seen by another user. Hidden presence is only visible
+ * to the user themselves.
+ * @param {Object} user - User object with _id, lastActive and hidePresence
+ * @param {string} viewerId - ID of the user looking
+ * @returns {{isOnline: boolean, lastActive: Date|null}} - Presence fields
+ */
+export const getPresence = (user, viewerId) => {
+  const userId = user._id.toString();
+
+  if (user.hidePresence && userId !== viewerId?.toString()) {
+    return { isOnline: false, lastActive: null };
+  }
+
+  return {
+    isOnline: isUserOnline(userId),
+    lastActive: user.lastActive || null,
+  };
+};
+
+/**
+ * Add isOnline / lastActive to a user object and drop the hidePresence flag
+ * @param {Object} user - User document or plain object
+ * @param {string} viewerId - ID of the user looking
+ * @returns {Object} - Plain user object with presence fields
+ */
+export const withPresence = (user, viewerId) => {
+  const userObj = user.toObject ? user.toObject() : { ...user };
+  const { hidePresence, ...rest } = userObj;
+
+  return { ...rest, ...getPresence(userObj, viewerId) };
+};
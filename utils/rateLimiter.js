@@ -0,0 +1,175 @@
+import { getRedisClient } from "../db/redis.js";
+
+/**
+ * Token bucket rate limiter
+ *
+ * Every key (usually a user ID) has a bucket of `capacity` tokens that refills
+ * at `refillPerSecond`. Each action takes one token, so short bursts are
+ * allowed while the sustained rate stays capped. Buckets live in Redis when it
+ * is configured, so all sockets and REST requests of a user share one bucket
+ * across instances; otherwise they live in process memory.
+ */
+
+// Refill, take and store in one step so concurrent requests cannot overspend.
+// Redis TIME is used so instances with skewed clocks agree.
+const TAKE_TOKENS_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local ttlMs = tonumber(ARGV[4])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ttlMs)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Bucket store backed by a node-redis client
+ * @param {Object} client - Connected node-redis client
+ * @returns {Object} - Store with take(key, options)
+ */
+export const createRedisBucketStore = (client) => ({
+  async take(key, { capacity, refillPerMs, cost, ttlMs }) {
+    const [allowed, tokens] = await client.eval(TAKE_TOKENS_SCRIPT, {
+      keys: [key],
+      arguments: [capacity, refillPerMs, cost, ttlMs].map(String),
+    });
+
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  },
+});
+
+/**
+ * In-process bucket store, used without Redis and as a stand-in for it in tests
+ * @param {Object} options - Options
+ * @param {Function} options.now - Clock in milliseconds, injectable for tests
+ * @returns {Object} - Store with take(key, options)
+ */
+export const createMemoryBucketStore = ({ now = Date.now } = {}) => {
+  const buckets = new Map();
+
+  const removeExpired = (time) => {
+    for (const [key, bucket] of buckets) {
+      if (bucket.expiresAt <= time) buckets.delete(key);
+    }
+  };
+
+  return {
+    async take(key, { capacity, refillPerMs, cost, ttlMs }) {
+      const time = now();
+      if (buckets.size > 10000) removeExpired(time);
+
+      const bucket = buckets.get(key);
+      let tokens = bucket && bucket.expiresAt > time
+        ? Math.min(capacity, bucket.tokens + Math.max(0, time - bucket.updatedAt) * refillPerMs)
+        : capacity;
+
+      const allowed = tokens >= cost;
+      if (allowed) tokens -= cost;
+
+      buckets.set(key, { tokens, updatedAt: time, expiresAt: time + ttlMs });
+      return { allowed, tokens };
+    },
+  };
+};
+
+const memoryStore = createMemoryBucketStore();
+let redisStore = null;
+
+// Redis when connected, process memory otherwise
+const getDefaultBucketStore = () => {
+  const client = getRedisClient();
+  if (!client) return memoryStore;
+
+  if (!redisStore || redisStore.client !== client) {
+    redisStore = { client, ...createRedisBucketStore(client) };
+  }
+  return redisStore;
+};
+
+/**
+ * Create a token bucket limiter
+ * @param {Object} options - Options
+ * @param {string} options.name - Key prefix, one per limited action
+ * @param {number} options.capacity - Bucket size (largest burst)
+ * @param {number} options.refillPerSecond - Tokens added per second
+ * @param {Object} options.store - Bucket store; defaults to Redis or memory
+ * @returns {Object} - Limiter with consume(key, cost)
+ */
+export const createTokenBucketLimiter = ({
+  name,
+  capacity,
+  refillPerSecond,
+  store,
+}) => {
+  const refillPerMs = refillPerSecond / 1000;
+  // An untouched bucket is full again after this long, so it can be dropped
+  const ttlMs = Math.ceil(capacity / refillPerMs);
+
+  return {
+    /**
+     * Take tokens from a key's bucket
+     * @param {string} key - Bucket key, e.g. a user ID
+     * @param {number} cost - Tokens to take
+     * @returns {Promise<{allowed: boolean, remaining: number, retryAfterMs: number}>}
+     */
+    async consume(key, cost = 1) {
+      try {
+        const { allowed, tokens } = await (store || getDefaultBucketStore()).take(
+          `ratelimit:${name}:${key}`,
+          { capacity, refillPerMs, cost, ttlMs }
+        );
+
+        return {
+          allowed,
+          remaining: Math.floor(tokens),
+          retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs),
+        };
+      } catch (error) {
+        // Allow on error, a broken store must not stop chat
+        console.error(`Rate limiter ${name} failed:`, error.message);
+        return { allowed: true, remaining: 0, retryAfterMs: 0 };
+      }
+    },
+  };
+};
+
+// The shared limiters are created on first use, so environment variables
+// loaded by dotenv are picked up
+let messageRateLimiter = null;
+let socketEventRateLimiter = null;
+
+// Chat messages sent over REST, per user
+export const getMessageRateLimiter = () => {
+  if (!messageRateLimiter) {
+    messageRateLimiter = createTokenBucketLimiter({
+      name: "chat_messages",
+      capacity: parseInt(process.env.CHAT_MESSAGE_BURST, 10) || 30,
+      refillPerSecond:
+        (parseInt(process.env.CHAT_MESSAGES_PER_MINUTE, 10) || 30) / 60,
+    });
+  }
+  return messageRateLimiter;
+};
+
+// Events received over Socket.IO (typing, receipts, joins), per user across all sockets
+export const getSocketEventRateLimiter = () => {
+  if (!socketEventRateLimiter) {
+    socketEventRateLimiter = createTokenBucketLimiter({
+      name: "socket_events",
+      capacity: parseInt(process.env.SOCKET_EVENT_BURST, 10) || 50,
+      refillPerSecond: parseInt(process.env.SOCKET_EVENTS_PER_SECOND, 10) || 5,
+    });
+  }
+  return socketEventRateLimiter;
+};
@@ -0,0 +1,117 @@
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { User } from "../models/user.model.js";
+import { createNotification } from "../controllers/notification.controller.js";
+import { sendTemplatedMail } from "./mailer.js";
+
+/**
+ * Security alert rules
+ *
+ * A rule fires when `threshold` events of its type were logged for a user
+ * within `windowMinutes`. A rule alerts a user at most once per window.
+ */
+export const SECURITY_ALERT_RULES = [
+  {
+    event: "SUSPICIOUS_LOGIN_MULTIPLE_IPS",
+    threshold: 1,
+    windowMinutes: 60,
+    title: "Sign-ins from several locations",
+    description:
+      "Your account was used from several different IP addresses within the last hour.",
+  },
+  {
+    event: "REFRESH_TOKEN_REUSE_DETECTED",
+    threshold: 1,
+    windowMinutes: 60,
+    title: "Possible stolen session",
+    description:
+      "An old sign-in token for your account was used again, so the affected session was signed out.",
+  },
+  {
+    event: "ACCOUNT_LOCKED",
+    threshold: 1,
+    windowMinutes: 60,
+    title: "Account temporarily locked",
+    description:
+      "Your account was locked after too many failed sign-in attempts.",
+  },
+  {
+    event: "LOGIN_FAILED",
+    threshold: 10,
+    windowMinutes: 60,
+    title: "Repeated failed sign-ins",
+    description:
+      "There were many failed attempts to sign in to your account within the last hour.",
+  },
+];
+
+/**
+ * Notify the user in-app and by email
+ * @param {Object} securityEvent - SecurityEvent document
+ * @param {Object} rule - Matching alert rule
+ * @returns {Promise<void>}
+ */
+const sendSecurityAlert = async (securityEvent, rule) => {
+  const user = await User.findById(securityEvent.user).select(
+    "email firstName"
+  );
+  if (!user) return;
+
+  await createNotification({
+    recipient: user._id,
+    type: "security_alert",
+    title: rule.title,
+    message: rule.description,
+    priority: "high",
+    data: {
+      securityEventId: securityEvent._id,
+      event: securityEvent.event,
+      ipAddress: securityEvent.ipAddress,
+    },
+    actionUrl: "/settings/security",
+  });
+
+  sendTemplatedMail(user.email, "securityAlert", {
+    firstName: user.firstName,
+    title: rule.title,
+    description: rule.description,
+    occurredAt: securityEvent.createdAt,
+    ipAddress: securityEvent.ipAddress,
+  }).catch((error) => {
+    console.error("Failed to send security alert email:", error.message);
+  });
+};
+
+/**
+ * Check a freshly logged event against the alert rules
+ * @param {Object} securityEvent - SecurityEvent document
+ * @returns {Promise<boolean>} - True if an alert was sent
+ */
+export const evaluateSecurityAlertRules = async (securityEvent) => {
+  if (!securityEvent.user) return false;
+
+  const rule = SECURITY_ALERT_RULES.find(
+    (candidate) => candidate.event === securityEvent.event
+  );
+  if (!rule) return false;
+
+  const windowStart = new Date(Date.now() - rule.windowMinutes * 60 * 1000);
+  const filter = { user: securityEvent.user, event: securityEvent.event };
+
+  const [count, alreadyAlerted] = await Promise.all([
+    SecurityEvent.countDocuments({
+      ...filter,
+      createdAt: { $gte: windowStart },
+    }),
+    SecurityEvent.exists({ ...filter, alertedAt: { $gte: windowStart } }),
+  ]);
+
+  if (count < rule.threshold || alreadyAlerted) {
+    return false;
+  }
+
+  securityEvent.alertedAt = new Date();
+  await securityEvent.save();
+
+  await sendSecurityAlert(securityEvent, rule);
+  return true;
+};
@@ -1,6 +1,9 @@
 import { User } from "../models/user.model.js";
 import { ApiError } from "./ApiError.js";
 import { v4 as uuidv4 } from "uuid";
+import { parseUserAgent } from "./deviceUtils.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+import { evaluateSecurityAlertRules } from "./securityAlerts.js";
 
 /**
  * Session Management Utilities
@@ -68,23 +71,57 @@ export const cleanupUserSessions = async (user) => {
 
 /**
  * Log security event
- * @param {string} userId - User ID
- * @param {string} event - Event type
+ * @param {string} userId - User ID (null if the account is unknown)
+ * @param {string} event - Event type (see SECURITY_EVENT_TYPES)
  * @param {Object} details - Event details
  * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Stored event, or null if it could not be saved
  */
-export const logSecurityEvent = async (userId, event, details, req) => {
-  const securityLog = {
-    userId,
-    event,
-    details,
-    timestamp: new Date(),
-    ipAddress: req.ip || req.connection.remoteAddress || "Unknown",
-    userAgent: req.get("User-Agent") || "Unknown",
-  };
+export const logSecurityEvent = async (userId, event, details = {}, req) => {
+  try {
+    const securityEvent = await SecurityEvent.create({
+      user: userId || undefined,
+      event,
+      details,
+      ipAddress: req?.ip || req?.connection?.remoteAddress || "Unknown",
+      userAgent: req?.get?.("User-Agent") || "Unknown",
+    });
+
+    await evaluateSecurityAlertRules(securityEvent);
+
+    return securityEvent;
+  } catch (error) {
+    // Auditing must never break the request that triggered it
+    console.error("Failed to log security event:", event, error.message);
+    return null;
+  }
+};
 
-  // In a production environment, you would save this to a dedicated security log collection
-  console.log("Security Event:", JSON.stringify(securityLog, null, 2));
+/**
+ * Count a failed login attempt and log it, plus the lockout it may cause
+ * @param {Object} user - User object from database
+ * @param {Object} req - Express request object
+ * @param {Object} details - Event details, e.g. { reason }
+ * @returns {Promise<void>}
+ */
+export const recordFailedLogin = async (user, req, details = {}) => {
+  await user.incrementLoginAttempts();
+
+  await logSecurityEvent(
+    user._id,
+    "LOGIN_FAILED",
+    { ...details, attempts: user.loginAttempts.count },
+    req
+  );
+
+  if (user.isAccountLocked()) {
+    await logSecurityEvent(
+      user._id,
+      "ACCOUNT_LOCKED",
+      { lockedUntil: user.loginAttempts.lockedUntil },
+      req
+    );
+  }
 };
 
 /**
@@ -188,9 +225,10 @@ export const getRemainingLockoutTime = (user) => {
 /**
  * Revoke all user tokens and sessions (for security incidents)
  * @param {string} userId - User ID
+ * @param {Object} req - Express request object (optional)
  * @returns {Promise<void>}
  */
-export const revokeAllUserAccess = async (userId) => {
+export const revokeAllUserAccess = async (userId, req) => {
   const user = await User.findById(userId);
   if (!user) {
     throw new ApiError(404, "User not found");
@@ -203,9 +241,113 @@ export const revokeAllUserAccess = async (userId) => {
   await user.clearAllSessions();
 
   // Log security event
-  console.log(
-    `All access revoked for user ${userId} at ${new Date().toISOString()}`
+  await logSecurityEvent(userId, "ALL_ACCESS_REVOKED", {}, req);
+};
+
+/**
+ * Describe a session for the session management API
+ * @param {Object} session - Entry of user.activeSessions
+ * @param {string} currentSessionId - Session ID of the calling request
+ * @returns {Object} - Session with parsed device details
+ */
+export const formatUserSession = (session, currentSessionId) => {
+  const device = parseUserAgent(session.deviceInfo);
+
+  return {
+    sessionId: session.sessionId,
+    deviceName: device.deviceName,
+    browser: device.browser,
+    browserVersion: device.browserVersion,
+    os: device.os,
+    osVersion: device.osVersion,
+    deviceType: device.deviceType,
+    ipAddress: session.ipAddress,
+    lastAccess: session.lastAccess,
+    isCurrent: session.sessionId === currentSessionId,
+  };
+};
+
+/**
+ * Revoke sessions and the refresh tokens issued for them
+ * @param {Object} user - User object from database (with refreshTokens)
+ * @param {string[]} sessionIds - Session IDs to revoke
+ * @returns {Promise<void>}
+ */
+export const revokeUserSessions = async (user, sessionIds) => {
+  const now = new Date();
+
+  user.refreshTokens.forEach((rt) => {
+    if (rt.sessionId && sessionIds.includes(rt.sessionId) && !rt.isRevoked) {
+      rt.isRevoked = true;
+      rt.revokedAt = now;
+    }
+  });
+
+  user.activeSessions = user.activeSessions.filter(
+    (session) => !sessionIds.includes(session.sessionId)
   );
+
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Check that the session a token was issued for has not been revoked
+ * @param {Object} user - User object from database
+ * @param {string} sessionId - Session ID from the token payload
+ * @returns {boolean} - False if the session was signed out or is missing
+ */
+export const isSessionActive = (user, sessionId) => {
+  // Every access and refresh token is issued for a session; a token without
+  // one was not issued by login and is never accepted
+  if (!sessionId) return false;
+
+  return user.activeSessions.some((session) => session.sessionId === sessionId);
+};
+
+/**
+ * Enforce refresh token rotation for a presented refresh token.
+ * Presenting a rotated-out token while its family is still live means the
+ * token was copied: the whole family and its sessions are revoked.
+ * @param {Object} user - User object from database (with refreshTokens)
+ * @param {Object} decoded - Verified refresh token payload
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>} - Resolves if the token may be used, throws ApiError otherwise
+ */
+export const assertRefreshTokenUsable = async (user, decoded, req) => {
+  const tokenId = decoded.tokenId || decoded.jti;
+  const familyId = decoded.familyId || tokenId;
+
+  const usage = user.checkRefreshTokenUsage(tokenId, familyId);
+
+  if (usage === "valid") {
+    return;
+  }
+
+  if (usage === "reused") {
+    const sessionIds = await user.revokeRefreshTokenFamily(familyId);
+
+    if (sessionIds.length > 0) {
+      user.activeSessions = user.activeSessions.filter(
+        (session) => !sessionIds.includes(session.sessionId)
+      );
+      await user.save();
+    }
+
+    await logSecurityEvent(
+      user._id,
+      "REFRESH_TOKEN_REUSE_DETECTED",
+      { tokenId, familyId, revokedSessions: sessionIds },
+      req
+    );
+
+    throw new ApiError(401, "Refresh token reuse detected. Please login again.");
+  }
+
+  if (usage === "rotated") {
+    throw new ApiError(401, "Refresh token has already been rotated");
+  }
+
+  throw new ApiError(401, "Refresh token has been revoked or expired");
 };
 
 /**
@@ -0,0 +1,156 @@
+import crypto from "crypto";
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 30 second steps)
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} - Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Raw bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random 160-bit TOTP secret
+ * @returns {string} - Base32 encoded secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calculate the code for a given time step counter (RFC 4226 HOTP)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Time step counter
+ * @returns {string} - Zero padded code
+ */
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Get the time step counter for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step counter
+ */
+export const getTotpStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - Six digit code
+ */
+export const generateTotpCode = (secret, timestamp = Date.now()) =>
+  generateHotp(secret, getTotpStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window, timestamp }
+ * @returns {number|null} - Matching time step counter, or null if invalid
+ */
+export const verifyTotpCode = (secret, code, options = {}) => {
+  const { window = 1, timestamp = Date.now() } = options;
+  const normalized = String(code ?? "").replace(/\s/g, "");
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTotpStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI used by authenticator apps (usually shown as a QR code)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} - otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = "AlmaSync" }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
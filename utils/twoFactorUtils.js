@@ -0,0 +1,261 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { User } from "../models/user.model.js";
+import { Setting } from "../models/setting.model.js";
+import { ApiError } from "./ApiError.js";
+import { verifyJWT } from "./jwt.js";
+import { assertAccountUsable } from "./accountStatusUtils.js";
+import {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpauthUri,
+} from "./totp.js";
+
+/**
+ * Two-factor authentication helpers
+ */
+
+// Fields hidden with select: false that the 2FA flows need
+export const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes";
+
+// Setting key that makes 2FA mandatory for the admin role
+export const REQUIRE_ADMIN_TWO_FACTOR = "security.requireAdminTwoFactor";
+
+const BACKUP_CODE_COUNT = 10;
+
+const normalizeBackupCode = (code) =>
+  String(code ?? "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+/**
+ * Load a user together with the 2FA secrets
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - User document
+ */
+export const findUserWithTwoFactor = async (userId) => {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  return user;
+};
+
+/**
+ * Check whether 2FA is mandatory for this user's role
+ * @param {Object} user - User object from database
+ * @returns {Promise<boolean>} - True if the user must use 2FA
+ */
+export const isTwoFactorMandatory = async (user) => {
+  if (user.role !== "admin") return false;
+  return (await Setting.getValue(REQUIRE_ADMIN_TWO_FACTOR, false)) === true;
+};
+
+/**
+ * Generate one-time backup codes
+ * @returns {Promise<{codes: string[], hashed: Object[]}>} - Plain codes and stored hashes
+ */
+const generateBackupCodes = async () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  const hashed = await Promise.all(
+    codes.map(async (code) => ({
+      codeHash: await bcrypt.hash(normalizeBackupCode(code), 10),
+    }))
+  );
+
+  return { codes, hashed };
+};
+
+/**
+ * Start enrolment by creating a pending secret
+ * @param {Object} user - User loaded with TWO_FACTOR_FIELDS
+ * @returns {Promise<{secret: string, otpauthUri: string}>} - Data for the authenticator app
+ */
+export const startTwoFactorEnrolment = async (user) => {
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+  };
+};
+
+/**
+ * Finish enrolment with the first code from the authenticator app
+ * @param {Object} user - User loaded with TWO_FACTOR_FIELDS
+ * @param {string} code - Six digit TOTP code
+ * @returns {Promise<string[]>} - Backup codes, shown to the user once
+ */
+export const confirmTwoFactorEnrolment = async (user, code) => {
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "Two-factor setup has not been started");
+  }
+
+  const step = verifyTotpCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  const { codes, hashed } = await generateBackupCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashed;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code or an unused backup code; backup codes are consumed.
+ * Both are claimed with a conditional update, so concurrent logins cannot
+ * accept the same code twice.
+ * @param {Object} user - User loaded with TWO_FACTOR_FIELDS
+ * @param {Object} input - { code, backupCode }
+ * @returns {Promise<string>} - "totp" or "backup_code"
+ */
+export const verifySecondFactor = async (user, { code, backupCode } = {}) => {
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  if (code) {
+    const step = verifyTotpCode(user.twoFactor.secret, code);
+    const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+
+    if (step !== null && step > lastUsedStep) {
+      const claimed = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          $or: [
+            { "twoFactor.lastUsedStep": { $lt: step } },
+            { "twoFactor.lastUsedStep": null },
+          ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } },
+        { projection: { _id: 1 } }
+      );
+
+      if (claimed) {
+        user.twoFactor.lastUsedStep = step;
+        return "totp";
+      }
+    }
+  }
+
+  if (backupCode) {
+    const normalized = normalizeBackupCode(backupCode);
+
+    for (const stored of user.twoFactor.backupCodes) {
+      if (!stored.usedAt && (await bcrypt.compare(normalized, stored.codeHash))) {
+        const usedAt = new Date();
+        const claimed = await User.findOneAndUpdate(
+          {
+            _id: user._id,
+            "twoFactor.backupCodes": { $elemMatch: { _id: stored._id, usedAt: null } },
+          },
+          { $set: { "twoFactor.backupCodes.$[backup].usedAt": usedAt } },
+          {
+            arrayFilters: [{ "backup._id": stored._id, "backup.usedAt": null }],
+            projection: { _id: 1 },
+          }
+        );
+
+        if (claimed) {
+          stored.usedAt = usedAt;
+          return "backup_code";
+        }
+        break;
+      }
+    }
+  }
+
+  throw new ApiError(401, "Invalid two-factor code");
+};
+
+/**
+ * Replace all backup codes
+ * @param {Object} user - User loaded with TWO_FACTOR_FIELDS
+ * @returns {Promise<string[]>} - New backup codes
+ */
+export const regenerateBackupCodes = async (user) => {
+  const { codes, hashed } = await generateBackupCodes();
+  user.twoFactor.backupCodes = hashed;
+  await user.save({ validateBeforeSave: false });
+  return codes;
+};
+
+/**
+ * Turn 2FA off and drop all secrets
+ * @param {Object} user - User loaded with TWO_FACTOR_FIELDS
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Verify a login challenge token and load its user
+ * @param {string} challengeToken - Token returned by the password step
+ * @returns {Promise<{user: Object, challenge: Object}>} - User with 2FA fields and token payload
+ */
+export const resolveTwoFactorChallenge = async (challengeToken) => {
+  if (!challengeToken) {
+    throw new ApiError(400, "Challenge token is required");
+  }
+
+  let challenge;
+  try {
+    challenge = await verifyJWT(challengeToken);
+  } catch (error) {
+    if (error.message.includes("expired")) {
+      throw new ApiError(401, "Login challenge expired. Please login again.");
+    }
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  if (challenge.type !== "two_factor_challenge") {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  if (user.isAccountLocked()) {
+    throw new ApiError(
+      429,
+      "Account temporarily locked due to too many failed login attempts. Please try again later."
+    );
+  }
+
+  // The account may have been suspended since the password step
+  await assertAccountUsable(user);
+
+  return { user, challenge };
+};
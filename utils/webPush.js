@@ -0,0 +1,231 @@
+import webpush from "web-push";
+import { PushSubscription } from "../models/pushSubscription.model.js";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Web Push (VAPID) delivery
+ *
+ * Reaches users who have no open socket. The web-push package encrypts the
+ * payload and signs the VAPID headers; the request itself is sent with fetch.
+ * Endpoints come from clients, so only HTTPS URLs of the browsers' push
+ * services are accepted; WEB_PUSH_ALLOWED_HOSTS adds hosts such as a local
+ * mock push service.
+ *
+ * Keys are read from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY when a push is sent
+ * (generate them once with `npx web-push generate-vapid-keys`). Without them
+ * push is turned off.
+ */
+
+// Push services answer these once a subscription has expired or was removed
+const GONE_STATUS_CODES = [404, 410];
+
+// How long the push service keeps a push for an offline browser
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+const PUSH_TIMEOUT_MS = 10 * 1000;
+
+// Push services of Chrome/Edge (FCM), Firefox, Edge on Windows and Safari.
+// A host matches itself and its subdomains.
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "android.googleapis.com",
+  "push.services.mozilla.com",
+  "notify.windows.com",
+  "push.apple.com",
+];
+
+const URGENCY_BY_PRIORITY = {
+  low: "low",
+  medium: "normal",
+  high: "high",
+  urgent: "high",
+};
+
+const getVapidDetails = () => {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) return null;
+
+  return {
+    subject: process.env.VAPID_SUBJECT || "mailto:no-reply@almasync.app",
+    publicKey,
+    privateKey,
+  };
+};
+
+// Extra hosts, e.g. "127.0.0.1:9000" for a mock push service in tests
+const getExtraPushHosts = () =>
+  (process.env.WEB_PUSH_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Check that a push endpoint belongs to a known push service, so the server
+ * never sends requests to hosts chosen by a client (e.g. internal services)
+ * @param {URL} endpoint - Parsed endpoint
+ * @returns {boolean}
+ */
+export const isAllowedPushEndpoint = (endpoint) => {
+  // Configured hosts are matched exactly, with their port
+  if (getExtraPushHosts().includes(endpoint.host.toLowerCase())) {
+    // Plain HTTP is only for local mock services
+    return (
+      endpoint.protocol === "https:" ||
+      (endpoint.protocol === "http:" && process.env.NODE_ENV !== "production")
+    );
+  }
+
+  if (endpoint.protocol !== "https:" || endpoint.port !== "") return false;
+
+  const hostname = endpoint.hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.some(
+    (host) => hostname === host || hostname.endsWith(`.${host}`)
+  );
+};
+
+/**
+ * Public VAPID key, passed by clients to PushManager.subscribe()
+ * @returns {string|null} - Null when push is not configured
+ */
+export const getVapidPublicKey = () => getVapidDetails()?.publicKey || null;
+
+/**
+ * Validate a PushSubscription sent by a browser (PushSubscription.toJSON())
+ * @param {Object} subscription - { endpoint, expirationTime, keys: { p256dh, auth } }
+ * @returns {Object} - Fields to store
+ */
+export const parsePushSubscription = (subscription) => {
+  let endpoint;
+  try {
+    endpoint = new URL(subscription?.endpoint);
+  } catch {
+    throw new ApiError(400, "subscription.endpoint must be a URL");
+  }
+
+  if (!isAllowedPushEndpoint(endpoint)) {
+    throw new ApiError(400, "subscription.endpoint is not a supported push service");
+  }
+
+  const { p256dh, auth } = subscription.keys || {};
+  if (typeof p256dh !== "string" || typeof auth !== "string" || !p256dh || !auth) {
+    throw new ApiError(400, "subscription.keys.p256dh and subscription.keys.auth are required");
+  }
+
+  // PushSubscription.toJSON() gives milliseconds since epoch, or null
+  let expirationTime = null;
+  if (subscription.expirationTime !== undefined && subscription.expirationTime !== null) {
+    expirationTime = new Date(subscription.expirationTime);
+    if (
+      !["number", "string"].includes(typeof subscription.expirationTime) ||
+      Number.isNaN(expirationTime.getTime())
+    ) {
+      throw new ApiError(400, "subscription.expirationTime must be a timestamp or null");
+    }
+  }
+
+  return {
+    endpoint: endpoint.href,
+    keys: { p256dh, auth },
+    expirationTime,
+  };
+};
+
+/**
+ * Send one push
+ * @param {Object} subscription - { endpoint, keys }
+ * @param {Object} payload - JSON payload for the service worker
+ * @param {Object} options - { urgency }
+ * @returns {Promise<number>} - HTTP status of the push service
+ */
+export const sendPush = async (subscription, payload, { urgency = "normal" } = {}) => {
+  // Subscriptions saved before an endpoint was disallowed are not contacted
+  if (!isAllowedPushEndpoint(new URL(subscription.endpoint))) {
+    throw new Error("Push endpoint is not an allowed push service");
+  }
+
+  const { endpoint, method, headers, body } = webpush.generateRequestDetails(
+    { endpoint: subscription.endpoint, keys: subscription.keys },
+    JSON.stringify(payload),
+    { vapidDetails: getVapidDetails(), TTL: PUSH_TTL_SECONDS, urgency }
+  );
+
+  const response = await fetch(endpoint, {
+    method,
+    headers,
+    body,
+    // A redirect could lead to a host that was never checked
+    redirect: "manual",
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+
+  return response.status;
+};
+
+/**
+ * Push a notification to every browser a user subscribed. Subscriptions that
+ * are expired, gone or no longer on an allowed push service are removed.
+ * @param {string} userId - Recipient
+ * @param {Object} notification - Saved notification
+ * @returns {Promise<{sent: number, removed: number}>}
+ */
+export const sendPushNotification = async (userId, notification) => {
+  if (!getVapidDetails()) return { sent: 0, removed: 0 };
+
+  const subscriptions = await PushSubscription.find({ user: userId });
+  if (subscriptions.length === 0) return { sent: 0, removed: 0 };
+
+  const payload = {
+    notificationId: notification._id,
+    // Lets the service worker replace the shown push of a grouped entry
+    tag: notification.groupKey || notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    body: notification.message,
+    url: notification.actionUrl || null,
+    data: notification.data || {},
+  };
+  const urgency = URGENCY_BY_PRIORITY[notification.priority] || "normal";
+
+  const now = new Date();
+  const delivered = [];
+  const gone = [];
+
+  await Promise.all(
+    subscriptions.map(async (subscription) => {
+      if (
+        (subscription.expirationTime && subscription.expirationTime <= now) ||
+        !isAllowedPushEndpoint(new URL(subscription.endpoint))
+      ) {
+        gone.push(subscription._id);
+        return;
+      }
+
+      try {
+        const status = await sendPush(subscription, payload, { urgency });
+
+        if (GONE_STATUS_CODES.includes(status)) {
+          gone.push(subscription._id);
+        } else if (status >= 200 && status < 300) {
+          delivered.push(subscription._id);
+        } else {
+          console.error(`Push to ${subscription.endpoint} failed with status ${status}`);
+        }
+      } catch (error) {
+        console.error(`Push to ${subscription.endpoint} failed:`, error.message);
+      }
+    })
+  );
+
+  if (gone.length > 0) {
+    await PushSubscription.deleteMany({ _id: { $in: gone } });
+  }
+  if (delivered.length > 0) {
+    await PushSubscription.updateMany(
+      { _id: { $in: delivered } },
+      { $set: { lastSuccessAt: now } }
+    );
+  }
+
+  return { sent: delivered.length, removed: gone.length };
+};